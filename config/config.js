@@ -1,9 +1,82 @@
 require('dotenv').config();
 
+// Built-in token settings. SOL is the native token and has no mint; decimals left out here
+// are read from the token's mint at startup
+const DEFAULT_TOKENS = {
+  SOL: { mint: null, decimals: 9, displayDecimals: 4 },
+  USDC: { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6, displayDecimals: 2 },
+  USDT: { mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', decimals: 6, displayDecimals: 2 },
+  PYUSD: { mint: '9idXDPGb5jfwaf5fxjiDHjcugpYVrJHiM4rR8G9yqXW7', decimals: 6, displayDecimals: 2 },
+};
+
+const tokenSymbols = (process.env.SUPPORTED_TOKENS || 'USDC,USDT,PYUSD,SOL')
+  .split(',')
+  .map((symbol) => symbol.trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Read a token's settings from <SYMBOL>_MINT, <SYMBOL>_DECIMALS, <SYMBOL>_DISPLAY_DECIMALS
+ * and <SYMBOL>_ENABLED, falling back to the built-in defaults
+ * @param {string} symbol - Token symbol
+ * @returns {Object} The token settings
+ */
+const getTokenSettings = (symbol) => {
+  const defaults = DEFAULT_TOKENS[symbol] || {};
+  const decimals = parseInt(process.env[`${symbol}_DECIMALS`], 10);
+  const displayDecimals = parseInt(process.env[`${symbol}_DISPLAY_DECIMALS`], 10);
+
+  return {
+    mint: symbol === 'SOL' ? null : process.env[`${symbol}_MINT`] || defaults.mint || null,
+    decimals: Number.isNaN(decimals) ? defaults.decimals ?? null : decimals,
+    displayDecimals: Number.isNaN(displayDecimals) ? defaults.displayDecimals ?? 2 : displayDecimals,
+    enabled: process.env[`${symbol}_ENABLED`] !== 'false',
+  };
+};
+
+// Built-in spending limits per account tier, lowest tier first. Each entry is
+// TOKEN:perTransaction/daily/monthly in whole tokens
+const DEFAULT_TIER_LIMITS = {
+  basic: 'USDC:100/250/1000,USDT:100/250/1000,PYUSD:100/250/1000,SOL:1/2.5/10',
+  verified: 'USDC:1000/2500/10000,USDT:1000/2500/10000,PYUSD:1000/2500/10000,SOL:10/25/100',
+  trusted: 'USDC:10000/25000/100000,USDT:10000/25000/100000,PYUSD:10000/25000/100000,SOL:100/250/1000',
+};
+
+const accountTiers = (process.env.ACCOUNT_TIERS || Object.keys(DEFAULT_TIER_LIMITS).join(','))
+  .split(',')
+  .map((tier) => tier.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Read a tier's limits from LIMITS_<TIER>, falling back to the built-in defaults
+ * Amounts are kept as text and converted to each token's smallest unit once its decimals are known;
+ * a missing amount means no limit for that period
+ * @param {string} tier - Tier name
+ * @returns {Object} { perTransaction, daily, monthly } keyed by token symbol
+ */
+const getTierLimits = (tier) => (process.env[`LIMITS_${tier.toUpperCase()}`] ?? DEFAULT_TIER_LIMITS[tier] ?? '')
+  .split(',')
+  .filter((entry) => entry.trim())
+  .reduce((limits, entry) => {
+    const [token, amounts = ''] = entry.split(':');
+    const [perTransaction, daily, monthly] = amounts.split('/').map((amount) => amount.trim() || undefined);
+    limits[token.trim().toUpperCase()] = { perTransaction, daily, monthly };
+    return limits;
+  }, {});
+
+// Points each risk rule adds to a transfer's score when it matches
+const DEFAULT_RISK_RULE_SCORES = {
+  newRecipient: 20,
+  unusualAmount: 30,
+  sendBurst: 30,
+  recentPinChange: 40,
+  recipientFanIn: 30,
+};
+
 module.exports = {
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
+    publicUrl: process.env.PUBLIC_URL,
   },
   mongo: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/paytos',
@@ -12,23 +85,148 @@ module.exports = {
     accountSid: process.env.TWILIO_ACCOUNT_SID,
     authToken: process.env.TWILIO_AUTH_TOKEN,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+    validateSignature: process.env.TWILIO_VALIDATE_SIGNATURE !== 'false',
+  },
+  escrow: {
+    claimWindowHours: parseInt(process.env.ESCROW_CLAIM_WINDOW_HOURS, 10) || 72,
+    checkIntervalMinutes: parseInt(process.env.ESCROW_CHECK_INTERVAL_MINUTES, 10) || 15,
+  },
+  queue: {
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 1000,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 6,
+    backoffBaseSeconds: parseInt(process.env.QUEUE_BACKOFF_BASE_SECONDS, 10) || 5,
+    backoffMaxSeconds: parseInt(process.env.QUEUE_BACKOFF_MAX_SECONDS, 10) || 300,
+    // Jobs locked for longer than this are assumed to belong to a crashed worker
+    lockTimeoutSeconds: parseInt(process.env.QUEUE_LOCK_TIMEOUT_SECONDS, 10) || 300,
+    // Run a transfer worker inside the web server as well as in `npm run worker` processes
+    embeddedWorker: process.env.QUEUE_EMBEDDED_WORKER !== 'false',
+  },
+  ledger: {
+    // Settle transfers between registered users on the internal ledger instead of on-chain
+    enabled: process.env.LEDGER_ENABLED !== 'false',
+    settlementIntervalMinutes: parseInt(process.env.LEDGER_SETTLEMENT_INTERVAL_MINUTES, 10) || 60,
+    // Transfers per Solana transaction when settling
+    settlementBatchSize: parseInt(process.env.LEDGER_SETTLEMENT_BATCH_SIZE, 10) || 4,
+  },
+  balances: {
+    // Cached balances older than this are refreshed from the chain before they are shown
+    maxAgeSeconds: parseInt(process.env.BALANCE_MAX_AGE_SECONDS, 10) || 60,
+    refreshIntervalSeconds: parseInt(process.env.BALANCE_REFRESH_INTERVAL_SECONDS, 10) || 60,
+    // Users refreshed per background run, and how recently they must have been active
+    refreshBatchSize: parseInt(process.env.BALANCE_REFRESH_BATCH_SIZE, 10) || 100,
+    activeDays: parseInt(process.env.BALANCE_REFRESH_ACTIVE_DAYS, 10) || 30,
+  },
+  withdrawals: {
+    // Addresses withdrawals may go to straight away (comma-separated)
+    allowlist: (process.env.WITHDRAWAL_ALLOWLIST || '').split(',').map((address) => address.trim()).filter(Boolean),
+    // Refuse withdrawals to any address not on the allowlist
+    allowlistOnly: process.env.WITHDRAWAL_ALLOWLIST_ONLY === 'true',
+    // Delay before the first withdrawal to an address is sent, unless it is on the allowlist
+    firstTimeDelayMinutes: parseInt(process.env.WITHDRAWAL_FIRST_TIME_DELAY_MINUTES, 10) || 0,
+  },
+  deposits: {
+    // polling: watch wallets' signature history over RPC, local: simulated deposits for development
+    source: (process.env.DEPOSIT_SOURCE || 'polling').toLowerCase(),
+    pollIntervalSeconds: parseInt(process.env.DEPOSIT_POLL_INTERVAL_SECONDS, 10) || 60,
+    // Signatures read per RPC call when checking a wallet's history
+    signatureLimit: parseInt(process.env.DEPOSIT_SIGNATURE_LIMIT, 10) || 25,
+    inboxFile: process.env.DEPOSIT_INBOX_FILE,
+  },
+  i18n: {
+    defaultLocale: (process.env.DEFAULT_LOCALE || 'en').toLowerCase(),
+  },
+  sms: {
+    gateway: (process.env.SMS_GATEWAY || 'twilio').toLowerCase(),
+    outboxFile: process.env.SMS_OUTBOX_FILE,
   },
   solana: {
     rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com',
     masterWalletSecret: process.env.SOLANA_MASTER_WALLET_SECRET,
   },
+  sponsorship: {
+    // Network fees and account rent (in lamports) the master wallet covers per user each period
+    budgetLamports: parseInt(process.env.SPONSORSHIP_BUDGET_LAMPORTS, 10) || 5000000,
+    periodDays: parseInt(process.env.SPONSORSHIP_PERIOD_DAYS, 10) || 30,
+  },
+  fees: {
+    // Flat fee per transfer, charged in the token being sent (e.g. "USDC:0.05,USDT:0.05")
+    transfer: (process.env.TRANSFER_FEES || '')
+      .split(',')
+      .filter(Boolean)
+      .reduce((fees, entry) => {
+        // Kept as text and converted to the token's smallest unit once its decimals are known
+        const [token, amount] = entry.split(':');
+        fees[token.trim().toUpperCase()] = (amount || '').trim();
+        return fees;
+      }, {}),
+  },
+  limits: {
+    // Account tiers, lowest first; new users start in the default tier
+    tiers: accountTiers,
+    defaultTier: (process.env.DEFAULT_ACCOUNT_TIER || accountTiers[0]).toLowerCase(),
+    byTier: Object.fromEntries(accountTiers.map((tier) => [tier, getTierLimits(tier)])),
+  },
+  risk: {
+    // Score outgoing transfers and withdrawals before they are executed
+    enabled: process.env.RISK_ENABLED !== 'false',
+    // Transfers scoring at least delayScore wait delayMinutes; at least reviewScore wait for an admin
+    delayScore: parseInt(process.env.RISK_DELAY_SCORE, 10) || 30,
+    reviewScore: parseInt(process.env.RISK_REVIEW_SCORE, 10) || 60,
+    delayMinutes: parseInt(process.env.RISK_DELAY_MINUTES, 10) || 30,
+    // Rule weights (e.g. "newRecipient:20,recentPinChange:40"); 0 turns a rule off
+    ruleScores: (process.env.RISK_RULE_SCORES || '')
+      .split(',')
+      .filter(Boolean)
+      .reduce((scores, entry) => {
+        const [rule, score] = entry.split(':');
+        scores[rule.trim()] = parseInt(score, 10) || 0;
+        return scores;
+      }, { ...DEFAULT_RISK_RULE_SCORES }),
+    // unusualAmount: more than this many times the sender's largest recent transfer in the token
+    unusualAmountMultiplier: parseInt(process.env.RISK_UNUSUAL_AMOUNT_MULTIPLIER, 10) || 5,
+    historySize: parseInt(process.env.RISK_HISTORY_SIZE, 10) || 20,
+    // sendBurst: this many sends within the window, counting the new one
+    burstCount: parseInt(process.env.RISK_BURST_COUNT, 10) || 5,
+    burstWindowMinutes: parseInt(process.env.RISK_BURST_WINDOW_MINUTES, 10) || 10,
+    // recentPinChange: the PIN was changed or reset this recently
+    pinChangeHours: parseInt(process.env.RISK_PIN_CHANGE_HOURS, 10) || 24,
+    // recipientFanIn: the recipient was paid by this many different senders within the window
+    fanInSenders: parseInt(process.env.RISK_FAN_IN_SENDERS, 10) || 5,
+    fanInWindowMinutes: parseInt(process.env.RISK_FAN_IN_WINDOW_MINUTES, 10) || 60,
+  },
   encryption: {
-    key: process.env.ENCRYPTION_KEY,
+    // Where wallet data keys are wrapped: local (a master key file) or kms
+    keyProvider: process.env.KEY_PROVIDER || 'local',
+    // JSON file of master keys by version, with the version new data keys are wrapped under
+    masterKeyFile: process.env.MASTER_KEY_FILE || 'config/master-keys.json',
+    // KMS key that wraps data keys, when KEY_PROVIDER is kms
+    kmsKeyId: process.env.KMS_KEY_ID,
+    // Passphrase of wallet keys and PIN hashes from before envelope encryption; only read to migrate them
+    legacyKey: process.env.ENCRYPTION_KEY,
   },
+  security: {
+    pinMaxAttempts: parseInt(process.env.PIN_MAX_ATTEMPTS, 10) || 5,
+    lockoutBaseMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15,
+    lockoutMaxMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 24 * 60,
+    pinResetCodeTtlMinutes: parseInt(process.env.PIN_RESET_CODE_TTL_MINUTES, 10) || 10,
+    pinResetMaxAttempts: parseInt(process.env.PIN_RESET_MAX_ATTEMPTS, 10) || 3,
+    // A number gets at most pinResetMaxCodes codes per pinResetPeriodHours, pinResetCooldownMinutes apart
+    pinResetCooldownMinutes: parseInt(process.env.PIN_RESET_COOLDOWN_MINUTES, 10) || 2,
+    pinResetMaxCodes: parseInt(process.env.PIN_RESET_MAX_CODES, 10) || 3,
+    pinResetPeriodHours: parseInt(process.env.PIN_RESET_PERIOD_HOURS, 10) || 24,
+  },
+  // Read through src/utils/tokenRegistry rather than directly
   supportedTokens: {
-    list: (process.env.SUPPORTED_TOKENS || 'USDC,USDT,PYUSD,SOL').split(','),
-    mints: {
-      USDC: process.env.USDC_MINT || 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-      USDT: process.env.USDT_MINT || 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
-      PYUSD: process.env.PYUSD_MINT || '9idXDPGb5jfwaf5fxjiDHjcugpYVrJHiM4rR8G9yqXW7',
-    },
+    list: tokenSymbols,
+    tokens: Object.fromEntries(tokenSymbols.map((symbol) => [symbol, getTokenSettings(symbol)])),
   },
   jwt: {
-    secret: process.env.JWT_SECRET || 'your_default_jwt_secret_for_development',
+    // No fallback: the admin API isn't mounted unless this is set
+    secret: process.env.JWT_SECRET,
+    // Admin tokens must carry this audience and role: 'admin'
+    audience: process.env.JWT_AUDIENCE || 'paytos-admin',
+  },
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY,
   },
 }; 
\ No newline at end of file
@@ -0,0 +1,462 @@
+const { validationResult, matchedData } = require('express-validator');
+const userService = require('../services/userService');
+const transactionService = require('../services/transactionService');
+const smsService = require('../services/smsService');
+const escrowService = require('../services/escrowService');
+const inboundMessageService = require('../services/inboundMessageService');
+const ledgerService = require('../services/ledgerService');
+const settlementService = require('../services/settlementService');
+const riskService = require('../services/riskService');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Send a JSON error response, using 404 for missing resources
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error to report
+ */
+const sendError = (res, error) => {
+  const status = /not found/i.test(error.message) ? 404 : 500;
+  res.status(status).json({
+    error: status === 404 ? error.message : 'Internal Server Error',
+  });
+};
+
+/**
+ * Validate the request and extract its sanitized parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} The validated parameters, or null if a 400 was sent
+ */
+const getValidatedParams = (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Invalid request',
+      details: errors.array(),
+    });
+    return null;
+  }
+
+  return matchedData(req);
+};
+
+/**
+ * Format a user for API responses, leaving out secrets
+ * @param {Object} user - User document
+ * @returns {Object} The public user fields
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  phoneNumber: user.phoneNumber,
+  walletAddress: user.walletAddress,
+  isVerified: user.isVerified,
+  isLocked: user.isLocked,
+  tier: user.tier,
+  lockedUntil: user.lockedUntil,
+  lockoutCount: user.lockoutCount,
+  pinFailAttempts: user.pinFailAttempts,
+  tokenBalances: user.tokenBalances,
+  balancesUpdatedAt: user.balancesUpdatedAt,
+  ledgerPositions: user.ledgerPositions,
+  reservedBalances: user.reservedBalances,
+  sponsorship: user.sponsorship,
+  lastActivity: user.lastActivity,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Look up a user by phone number
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUser = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const user = await userService.getUserByPhone(params.phoneNumber);
+    res.status(200).json({ user: formatUser(user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List a user's sent and received transactions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserTransactions = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    await userService.getUserByPhone(params.phoneNumber);
+
+    const result = await transactionService.listTransactions(
+      {
+        phoneNumber: params.phoneNumber,
+        status: params.status,
+        kind: params.kind,
+        token: params.token,
+        from: params.from,
+        to: params.to,
+      },
+      { page: params.page, limit: params.limit }
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Unlock a user account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlockUser = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const user = await userService.unlockUser(
+      params.phoneNumber,
+      `admin:${req.admin.subject || req.admin.method}`
+    );
+    logger.info(`Admin unlocked account ${params.phoneNumber}`, { admin: req.admin });
+    res.status(200).json({ user: formatUser(user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Move a user to another account tier
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setUserTier = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const user = await userService.setUserTier(
+      params.phoneNumber,
+      params.tier,
+      `admin:${req.admin.subject || req.admin.method}`
+    );
+    logger.info(`Admin set the tier of ${params.phoneNumber} to ${params.tier}`, { admin: req.admin });
+    res.status(200).json({ user: formatUser(user) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List a user's account lock, unlock and tier history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserSecurityEvents = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    await userService.getUserByPhone(params.phoneNumber);
+    const events = await userService.getSecurityEvents(params.phoneNumber);
+    res.status(200).json({ events });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List transactions across all users
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listTransactions = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const result = await transactionService.listTransactions(
+      {
+        status: params.status,
+        kind: params.kind,
+        token: params.token,
+        from: params.from,
+        to: params.to,
+      },
+      { page: params.page, limit: params.limit }
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List transactions that have been queued or submitted for longer than expected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listStuckTransactions = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const cutoff = new Date(Date.now() - params.olderThanMinutes * 60 * 1000);
+
+    const result = await transactionService.listTransactions(
+      {
+        status: ['queued', 'submitted'],
+        token: params.token,
+        to: cutoff,
+      },
+      { page: params.page, limit: params.limit }
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Resend the receipt SMS for a confirmed transaction to its recipient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendReceipt = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const transaction = await transactionService.getTransactionById(params.id);
+
+    if (transaction.status !== 'confirmed') {
+      res.status(409).json({
+        error: `Transaction is ${transaction.status}`,
+      });
+      return;
+    }
+
+    const recipient = await userService.getUserByPhone(transaction.recipientPhone);
+
+    await smsService.sendTransactionReceipt(
+      transaction.recipientPhone,
+      transaction.senderPhone,
+      transaction.amount,
+      transaction.token,
+      userService.getTotalBalances(recipient)[transaction.token]
+    );
+
+    logger.info(`Admin resent receipt for transaction ${transaction._id}`, { admin: req.admin });
+    res.status(200).json({ status: 'sent' });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Release a transfer held for review by the risk checks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveHeldTransaction = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const transaction = await transactionService.approveHeldTransaction(
+      params.id,
+      `admin:${req.admin.subject || req.admin.method}`
+    );
+    logger.info(`Admin approved held transaction ${transaction._id}`, { admin: req.admin });
+    res.status(200).json({ transaction });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Stop a transfer held for review by the risk checks and tell the sender
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectHeldTransaction = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const transaction = await transactionService.rejectHeldTransaction(
+      params.id,
+      `admin:${req.admin.subject || req.admin.method}`
+    );
+    logger.info(`Admin rejected held transaction ${transaction._id}`, { admin: req.admin });
+
+    try {
+      await notificationService.notifyTransactionFailed(transaction, transaction.errorMessage);
+    } catch (error) {
+      // The transfer is already stopped
+      logger.error(`Failed to notify sender of rejected transaction: ${error.message}`);
+    }
+
+    res.status(200).json({ transaction });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List risk assessments of outgoing transfers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listRiskAssessments = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const result = await riskService.listAssessments(
+      {
+        decision: params.decision,
+        phoneNumber: params.phoneNumber,
+      },
+      { page: params.page, limit: params.limit }
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List escrow payments to unregistered recipients
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listEscrows = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const result = await escrowService.listEscrows(
+      {
+        status: params.status,
+        phoneNumber: params.phoneNumber,
+      },
+      { page: params.page, limit: params.limit }
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List inbound SMS messages and how each one was handled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listInboundMessages = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const result = await inboundMessageService.listInboundMessages(
+      {
+        phoneNumber: params.phoneNumber,
+        status: params.status,
+        command: params.command,
+      },
+      { page: params.page, limit: params.limit }
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Look up an inbound SMS message by its gateway message ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getInboundMessage = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const message = await inboundMessageService.getInboundMessage(params.messageId);
+    res.status(200).json({ message });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Report whether the internal ledger balances and is backed by on-chain holdings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLedgerReport = async (req, res) => {
+  try {
+    const report = await ledgerService.getLedgerReport();
+    res.status(200).json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * List batches of ledger positions settled on-chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listSettlements = async (req, res) => {
+  const params = getValidatedParams(req, res);
+  if (!params) return;
+
+  try {
+    const result = await settlementService.listSettlements(
+      {
+        status: params.status,
+        token: params.token,
+      },
+      { page: params.page, limit: params.limit }
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  getUser,
+  getUserTransactions,
+  unlockUser,
+  setUserTier,
+  getUserSecurityEvents,
+  listTransactions,
+  listStuckTransactions,
+  resendReceipt,
+  approveHeldTransaction,
+  rejectHeldTransaction,
+  listRiskAssessments,
+  listEscrows,
+  listInboundMessages,
+  getInboundMessage,
+  getLedgerReport,
+  listSettlements,
+};
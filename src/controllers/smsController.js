@@ -2,74 +2,66 @@ const smsParser = require('../utils/smsParser');
 const userService = require('../services/userService');
 const transactionService = require('../services/transactionService');
 const smsService = require('../services/smsService');
+const escrowService = require('../services/escrowService');
+const sponsorshipService = require('../services/sponsorshipService');
+const inboundMessageService = require('../services/inboundMessageService');
+const notificationService = require('../services/notificationService');
+const limitService = require('../services/limitService');
+const tokenRegistry = require('../utils/tokenRegistry');
 const logger = require('../utils/logger');
+const config = require('../../config/config');
+const { getGateway } = require('../gateways');
+
+// Reply to a command that failed unexpectedly
+const COMMAND_FAILED = 'Something went wrong. Please try again later.';
 
 /**
  * Handle incoming SMS messages
+ * Each message ID is only processed once, so gateway retries can't repeat a command. A command that
+ * fails is therefore answered with an error SMS and acknowledged, since a retry would be ignored
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const handleIncomingSms = async (req, res) => {
+  const gateway = getGateway();
+  
   try {
-    const { Body: messageText, From: phoneNumber } = req.body;
+    const { body: messageText, from: phoneNumber, messageId } = gateway.parseInbound(req);
     
-    logger.info(`Received SMS from ${phoneNumber}: ${messageText}`);
+    logger.info(`Received SMS from ${phoneNumber}${messageId ? ` (${messageId})` : ''}`);
     
     // Parse the SMS command
     const parsedCommand = smsParser.parseSmsCommand(messageText);
     
-    // Handle errors in command parsing
-    if (parsedCommand.error) {
-      await smsService.sendErrorMessage(phoneNumber, parsedCommand.error);
-      
-      // Send a response to Twilio (empty TwiML to avoid default Twilio response)
-      res.set('Content-Type', 'text/xml');
-      res.send('<Response></Response>');
+    // Record the message first; a retry of one we've already seen is a no-op
+    const inboundMessage = await inboundMessageService.recordInboundMessage(
+      { messageId, gateway: gateway.name, phoneNumber, body: messageText },
+      parsedCommand
+    );
+    
+    if (!inboundMessage) {
+      gateway.acknowledge(res);
       return;
     }
     
-    // Handle each command type
-    switch (parsedCommand.command) {
-      case 'REGISTER':
-        await handleRegisterCommand(phoneNumber, parsedCommand.pin);
-        break;
-        
-      case 'BALANCE':
-        await handleBalanceCommand(phoneNumber, parsedCommand.pin);
-        break;
-        
-      case 'SEND':
-        await handleSendCommand(
-          phoneNumber,
-          parsedCommand.recipient,
-          parsedCommand.amount,
-          parsedCommand.token,
-          parsedCommand.pin
-        );
-        break;
-        
-      case 'CONFIRM':
-        await handleConfirmCommand(phoneNumber, parsedCommand.confirmationCode, parsedCommand.pin);
-        break;
-        
-      case 'HELP':
-        await handleHelpCommand(phoneNumber);
-        break;
-        
-      case 'YES':
-        await handleYesCommand(phoneNumber);
-        break;
-        
-      default:
-        await smsService.sendErrorMessage(
-          phoneNumber,
-          'Unrecognized command. Text HELP for available commands.'
-        );
+    let outcome;
+    try {
+      outcome = (await dispatchCommand(phoneNumber, parsedCommand)) || { status: 'processed' };
+    } catch (error) {
+      logger.error(`Failed to run SMS command from ${phoneNumber}: ${error.message}`);
+      outcome = { status: 'failed', errorMessage: error.message };
+      
+      try {
+        await smsService.sendErrorMessage(phoneNumber, COMMAND_FAILED);
+      } catch (replyError) {
+        logger.error(`Failed to send error reply to ${phoneNumber}: ${replyError.message}`);
+      }
     }
     
-    // Send a response to Twilio (empty TwiML)
-    res.set('Content-Type', 'text/xml');
-    res.send('<Response></Response>');
+    await inboundMessageService.recordOutcome(inboundMessage._id, outcome);
+    
+    // Acknowledge the webhook
+    gateway.acknowledge(res);
   } catch (error) {
     logger.error(`Error handling SMS: ${error.message}`);
     res.status(500).send({
@@ -78,6 +70,103 @@ const handleIncomingSms = async (req, res) => {
   }
 };
 
+/**
+ * Run a parsed SMS command
+ * @param {string} phoneNumber - User phone number
+ * @param {Object} parsedCommand - The parsed command
+ * @returns {Promise<Object|undefined>} The processing outcome, if there is more to record than success
+ */
+const dispatchCommand = async (phoneNumber, parsedCommand) => {
+  // Handle errors in command parsing
+  if (parsedCommand.error) {
+    return rejectCommand(phoneNumber, parsedCommand.error);
+  }
+  
+  // Handle each command type
+  switch (parsedCommand.command) {
+    case 'REGISTER':
+      return handleRegisterCommand(phoneNumber, parsedCommand.pin);
+      
+    case 'BALANCE':
+      return handleBalanceCommand(phoneNumber, parsedCommand.pin);
+      
+    case 'SEND':
+      return handleSendCommand(
+        phoneNumber,
+        parsedCommand.recipient,
+        parsedCommand.amount,
+        parsedCommand.token,
+        parsedCommand.pin,
+        parsedCommand.recipientName
+      );
+      
+    case 'WITHDRAW':
+      return handleWithdrawCommand(
+        phoneNumber,
+        parsedCommand.address,
+        parsedCommand.amount,
+        parsedCommand.token,
+        parsedCommand.pin
+      );
+      
+    case 'CONFIRM':
+      return handleConfirmCommand(phoneNumber, parsedCommand.confirmationCode, parsedCommand.pin);
+      
+    case 'ADDRESS':
+      return handleAddressCommand(phoneNumber, parsedCommand.pin, parsedCommand.token);
+      
+    case 'LIMITS':
+      return handleLimitsCommand(phoneNumber, parsedCommand.pin);
+      
+    case 'HISTORY':
+      return handleHistoryCommand(phoneNumber, parsedCommand.pin, parsedCommand.count);
+      
+    case 'PIN':
+      return handlePinChangeCommand(phoneNumber, parsedCommand.pin, parsedCommand.newPin);
+      
+    case 'RESET':
+      return handleResetCommand(phoneNumber, parsedCommand.resetCode, parsedCommand.newPin);
+      
+    case 'ALIAS':
+      return handleAliasCommand(phoneNumber, parsedCommand.name, parsedCommand.phoneNumber);
+      
+    case 'ALIASES':
+      return handleAliasesCommand(phoneNumber);
+      
+    case 'UNALIAS':
+      return handleUnaliasCommand(phoneNumber, parsedCommand.name);
+      
+    case 'LANG':
+      return handleLangCommand(phoneNumber, parsedCommand.locale);
+      
+    case 'HELP':
+      return handleHelpCommand(phoneNumber);
+      
+    case 'YES':
+      return handleYesCommand(phoneNumber, parsedCommand.confirmationCode);
+      
+    case 'CANCEL':
+      return handleCancelCommand(phoneNumber, parsedCommand.confirmationCode);
+      
+    default:
+      return rejectCommand(
+        phoneNumber,
+        'Unrecognized command. Text HELP for available commands.'
+      );
+  }
+};
+
+/**
+ * Reply with an error message and report the command as rejected
+ * @param {string} phoneNumber - User phone number
+ * @param {string|Error} error - English error message, or the error itself so values in it are translated too
+ * @returns {Promise<Object>} The processing outcome
+ */
+const rejectCommand = async (phoneNumber, error) => {
+  await smsService.sendErrorMessage(phoneNumber, error);
+  return { status: 'rejected', errorMessage: typeof error === 'string' ? error : error.message };
+};
+
 /**
  * Handle REGISTER command
  * @param {string} phoneNumber - User phone number
@@ -85,10 +174,19 @@ const handleIncomingSms = async (req, res) => {
  */
 const handleRegisterCommand = async (phoneNumber, pin) => {
   try {
-    await userService.registerUser(phoneNumber, pin);
+    const user = await userService.registerUser(phoneNumber, pin);
+    
+    // Queue payouts of anything sent to this number before it registered. The user is
+    // registered either way, so a failure here is logged rather than reported to them
+    try {
+      await escrowService.claimEscrowsForUser(user);
+    } catch (error) {
+      logger.error(`Failed to claim escrows for ${phoneNumber}: ${error.message}`);
+    }
+    
     await smsService.sendRegistrationConfirmation(phoneNumber);
   } catch (error) {
-    await smsService.sendErrorMessage(phoneNumber, error.message);
+    return rejectCommand(phoneNumber, error);
   }
 };
 
@@ -103,17 +201,66 @@ const handleBalanceCommand = async (phoneNumber, pin) => {
     const isPinValid = await userService.verifyUserPin(phoneNumber, pin);
     
     if (!isPinValid) {
-      await smsService.sendErrorMessage(phoneNumber, 'Invalid PIN');
-      return;
+      return rejectCommand(phoneNumber, 'Invalid PIN');
     }
     
-    // Get user balances
-    const balances = await userService.getUserBalances(phoneNumber);
+    // Get user balances, less anything reserved by transfers in progress
+    const { available, reserved } = await userService.getBalanceSummary(phoneNumber);
     
     // Send balance information via SMS
-    await smsService.sendBalanceInfo(phoneNumber, balances);
+    await smsService.sendBalanceInfo(phoneNumber, available, reserved);
   } catch (error) {
-    await smsService.sendErrorMessage(phoneNumber, error.message);
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle ADDRESS / DEPOSIT command
+ * @param {string} phoneNumber - User phone number
+ * @param {string} pin - User PIN
+ * @param {string} [token] - Token to send a payment link for
+ */
+const handleAddressCommand = async (phoneNumber, pin, token) => {
+  try {
+    // Verify PIN
+    const isPinValid = await userService.verifyUserPin(phoneNumber, pin);
+    
+    if (!isPinValid) {
+      return rejectCommand(phoneNumber, 'Invalid PIN');
+    }
+    
+    const user = await userService.getUserByPhone(phoneNumber);
+    
+    await smsService.sendDepositAddress(phoneNumber, user.walletAddress, token);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle LIMITS command
+ * @param {string} phoneNumber - User phone number
+ * @param {string} pin - User PIN
+ */
+const handleLimitsCommand = async (phoneNumber, pin) => {
+  try {
+    // Verify PIN
+    const isPinValid = await userService.verifyUserPin(phoneNumber, pin);
+    
+    if (!isPinValid) {
+      return rejectCommand(phoneNumber, 'Invalid PIN');
+    }
+    
+    const user = await userService.getUserByPhone(phoneNumber);
+    
+    const allowances = {};
+    for (const token of tokenRegistry.getEnabledSymbols()) {
+      allowances[token] = (await limitService.getAllowance(user, token)).remaining;
+    }
+    
+    await smsService.sendSpendingLimits(phoneNumber, user.tier, allowances);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
   }
 };
 
@@ -121,37 +268,131 @@ const handleBalanceCommand = async (phoneNumber, pin) => {
  * Handle SEND command
  * @param {string} senderPhone - Sender phone number
  * @param {string} recipientPhone - Recipient phone number
- * @param {number} amount - Amount to send
+ * @param {number} amount - Amount to send in the token's smallest unit
  * @param {string} token - Token symbol
  * @param {string} pin - User PIN
+ * @param {string} [recipientName] - Contact nickname to send to instead of a phone number
  */
-const handleSendCommand = async (senderPhone, recipientPhone, amount, token, pin) => {
+const handleSendCommand = async (senderPhone, recipientPhone, amount, token, pin, recipientName) => {
   try {
     // Verify PIN
     const isPinValid = await userService.verifyUserPin(senderPhone, pin);
     
     if (!isPinValid) {
-      await smsService.sendErrorMessage(senderPhone, 'Invalid PIN');
-      return;
+      return rejectCommand(senderPhone, 'Invalid PIN');
     }
     
+    // Resolve a contact nickname to the real phone number
+    const resolvedPhone = recipientName
+      ? await userService.resolveContact(senderPhone, recipientName)
+      : recipientPhone;
+    
     // Create a pending transaction
     const pendingTx = await transactionService.createPendingTransaction(
       senderPhone,
-      recipientPhone,
+      resolvedPhone,
       amount,
-      token
+      token,
+      recipientName
     );
     
     // Send confirmation request
     await smsService.sendTransactionConfirmationRequest(
       senderPhone,
-      recipientPhone,
+      resolvedPhone,
+      amount,
+      token,
+      pendingTx.confirmationCode,
+      recipientName,
+      sponsorshipService.getTransferFee(token)
+    );
+  } catch (error) {
+    return rejectCommand(senderPhone, error);
+  }
+};
+
+/**
+ * Handle WITHDRAW command
+ * @param {string} senderPhone - Sender phone number
+ * @param {string} address - Destination Solana address
+ * @param {number} amount - Amount to withdraw in the token's smallest unit
+ * @param {string} token - Token symbol
+ * @param {string} pin - User PIN
+ */
+const handleWithdrawCommand = async (senderPhone, address, amount, token, pin) => {
+  try {
+    // Verify PIN
+    const isPinValid = await userService.verifyUserPin(senderPhone, pin);
+    
+    if (!isPinValid) {
+      return rejectCommand(senderPhone, 'Invalid PIN');
+    }
+    
+    // Create a pending withdrawal, confirmed with YES like a transfer
+    const pendingWithdrawal = await transactionService.createPendingWithdrawal(
+      senderPhone,
+      address,
       amount,
       token
     );
+    
+    await smsService.sendWithdrawalConfirmationRequest(
+      senderPhone,
+      address,
+      amount,
+      token,
+      pendingWithdrawal.confirmationCode,
+      sponsorshipService.getTransferFee(token)
+    );
   } catch (error) {
-    await smsService.sendErrorMessage(senderPhone, error.message);
+    return rejectCommand(senderPhone, error);
+  }
+};
+
+/**
+ * Tell the sender what happened to a transfer they just confirmed
+ * @param {Object} transaction - The confirmed transaction
+ */
+const acknowledgeTransfer = async (transaction) => {
+  // Risky transfers wait out a cooling-off period or an admin review
+  if (transaction.status === 'held') {
+    await smsService.sendTransactionHeld(
+      transaction.senderPhone,
+      notificationService.getRecipientLabel(transaction),
+      transaction.amount,
+      transaction.token,
+      transaction.releaseAt ? Math.ceil((transaction.releaseAt - Date.now()) / 60000) : null
+    );
+    return;
+  }
+  
+  // Withdrawals to a new address are held back for a while
+  if (transaction.releaseAt && transaction.releaseAt > Date.now()) {
+    await smsService.sendWithdrawalDelayed(
+      transaction.senderPhone,
+      transaction.counterparty,
+      transaction.amount,
+      transaction.token,
+      Math.ceil((transaction.releaseAt - Date.now()) / 60000)
+    );
+    return;
+  }
+  
+  if (transaction.status !== 'confirmed') {
+    await smsService.sendTransactionQueued(
+      transaction.senderPhone,
+      notificationService.getRecipientLabel(transaction),
+      transaction.amount,
+      transaction.token
+    );
+    return;
+  }
+  
+  try {
+    await notificationService.notifyTransactionCompleted(transaction);
+  } catch (error) {
+    // The transfer already went through on the ledger
+    logger.error(`Failed to send completion notifications: ${error.message}`);
   }
 };
 
@@ -167,44 +408,155 @@ const handleConfirmCommand = async (phoneNumber, confirmationCode, pin) => {
     const isPinValid = await userService.verifyUserPin(phoneNumber, pin);
     
     if (!isPinValid) {
-      await smsService.sendErrorMessage(phoneNumber, 'Invalid PIN');
-      return;
+      return rejectCommand(phoneNumber, 'Invalid PIN');
     }
     
-    // Confirm and execute the transaction
+    // Confirm the transaction; ledger transfers settle at once, others go to a worker
     const transaction = await transactionService.confirmTransaction(
       phoneNumber,
       confirmationCode
     );
     
-    // Send completion notification
-    await smsService.sendTransactionCompletion(
-      phoneNumber,
-      transaction.recipientPhone,
-      transaction.amount,
-      transaction.token,
-      (await userService.getUserBalances(phoneNumber))[transaction.token]
-    );
+    await acknowledgeTransfer(transaction);
+    return { status: 'processed', transaction: transaction._id };
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle HISTORY command
+ * @param {string} phoneNumber - User phone number
+ * @param {string} pin - User PIN
+ * @param {number} count - Number of transactions to list
+ */
+const handleHistoryCommand = async (phoneNumber, pin, count) => {
+  try {
+    // Verify PIN
+    const isPinValid = await userService.verifyUserPin(phoneNumber, pin);
+    
+    if (!isPinValid) {
+      return rejectCommand(phoneNumber, 'Invalid PIN');
+    }
+    
+    const transactions = await transactionService.getRecentTransactions(phoneNumber, count);
+    
+    await smsService.sendTransactionHistory(phoneNumber, transactions);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle PIN command (for changing the PIN)
+ * @param {string} phoneNumber - User phone number
+ * @param {string} pin - Current PIN
+ * @param {string} newPin - New PIN
+ */
+const handlePinChangeCommand = async (phoneNumber, pin, newPin) => {
+  try {
+    // Verify current PIN
+    const isPinValid = await userService.verifyUserPin(phoneNumber, pin);
+    
+    if (!isPinValid) {
+      return rejectCommand(phoneNumber, 'Invalid PIN');
+    }
+    
+    await userService.changePin(phoneNumber, newPin);
+    await smsService.sendPinChangeConfirmation(phoneNumber);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle RESET command
+ * Without a code, issues a one-time code to this number; with one, sets the new PIN
+ * @param {string} phoneNumber - User phone number
+ * @param {string} [resetCode] - One-time reset code
+ * @param {string} [newPin] - New PIN
+ */
+const handleResetCommand = async (phoneNumber, resetCode, newPin) => {
+  try {
+    if (!resetCode) {
+      const code = await userService.requestPinReset(phoneNumber);
+      await smsService.sendPinResetCode(phoneNumber, code, config.security.pinResetCodeTtlMinutes);
+      return;
+    }
+    
+    const user = await userService.completePinReset(phoneNumber, resetCode, newPin);
+    
+    // Stop transfers held by risk checks; the cooling-off notice tells anyone who didn't make one to reset their PIN
+    const cancelled = await transactionService.cancelHeldTransactions(user._id);
+    
+    await smsService.sendPinResetConfirmation(phoneNumber);
     
-    // Send receipt to recipient
     try {
-      const recipient = await userService.getUserByPhone(transaction.recipientPhone);
-      
-      if (recipient && recipient.isVerified) {
-        await smsService.sendTransactionReceipt(
-          transaction.recipientPhone,
-          transaction.senderPhone,
-          transaction.amount,
-          transaction.token,
-          recipient.tokenBalances[transaction.token]
-        );
+      for (const transaction of cancelled) {
+        await notificationService.notifyTransactionFailed(transaction, transaction.errorMessage);
       }
     } catch (error) {
-      logger.error(`Failed to send receipt: ${error.message}`);
-      // Continue even if sending receipt fails
+      // The transfers are already stopped
+      logger.error(`Failed to notify sender of cancelled transactions: ${error.message}`);
     }
   } catch (error) {
-    await smsService.sendErrorMessage(phoneNumber, error.message);
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle ALIAS command (for saving a contact)
+ * @param {string} phoneNumber - User phone number
+ * @param {string} name - Contact nickname
+ * @param {string} contactPhone - Contact phone number
+ */
+const handleAliasCommand = async (phoneNumber, name, contactPhone) => {
+  try {
+    const contact = await userService.saveContact(phoneNumber, name, contactPhone);
+    await smsService.sendContactSaved(phoneNumber, contact);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle ALIASES command (for listing contacts)
+ * @param {string} phoneNumber - User phone number
+ */
+const handleAliasesCommand = async (phoneNumber) => {
+  try {
+    const contacts = await userService.getContacts(phoneNumber);
+    await smsService.sendContactList(phoneNumber, contacts);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle UNALIAS command (for removing a contact)
+ * @param {string} phoneNumber - User phone number
+ * @param {string} name - Contact nickname
+ */
+const handleUnaliasCommand = async (phoneNumber, name) => {
+  try {
+    const contact = await userService.removeContact(phoneNumber, name);
+    await smsService.sendContactRemoved(phoneNumber, contact);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle LANG command
+ * @param {string} phoneNumber - User phone number
+ * @param {string} locale - Locale code
+ */
+const handleLangCommand = async (phoneNumber, locale) => {
+  try {
+    await userService.setLanguage(phoneNumber, locale);
+    await smsService.sendLanguageConfirmation(phoneNumber);
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
   }
 };
 
@@ -216,71 +568,75 @@ const handleHelpCommand = async (phoneNumber) => {
   try {
     await smsService.sendHelpMessage(phoneNumber);
   } catch (error) {
-    await smsService.sendErrorMessage(phoneNumber, error.message);
+    return rejectCommand(phoneNumber, error);
   }
 };
 
 /**
  * Handle YES command (for confirming transactions)
  * @param {string} phoneNumber - User phone number
+ * @param {string} [confirmationCode] - Code of the transfer to confirm
  */
-const handleYesCommand = async (phoneNumber) => {
+const handleYesCommand = async (phoneNumber, confirmationCode) => {
   try {
-    // Find the most recent pending transaction for this phone number
-    const PendingTransaction = require('../models/PendingTransaction');
-    const pendingTx = await PendingTransaction.findOne({ 
-      senderPhone: phoneNumber 
-    }).sort({ createdAt: -1 });
-    
-    if (!pendingTx) {
-      await smsService.sendErrorMessage(
-        phoneNumber,
-        'No pending transaction to confirm.'
-      );
-      return;
-    }
+    let code = confirmationCode;
     
-    // Create and execute the transaction
-    const transaction = await transactionService.createTransaction(
-      pendingTx.senderPhone,
-      pendingTx.recipientPhone,
-      pendingTx.amount,
-      pendingTx.token
-    );
-    
-    const completedTransaction = await transactionService.executeTransaction(transaction._id);
+    // Without a code, only confirm when there is exactly one pending transfer
+    if (!code) {
+      const pendingTransactions = await transactionService.getActivePendingTransactions(phoneNumber);
+      
+      if (pendingTransactions.length === 0) {
+        return rejectCommand(phoneNumber, 'No pending transaction to confirm.');
+      }
+      
+      if (pendingTransactions.length > 1) {
+        await smsService.sendPendingTransactionChoice(phoneNumber, pendingTransactions, 'YES');
+        return;
+      }
+      
+      code = pendingTransactions[0].confirmationCode;
+    }
     
-    // Remove the pending transaction
-    await pendingTx.remove();
+    // Confirm the transaction; ledger transfers settle at once, others go to a worker
+    const transaction = await transactionService.confirmTransaction(phoneNumber, code);
     
-    // Send completion notification
-    await smsService.sendTransactionCompletion(
-      phoneNumber,
-      completedTransaction.recipientPhone,
-      completedTransaction.amount,
-      completedTransaction.token,
-      (await userService.getUserBalances(phoneNumber))[completedTransaction.token]
-    );
+    await acknowledgeTransfer(transaction);
+    return { status: 'processed', transaction: transaction._id };
+  } catch (error) {
+    return rejectCommand(phoneNumber, error);
+  }
+};
+
+/**
+ * Handle NO / CANCEL command (for cancelling pending transactions)
+ * @param {string} phoneNumber - User phone number
+ * @param {string} [confirmationCode] - Code of the transfer to cancel
+ */
+const handleCancelCommand = async (phoneNumber, confirmationCode) => {
+  try {
+    let code = confirmationCode;
     
-    // Send receipt to recipient
-    try {
-      const recipient = await userService.getUserByPhone(completedTransaction.recipientPhone);
+    // Without a code, only cancel when there is exactly one pending transfer
+    if (!code) {
+      const pendingTransactions = await transactionService.getActivePendingTransactions(phoneNumber);
       
-      if (recipient && recipient.isVerified) {
-        await smsService.sendTransactionReceipt(
-          completedTransaction.recipientPhone,
-          completedTransaction.senderPhone,
-          completedTransaction.amount,
-          completedTransaction.token,
-          recipient.tokenBalances[completedTransaction.token]
-        );
+      if (pendingTransactions.length === 0) {
+        return rejectCommand(phoneNumber, 'No pending transaction to cancel.');
       }
-    } catch (error) {
-      logger.error(`Failed to send receipt: ${error.message}`);
-      // Continue even if sending receipt fails
+      
+      if (pendingTransactions.length > 1) {
+        await smsService.sendPendingTransactionChoice(phoneNumber, pendingTransactions, 'CANCEL');
+        return;
+      }
+      
+      code = pendingTransactions[0].confirmationCode;
     }
+    
+    const cancelledTx = await transactionService.cancelPendingTransaction(phoneNumber, code);
+    
+    await smsService.sendTransactionCancellation(phoneNumber, cancelledTx);
   } catch (error) {
-    await smsService.sendErrorMessage(phoneNumber, error.message);
+    return rejectCommand(phoneNumber, error);
   }
 };
 
@@ -0,0 +1,58 @@
+const config = require('../../config/config');
+const pollingSource = require('./pollingSource');
+const localSource = require('./localSource');
+
+/**
+ * A transfer into a custodial wallet seen on-chain
+ * @typedef {Object} Deposit
+ * @property {string} signature - Solana transaction signature
+ * @property {string} walletAddress - Custodial wallet that was credited
+ * @property {string} token - Token symbol
+ * @property {number} amount - Amount credited, in the token's smallest unit
+ * @property {string|null} counterparty - Wallet the funds came from, if known
+ * @property {Array<string>} signers - Public keys that signed the transaction
+ * @property {Date} receivedAt - Block time of the transaction
+ */
+
+/**
+ * A source of incoming transfers to custodial wallets
+ * @typedef {Object} DepositSource
+ * @property {string} name - Source name, as used in DEPOSIT_SOURCE
+ * @property {function(string, Object): Promise<Object>} fetchDeposits - Given a wallet address and
+ *   its cursors from the last call, resolve to { deposits, cursors }
+ * @property {function(): Object} [getInitialCursors] - Cursors for a new wallet, so its first
+ *   deposits are reported
+ */
+
+const sources = {
+  [pollingSource.name]: pollingSource,
+  [localSource.name]: localSource,
+};
+
+/**
+ * Get the deposit source selected in the configuration
+ * @returns {DepositSource} The deposit source
+ */
+const getDepositSource = () => {
+  const source = sources[config.deposits.source];
+
+  if (!source) {
+    throw new Error(`Unsupported deposit source: ${config.deposits.source}`);
+  }
+
+  return source;
+};
+
+/**
+ * Get the deposit cursors to store for a wallet Paytos has just created
+ * @returns {Object} The cursors
+ */
+const getInitialCursors = () => {
+  const source = getDepositSource();
+  return source.getInitialCursors ? source.getInitialCursors() : {};
+};
+
+module.exports = {
+  getDepositSource,
+  getInitialCursors,
+};
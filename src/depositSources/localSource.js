@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const tokenRegistry = require('../utils/tokenRegistry');
+
+// Simulated deposits not yet picked up
+const pending = [];
+
+// Bytes of the inbox file already read
+let inboxOffset = 0;
+
+/**
+ * Queue a simulated deposit into a custodial wallet
+ * @param {Object} deposit - The deposit
+ * @param {string} deposit.walletAddress - Wallet to credit
+ * @param {string} deposit.token - Token symbol
+ * @param {number|string} deposit.amount - Amount to credit, in whole tokens
+ * @param {string} [deposit.from] - Sending wallet address
+ * @returns {Object} The queued deposit
+ */
+const simulateDeposit = ({ walletAddress, token, amount, from }) => {
+  const symbol = token.toUpperCase();
+  const deposit = {
+    signature: `LOCAL${crypto.randomBytes(16).toString('hex')}`,
+    walletAddress,
+    token: symbol,
+    amount: tokenRegistry.parseAmount(symbol, amount),
+    counterparty: from || null,
+    signers: from ? [from] : [],
+    receivedAt: new Date(),
+  };
+
+  pending.push(deposit);
+  return deposit;
+};
+
+/**
+ * Queue deposits appended to the inbox file since it was last read, if one is configured
+ * Each line is a JSON object with walletAddress, token, amount and optionally from
+ */
+const readInbox = () => {
+  if (!config.deposits.inboxFile) {
+    return;
+  }
+
+  const inboxFile = path.resolve(config.deposits.inboxFile);
+  if (!fs.existsSync(inboxFile)) {
+    return;
+  }
+
+  // Leave a partly written last line for the next read
+  const unread = fs.readFileSync(inboxFile).subarray(inboxOffset);
+  const complete = unread.lastIndexOf('\n') + 1;
+  const lines = unread.subarray(0, complete).toString().split('\n');
+  inboxOffset += complete;
+
+  for (const line of lines.filter((candidate) => candidate.trim())) {
+    simulateDeposit(JSON.parse(line));
+  }
+};
+
+/**
+ * Take the simulated deposits for a wallet
+ * @param {string} walletAddress - Wallet public key
+ * @param {Object} cursors - Unused; simulated deposits are only handed out once
+ * @returns {Promise<Object>} { deposits, cursors }
+ */
+const fetchDeposits = async (walletAddress, cursors = {}) => {
+  readInbox();
+
+  const deposits = pending.filter((deposit) => deposit.walletAddress === walletAddress);
+  for (const deposit of deposits) {
+    pending.splice(pending.indexOf(deposit), 1);
+  }
+
+  return {
+    deposits,
+    cursors,
+  };
+};
+
+module.exports = {
+  name: 'local',
+  fetchDeposits,
+  simulateDeposit,
+};
@@ -0,0 +1,226 @@
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const config = require('../../config/config');
+const walletUtils = require('../utils/wallet');
+const tokenRegistry = require('../utils/tokenRegistry');
+
+// Cursor for an account that had no history when it was last checked: everything after it is new
+const NO_HISTORY = 'none';
+
+/**
+ * Get the account whose history shows a wallet's transfers of a token
+ * @param {string} walletAddress - Wallet public key
+ * @param {string} token - Token symbol
+ * @returns {PublicKey} The wallet itself for SOL, otherwise its associated token account
+ */
+const getWatchedAccount = (walletAddress, token) => {
+  const owner = new PublicKey(walletAddress);
+
+  if (tokenRegistry.isNativeToken(token)) {
+    return owner;
+  }
+
+  return getAssociatedTokenAddressSync(new PublicKey(tokenRegistry.getToken(token).mint), owner, true);
+};
+
+/**
+ * Work out how much SOL a parsed transaction credited to a wallet
+ * @param {Object} parsed - Parsed transaction
+ * @param {string} walletAddress - Wallet public key
+ * @returns {Object|null} { amount, counterparty } with the amount in lamports, or null if the wallet wasn't credited
+ */
+const getSolCredit = (parsed, walletAddress) => {
+  const accountKeys = parsed.transaction.message.accountKeys.map((key) => key.pubkey.toString());
+  const index = accountKeys.indexOf(walletAddress);
+
+  if (index === -1) {
+    return null;
+  }
+
+  const deltas = parsed.meta.postBalances.map((post, i) => post - parsed.meta.preBalances[i]);
+
+  if (deltas[index] <= 0) {
+    return null;
+  }
+
+  // The account that lost the most is taken to be the sender
+  let counterparty = null;
+  let largestDebit = 0;
+  deltas.forEach((delta, i) => {
+    if (i !== index && delta < largestDebit) {
+      largestDebit = delta;
+      counterparty = accountKeys[i];
+    }
+  });
+
+  return {
+    amount: deltas[index],
+    counterparty,
+  };
+};
+
+/**
+ * Work out how much of an SPL token a parsed transaction credited to a wallet
+ * @param {Object} parsed - Parsed transaction
+ * @param {string} walletAddress - Wallet public key
+ * @param {string} token - Token symbol
+ * @returns {Object|null} { amount, counterparty } with the amount in the token's smallest unit,
+ *   or null if the wallet wasn't credited
+ */
+const getTokenCredit = (parsed, walletAddress, token) => {
+  const { mint } = tokenRegistry.getToken(token);
+  const changes = {};
+
+  const addBalances = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (balance.mint !== mint) {
+        continue;
+      }
+
+      const change = changes[balance.accountIndex] || { owner: balance.owner, amount: 0 };
+      change.amount += sign * Number(balance.uiTokenAmount.amount);
+      changes[balance.accountIndex] = change;
+    }
+  };
+
+  addBalances(parsed.meta.preTokenBalances, -1);
+  addBalances(parsed.meta.postTokenBalances, 1);
+
+  const credited = Object.values(changes)
+    .filter((change) => change.owner === walletAddress)
+    .reduce((sum, change) => sum + change.amount, 0);
+
+  if (credited <= 0) {
+    return null;
+  }
+
+  const sender = Object.values(changes)
+    .filter((change) => change.owner !== walletAddress && change.amount < 0)
+    .sort((a, b) => a.amount - b.amount)[0];
+
+  return {
+    amount: credited,
+    counterparty: sender ? sender.owner : null,
+  };
+};
+
+/**
+ * Work out how much of a token a parsed transaction credited to a wallet
+ * @param {Object} parsed - Parsed transaction
+ * @param {string} walletAddress - Wallet public key
+ * @param {string} token - Token symbol
+ * @returns {Object|null} { amount, counterparty }, or null if the wallet wasn't credited
+ */
+const getCredit = (parsed, walletAddress, token) => {
+  return tokenRegistry.isNativeToken(token)
+    ? getSolCredit(parsed, walletAddress)
+    : getTokenCredit(parsed, walletAddress, token);
+};
+
+/**
+ * Get cursors for a wallet created by Paytos, which has no history yet, so its first deposit is reported
+ * @returns {Object} Cursor per token
+ */
+const getInitialCursors = () => {
+  return Object.fromEntries(tokenRegistry.getSymbols().map((token) => [token, NO_HISTORY]));
+};
+
+/**
+ * Get every signature for an account newer than a cursor, newest first
+ * Pages back with `before` until the cursor is reached, so a busy account loses nothing
+ * @param {Object} connection - Solana connection
+ * @param {PublicKey} account - Account to read
+ * @param {string} cursor - Newest signature already seen, or NO_HISTORY for the whole history
+ * @returns {Promise<Array<Object>>} The signatures
+ */
+const getSignaturesSince = async (connection, account, cursor) => {
+  const until = cursor === NO_HISTORY ? undefined : cursor;
+  const signatures = [];
+  let before;
+
+  for (;;) {
+    const page = await connection.getSignaturesForAddress(account, {
+      until,
+      before,
+      limit: config.deposits.signatureLimit,
+    });
+
+    signatures.push(...page);
+
+    if (page.length < config.deposits.signatureLimit) {
+      return signatures;
+    }
+
+    before = page[page.length - 1].signature;
+  }
+};
+
+/**
+ * Find transfers into a wallet since the last call by polling its signature history
+ * On the first call for a token with no cursor (wallets from before the watcher, or tokens added
+ * since), only the cursor is recorded; older history isn't reported
+ * @param {string} walletAddress - Wallet public key
+ * @param {Object} cursors - Newest signature seen per token, or NO_HISTORY
+ * @returns {Promise<Object>} { deposits, cursors }
+ */
+const fetchDeposits = async (walletAddress, cursors = {}) => {
+  const connection = walletUtils.getConnection();
+  const deposits = [];
+  const nextCursors = { ...cursors };
+
+  for (const token of tokenRegistry.getSymbols()) {
+    const account = getWatchedAccount(walletAddress, token);
+
+    if (!cursors[token]) {
+      const [newest] = await connection.getSignaturesForAddress(account, { limit: 1 });
+      nextCursors[token] = newest ? newest.signature : NO_HISTORY;
+      continue;
+    }
+
+    const signatures = await getSignaturesSince(connection, account, cursors[token]);
+
+    // Oldest first, so deposits are reported in the order they happened. The cursor only moves
+    // past a signature once its transaction has been read
+    for (const { signature, err } of [...signatures].reverse()) {
+      const parsed = err ? null : await connection.getParsedTransaction(signature, {
+        maxSupportedTransactionVersion: 0,
+      });
+
+      // Not available at this commitment yet; stop here so the next poll tries it again
+      if (!err && (!parsed || !parsed.meta)) {
+        break;
+      }
+
+      nextCursors[token] = signature;
+
+      const credit = err ? null : getCredit(parsed, walletAddress, token);
+
+      if (!credit) {
+        continue;
+      }
+
+      deposits.push({
+        signature,
+        walletAddress,
+        token,
+        amount: credit.amount,
+        counterparty: credit.counterparty,
+        signers: parsed.transaction.message.accountKeys
+          .filter((key) => key.signer)
+          .map((key) => key.pubkey.toString()),
+        receivedAt: parsed.blockTime ? new Date(parsed.blockTime * 1000) : new Date(),
+      });
+    }
+  }
+
+  return {
+    deposits,
+    cursors: nextCursors,
+  };
+};
+
+module.exports = {
+  name: 'polling',
+  getInitialCursors,
+  fetchDeposits,
+};
@@ -0,0 +1,35 @@
+const config = require('../../config/config');
+const twilioGateway = require('./twilioGateway');
+const localGateway = require('./localGateway');
+
+/**
+ * An SMS gateway adapter
+ * @typedef {Object} SmsGateway
+ * @property {string} name - Gateway name, as used in SMS_GATEWAY
+ * @property {function(string, string): Promise<Object>} sendMessage - Send a message, resolves to { sid, status }
+ * @property {function(Object): Object} parseInbound - Extract { from, body, messageId } from a webhook request
+ * @property {function(Object): void} acknowledge - Reply to a webhook request
+ */
+
+const gateways = {
+  [twilioGateway.name]: twilioGateway,
+  [localGateway.name]: localGateway,
+};
+
+/**
+ * Get the SMS gateway selected in the configuration
+ * @returns {SmsGateway} The gateway adapter
+ */
+const getGateway = () => {
+  const gateway = gateways[config.sms.gateway];
+
+  if (!gateway) {
+    throw new Error(`Unsupported SMS gateway: ${config.sms.gateway}`);
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  getGateway,
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+// Messages sent while the process is running
+const outbox = [];
+
+/**
+ * Append a message to the outbox file, if one is configured
+ * @param {Object} message - The outbound message
+ */
+const writeToFile = (message) => {
+  if (!config.sms.outboxFile) {
+    return;
+  }
+
+  const outboxFile = path.resolve(config.sms.outboxFile);
+  fs.mkdirSync(path.dirname(outboxFile), { recursive: true });
+  fs.appendFileSync(outboxFile, `${JSON.stringify(message)}\n`);
+};
+
+/**
+ * "Send" an SMS message by storing it in the local outbox
+ * @param {string} to - Recipient phone number (with country code)
+ * @param {string} body - Message content
+ * @returns {Promise<Object>} The message SID and status
+ */
+const sendMessage = async (to, body) => {
+  const message = {
+    sid: `LOCAL${crypto.randomBytes(12).toString('hex')}`,
+    to,
+    body,
+    sentAt: new Date().toISOString(),
+  };
+
+  outbox.push(message);
+  writeToFile(message);
+
+  return {
+    sid: message.sid,
+    status: 'delivered',
+  };
+};
+
+/**
+ * Extract the sender and text from a webhook request
+ * Accepts Twilio-style form fields as well as plain { from, body } JSON
+ * @param {Object} req - Express request object
+ * @returns {Object} The inbound message ({ from, body, messageId })
+ */
+const parseInbound = (req) => {
+  const payload = req.body || {};
+
+  return {
+    from: payload.From || payload.from,
+    body: payload.Body || payload.body,
+    messageId: payload.MessageSid || payload.messageId,
+  };
+};
+
+/**
+ * Acknowledge a webhook request
+ * @param {Object} res - Express response object
+ */
+const acknowledge = (res) => {
+  res.status(200).json({ status: 'ok' });
+};
+
+/**
+ * Get messages sent since startup (or the last clear)
+ * @param {string} [to] - Only return messages sent to this phone number
+ * @returns {Array<Object>} The outbound messages
+ */
+const getOutbox = (to) => {
+  return to ? outbox.filter((message) => message.to === to) : [...outbox];
+};
+
+/**
+ * Empty the in-memory outbox
+ */
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  name: 'local',
+  sendMessage,
+  parseInbound,
+  acknowledge,
+  getOutbox,
+  clearOutbox,
+};
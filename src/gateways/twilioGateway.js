@@ -0,0 +1,69 @@
+const twilio = require('twilio');
+const config = require('../../config/config');
+
+// Initialize Twilio client
+const getClient = () => {
+  if (!config.twilio.accountSid || !config.twilio.authToken) {
+    throw new Error('Twilio configuration is incomplete');
+  }
+  return twilio(
+    config.twilio.accountSid,
+    config.twilio.authToken
+  );
+};
+
+/**
+ * Send an SMS message through Twilio
+ * @param {string} to - Recipient phone number (with country code)
+ * @param {string} body - Message content
+ * @returns {Promise<Object>} The message SID and status
+ */
+const sendMessage = async (to, body) => {
+  if (!config.twilio.accountSid || !config.twilio.authToken || !config.twilio.phoneNumber) {
+    throw new Error('Twilio configuration is incomplete');
+  }
+
+  const client = getClient();
+  const result = await client.messages.create({
+    body,
+    from: config.twilio.phoneNumber,
+    to,
+  });
+
+  return {
+    sid: result.sid,
+    status: result.status,
+  };
+};
+
+/**
+ * Extract the sender and text from a Twilio webhook request
+ * @param {Object} req - Express request object
+ * @returns {Object} The inbound message ({ from, body, messageId })
+ */
+const parseInbound = (req) => {
+  const { Body: body, From: from, MessageSid: messageId } = req.body;
+
+  return {
+    from,
+    body,
+    messageId,
+  };
+};
+
+/**
+ * Acknowledge a webhook request
+ * Replies with empty TwiML so Twilio doesn't send its default response
+ * @param {Object} res - Express response object
+ */
+const acknowledge = (res) => {
+  res.set('Content-Type', 'text/xml');
+  res.send('<Response></Response>');
+};
+
+module.exports = {
+  name: 'twilio',
+  sendMessage,
+  parseInbound,
+  acknowledge,
+};
@@ -4,6 +4,15 @@ const bodyParser = require('body-parser');
 const routes = require('./routes');
 const config = require('../config/config');
 const logger = require('./utils/logger');
+const walletUtils = require('./utils/wallet');
+const tokenRegistry = require('./utils/tokenRegistry');
+const { verifyKeyProvider } = require('./keyProviders');
+const escrowService = require('./services/escrowService');
+const settlementService = require('./services/settlementService');
+const balanceService = require('./services/balanceService');
+const depositService = require('./services/depositService');
+const limitService = require('./services/limitService');
+const transferWorker = require('./workers/transferWorker');
 const fs = require('fs');
 const path = require('path');
 
@@ -22,11 +31,38 @@ app.use(bodyParser.urlencoded({ extended: true }));
 
 // Connect to MongoDB
 mongoose.connect(config.mongo.uri)
-  .then(() => {
+  .then(async () => {
     logger.info('Connected to MongoDB');
+    
+    // Wallets can't be created or used without the master key
+    const keyVersion = await verifyKeyProvider();
+    logger.info(`Wallet keys are wrapped with master key version ${keyVersion}`);
+    
+    // Check token decimals against their mints before anything moves funds
+    await tokenRegistry.verifyTokenMints(walletUtils.getConnection());
+    
+    // Spending limits are written in whole tokens, so they can only be read once decimals are known
+    limitService.verifyLimits();
+    
+    // Refund escrow payments nobody claimed in time
+    escrowService.startExpiryWorker();
+    
+    // Settle internal ledger positions on-chain in batches
+    settlementService.startSettlementWorker();
+    
+    // Keep cached balances of active users fresh
+    balanceService.startRefreshWorker();
+    
+    // Tell users about funds sent to their wallets from outside Paytos
+    depositService.startDepositWatcher();
+    
+    // Execute queued transfers here too, unless they run in separate worker processes only
+    if (config.queue.embeddedWorker) {
+      transferWorker.start();
+    }
   })
   .catch((error) => {
-    logger.error(`MongoDB connection error: ${error.message}`);
+    logger.error(`Startup error: ${error.message}`);
     process.exit(1);
   });
 
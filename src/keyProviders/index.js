@@ -0,0 +1,57 @@
+const config = require('../../config/config');
+const encryption = require('../utils/encryption');
+const localKeyProvider = require('./localKeyProvider');
+const kmsKeyProvider = require('./kmsKeyProvider');
+
+/**
+ * Holder of the master keys that wrap per-wallet data keys
+ * Master keys are versioned: new data keys are wrapped under the current version, and any
+ * version still held can unwrap, so master keys can be rotated while Paytos runs
+ * @typedef {Object} KeyProvider
+ * @property {string} name - Provider name, as used in KEY_PROVIDER
+ * @property {function(): Promise<string>} getCurrentVersion - Resolve to the master key version new data keys are wrapped under
+ * @property {function(Buffer): Promise<Object>} wrapKey - Wrap a data key, resolves to { wrappedKey, keyVersion }
+ * @property {function(string, string): Promise<Buffer>} unwrapKey - Given a wrapped data key and its key version,
+ *   resolve to the data key
+ */
+
+const providers = {
+  [localKeyProvider.name]: localKeyProvider,
+  [kmsKeyProvider.name]: kmsKeyProvider,
+};
+
+/**
+ * Get the key provider selected in the configuration
+ * @returns {KeyProvider} The key provider
+ */
+const getKeyProvider = () => {
+  const provider = providers[config.encryption.keyProvider];
+
+  if (!provider) {
+    throw new Error(`Unsupported key provider: ${config.encryption.keyProvider}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Check that the key provider can wrap and unwrap a data key, so a missing master key
+ * fails at startup rather than on the first registration or transfer
+ * @returns {Promise<string>} The current master key version
+ */
+const verifyKeyProvider = async () => {
+  const provider = getKeyProvider();
+  const dataKey = encryption.generateDataKey();
+  const { wrappedKey, keyVersion } = await provider.wrapKey(dataKey);
+
+  if (!dataKey.equals(await provider.unwrapKey(wrappedKey, keyVersion))) {
+    throw new Error(`The ${provider.name} key provider did not return the data key it wrapped`);
+  }
+
+  return keyVersion;
+};
+
+module.exports = {
+  getKeyProvider,
+  verifyKeyProvider,
+};
@@ -0,0 +1,80 @@
+const config = require('../../config/config');
+
+const name = 'kms';
+
+// KMS client registered at startup; Paytos doesn't bundle one for any particular cloud
+let client = null;
+
+/**
+ * A key management service client
+ * @typedef {Object} KmsClient
+ * @property {function(string, Buffer): Promise<Buffer>} encrypt - Encrypt a data key under a KMS key ID
+ * @property {function(string, Buffer): Promise<Buffer>} decrypt - Decrypt a data key encrypted under a KMS key ID
+ */
+
+/**
+ * Register the client that talks to the key management service
+ * Call this before anything creates or decrypts a wallet, e.g. from a wrapper around src/index.js
+ * @param {KmsClient} kmsClient - The client
+ */
+const setClient = (kmsClient) => {
+  client = kmsClient;
+};
+
+/**
+ * Get the registered client
+ * @returns {KmsClient} The client
+ */
+const getClient = () => {
+  if (!client) {
+    throw new Error('No KMS client is registered');
+  }
+
+  return client;
+};
+
+/**
+ * Get the version new data keys are wrapped under: the configured KMS key ID
+ * @returns {Promise<string>} The key version
+ */
+const getCurrentVersion = async () => {
+  if (!config.encryption.kmsKeyId) {
+    throw new Error('KMS key ID is not set');
+  }
+
+  return config.encryption.kmsKeyId;
+};
+
+/**
+ * Wrap a data key with the configured KMS key
+ * @param {Buffer} dataKey - The data key
+ * @returns {Promise<Object>} { wrappedKey, keyVersion }
+ */
+const wrapKey = async (dataKey) => {
+  const keyVersion = await getCurrentVersion();
+  const wrapped = await getClient().encrypt(keyVersion, dataKey);
+
+  return {
+    wrappedKey: Buffer.from(wrapped).toString('base64'),
+    keyVersion,
+  };
+};
+
+/**
+ * Unwrap a data key with the KMS key it was wrapped under
+ * @param {string} wrappedKey - The wrapped data key
+ * @param {string} keyVersion - ID of the KMS key that wrapped it
+ * @returns {Promise<Buffer>} The data key
+ */
+const unwrapKey = async (wrappedKey, keyVersion) => {
+  const dataKey = await getClient().decrypt(keyVersion, Buffer.from(wrappedKey, 'base64'));
+  return Buffer.from(dataKey);
+};
+
+module.exports = {
+  name,
+  setClient,
+  getCurrentVersion,
+  wrapKey,
+  unwrapKey,
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const encryption = require('../utils/encryption');
+
+const name = 'local';
+
+// Master keys as last read, with the file's modification time
+let cached = null;
+
+/**
+ * Read the master key file, again only if it changed since the last read
+ * Lets a running process pick up a new master key without a restart
+ * The file is JSON: { "currentVersion": "2", "keys": { "1": "<base64>", "2": "<base64>" } }
+ * @returns {Object} { currentVersion, keys }, with keys as Buffers by version
+ */
+const readMasterKeys = () => {
+  const keyFile = path.resolve(config.encryption.masterKeyFile);
+  const { mtimeMs } = fs.statSync(keyFile);
+
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached;
+  }
+
+  const file = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  const keys = {};
+
+  for (const [version, key] of Object.entries(file.keys || {})) {
+    keys[version] = Buffer.from(key, 'base64');
+
+    if (keys[version].length !== 32) {
+      throw new Error(`Master key ${version} in ${keyFile} is not 32 bytes of base64`);
+    }
+  }
+
+  const currentVersion = String(file.currentVersion);
+  if (!keys[currentVersion]) {
+    throw new Error(`Current master key version ${currentVersion} is missing from ${keyFile}`);
+  }
+
+  cached = { mtimeMs, currentVersion, keys };
+  return cached;
+};
+
+/**
+ * Get a master key by version
+ * @param {string} version - Key version
+ * @returns {Buffer} The master key
+ */
+const getMasterKey = (version) => {
+  const key = readMasterKeys().keys[version];
+
+  if (!key) {
+    throw new Error(`Unknown master key version: ${version}`);
+  }
+
+  return key;
+};
+
+/**
+ * Get the version new data keys are wrapped under
+ * @returns {Promise<string>} The key version
+ */
+const getCurrentVersion = async () => readMasterKeys().currentVersion;
+
+/**
+ * Wrap a data key with the current master key
+ * @param {Buffer} dataKey - The data key
+ * @returns {Promise<Object>} { wrappedKey, keyVersion }
+ */
+const wrapKey = async (dataKey) => {
+  const keyVersion = await getCurrentVersion();
+
+  return {
+    wrappedKey: encryption.encryptWithKey(getMasterKey(keyVersion), dataKey),
+    keyVersion,
+  };
+};
+
+/**
+ * Unwrap a data key with the master key it was wrapped under
+ * @param {string} wrappedKey - The wrapped data key
+ * @param {string} keyVersion - Version of the master key that wrapped it
+ * @returns {Promise<Buffer>} The data key
+ */
+const unwrapKey = async (wrappedKey, keyVersion) => {
+  return encryption.decryptWithKey(getMasterKey(keyVersion), wrappedKey);
+};
+
+module.exports = {
+  name,
+  getCurrentVersion,
+  wrapKey,
+  unwrapKey,
+};
@@ -0,0 +1,122 @@
+/**
+ * English SMS templates
+ * Placeholders in {braces} are filled in by i18n.t()
+ */
+module.exports = {
+  name: 'English',
+  // Localized command keywords, mapped to the canonical English keyword
+  keywords: {},
+  messages: {
+    registrationConfirmation:
+`Welcome to Paytos! Your wallet has been created.
+- To check your balance, text: BALANCE <PIN>
+- To send money, text: SEND <RECIPIENT> <AMOUNT> <TOKEN> <PIN>
+- For help, text: HELP`,
+    balanceHeader: 'Paytos Balance:',
+    balanceWithReserved: '{available} ({reserved} reserved)',
+    confirmationRequest:
+`Confirm sending {amount} {token} to {recipient}?
+Reply with YES {code} to confirm or NO {code} to cancel.`,
+    confirmationRequestWithFee:
+`Confirm sending {amount} {token} to {recipient}? Fee: {fee} {token}.
+Reply with YES {code} to confirm or NO {code} to cancel.`,
+    withdrawalConfirmationRequest:
+`Confirm withdrawing {amount} {token} to {address}?
+Reply with YES {code} to confirm or NO {code} to cancel.`,
+    withdrawalConfirmationRequestWithFee:
+`Confirm withdrawing {amount} {token} to {address}? Fee: {fee} {token}.
+Reply with YES {code} to confirm or NO {code} to cancel.`,
+    withdrawalDelayed:
+`Withdrawal of {amount} {token} to {address} confirmed.
+As this is a new address, it will be sent in {minutes} minutes.`,
+    transactionDelayed:
+`For your security, sending {amount} {token} to {recipient} will go ahead in {minutes} minutes.
+If you did not make this transfer, text RESET now. Resetting your PIN stops it.`,
+    transactionUnderReview:
+`For your security, sending {amount} {token} to {recipient} is being reviewed.
+We'll text you when it's done.`,
+    transactionCancelled:
+`Cancelled sending {amount} {token} to {recipient}.
+No money was sent.`,
+    pendingChoiceHeader: 'You have {count} pending transfers. Reply {command} <CODE>:',
+    pendingChoiceLine: '{code}: {amount} {token} to {recipient}',
+    transactionQueued:
+`Sending {amount} {token} to {recipient}.
+We'll text you when it's done.`,
+    transactionFailed:
+`Sending {amount} {token} to {recipient} failed: {reason}`,
+    transactionCompleted:
+`Sent {amount} {token} to {recipient}.
+New {token} balance: {balance}`,
+    transactionReceived:
+`You received {amount} {token} from {sender}.
+New {token} balance: {balance}`,
+    depositReceived:
+`You received a deposit of {amount} {token} from {sender}.
+New {token} balance: {balance}`,
+    depositAddressHeader: 'Your Paytos wallet address:',
+    depositNetwork: 'Only send on the Solana network. Funds sent on other networks will be lost.',
+    depositNative: '{token}: send to the address above',
+    depositSplToken: '{token}: token mint {mint}',
+    depositPayLink:
+`To pay from a Solana wallet app, open:
+{url}`,
+    depositPayLinkHint: 'For a payment link to share, text ADDRESS <PIN> <TOKEN>',
+    limitsHeader: 'What you can still send ({tier} account):',
+    limitsLine: '{token}: per transfer {perTransaction}, today {daily}, this month {monthly}',
+    limitsNone: 'no limit',
+    escrowSent:
+`Sent {amount} {token} to {recipient}.
+They are not on Paytos yet, so we invited them. If they don't claim it within {hours} hours, it will be refunded to you.`,
+    escrowInvite:
+`{sender} sent you {amount} {token} with Paytos.
+To claim it, text REGISTER <PIN> to this number within {hours} hours (choose a 4-6 digit PIN).`,
+    escrowClaimed: '{recipient} claimed the {amount} {token} you sent.',
+    escrowRefunded: '{recipient} did not claim the {amount} {token} you sent, so it has been refunded to you.',
+    escrowExpired: 'The {amount} {token} sent to you by {sender} was not claimed in time and has been returned to them.',
+    historyEmpty: 'Paytos History: no transactions yet.',
+    historyHeader: 'Paytos History (last {count}):',
+    historyOutgoing: 'OUT',
+    historyIncoming: 'IN',
+    statusPending: 'PEND',
+    statusCompleted: 'OK',
+    statusFailed: 'FAIL',
+    pinChanged:
+`Your Paytos PIN has been changed.
+If you did not do this, text RESET now.`,
+    pinResetCode:
+`Your Paytos reset code is {code}. It expires in {minutes} minutes.
+To set a new PIN, text: RESET {code} <NEW PIN>
+Never share this code.`,
+    pinResetCompleted: 'Your Paytos PIN has been reset and your account is unlocked.',
+    contactSaved:
+`Saved {name} as {phoneNumber}.
+To send money, text: SEND {name} <AMOUNT> <TOKEN> <PIN>`,
+    contactRemoved: 'Removed contact {name}.',
+    contactsHeader: 'Your contacts:',
+    contactsEmpty: 'You have no saved contacts. Add one with: ALIAS <NAME> <PHONE>',
+    languageChanged: 'Your Paytos language is now English.',
+    error: 'Error: {message}',
+    help:
+`Paytos Commands:
+- REGISTER <PIN> - Create a new wallet
+- BALANCE <PIN> - Check your balance
+- SEND <RECIPIENT> <AMOUNT> <TOKEN> <PIN> - Send tokens
+  Example: SEND +1234567890 10 USDC 1234
+- WITHDRAW <ADDRESS> <AMOUNT> <TOKEN> <PIN> - Send to a Solana wallet
+- ADDRESS <PIN> [TOKEN] - Your address, to receive deposits
+- LIMITS <PIN> - How much more you can send
+- YES [CODE] - Confirm a pending transfer
+- NO [CODE] - Cancel a pending transfer
+- HISTORY <PIN> [COUNT] - Recent transactions
+- PIN <OLD PIN> <NEW PIN> - Change your PIN
+- RESET - Reset a forgotten PIN
+- ALIAS <NAME> <PHONE> / ALIASES / UNALIAS <NAME> - Contacts
+- LANG <EN|SW|FR|HI> - Change language
+- Supported tokens: {tokens}
+
+Need more help? Visit paytos.io`,
+  },
+  // Translations of error messages, keyed by the English text (the template, for messages with values)
+  errors: {},
+};
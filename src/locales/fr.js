@@ -0,0 +1,205 @@
+/**
+ * French SMS templates
+ * Placeholders in {braces} are filled in by i18n.t()
+ */
+module.exports = {
+  name: 'Français',
+  // Localized command keywords, mapped to the canonical English keyword
+  keywords: {
+    INSCRIRE: 'REGISTER',
+    SOLDE: 'BALANCE',
+    ENVOYER: 'SEND',
+    RETIRER: 'WITHDRAW',
+    ADRESSE: 'ADDRESS',
+    LIMITES: 'LIMITS',
+    OUI: 'YES',
+    NON: 'NO',
+    ANNULER: 'CANCEL',
+    CONFIRMER: 'CONFIRM',
+    HISTORIQUE: 'HISTORY',
+    REINITIALISER: 'RESET',
+    AIDE: 'HELP',
+    LANGUE: 'LANG',
+  },
+  messages: {
+    registrationConfirmation:
+`Bienvenue sur Paytos ! Votre portefeuille a été créé.
+- Pour voir votre solde : SOLDE <PIN>
+- Pour envoyer de l'argent : ENVOYER <DESTINATAIRE> <MONTANT> <JETON> <PIN>
+- Pour de l'aide : AIDE`,
+    balanceHeader: 'Solde Paytos :',
+    balanceWithReserved: '{available} ({reserved} réservés)',
+    confirmationRequest:
+`Confirmer l'envoi de {amount} {token} à {recipient} ?
+Répondez OUI {code} pour confirmer ou NON {code} pour annuler.`,
+    confirmationRequestWithFee:
+`Confirmer l'envoi de {amount} {token} à {recipient} ? Frais : {fee} {token}.
+Répondez OUI {code} pour confirmer ou NON {code} pour annuler.`,
+    withdrawalConfirmationRequest:
+`Confirmer le retrait de {amount} {token} vers {address} ?
+Répondez OUI {code} pour confirmer ou NON {code} pour annuler.`,
+    withdrawalConfirmationRequestWithFee:
+`Confirmer le retrait de {amount} {token} vers {address} ? Frais : {fee} {token}.
+Répondez OUI {code} pour confirmer ou NON {code} pour annuler.`,
+    withdrawalDelayed:
+`Retrait de {amount} {token} vers {address} confirmé.
+Cette adresse étant nouvelle, il sera envoyé dans {minutes} minutes.`,
+    transactionDelayed:
+`Pour votre sécurité, l'envoi de {amount} {token} à {recipient} sera effectué dans {minutes} minutes.
+Si vous n'êtes pas à l'origine de ce transfert, envoyez RESET maintenant. La réinitialisation de votre code PIN l'annule.`,
+    transactionUnderReview:
+`Pour votre sécurité, l'envoi de {amount} {token} à {recipient} est en cours de vérification.
+Nous vous enverrons un SMS une fois terminé.`,
+    transactionCancelled:
+`Envoi de {amount} {token} à {recipient} annulé.
+Aucun argent n'a été envoyé.`,
+    pendingChoiceHeader: 'Vous avez {count} transferts en attente. Répondez {command} <CODE> :',
+    pendingChoiceLine: '{code} : {amount} {token} à {recipient}',
+    transactionQueued:
+`Envoi de {amount} {token} à {recipient} en cours.
+Nous vous enverrons un SMS une fois terminé.`,
+    transactionFailed:
+`L'envoi de {amount} {token} à {recipient} a échoué : {reason}`,
+    transactionCompleted:
+`{amount} {token} envoyés à {recipient}.
+Nouveau solde {token} : {balance}`,
+    transactionReceived:
+`Vous avez reçu {amount} {token} de {sender}.
+Nouveau solde {token} : {balance}`,
+    depositReceived:
+`Vous avez reçu un dépôt de {amount} {token} de {sender}.
+Nouveau solde {token} : {balance}`,
+    depositAddressHeader: 'Adresse de votre portefeuille Paytos :',
+    depositNetwork: 'Envoyez uniquement sur le réseau Solana. Les fonds envoyés sur un autre réseau seront perdus.',
+    depositNative: '{token} : envoyez à l\'adresse ci-dessus',
+    depositSplToken: '{token} : jeton {mint}',
+    depositPayLink:
+`Pour payer depuis une application de portefeuille Solana, ouvrez :
+{url}`,
+    depositPayLinkHint: 'Pour un lien de paiement à partager, envoyez ADRESSE <PIN> <JETON>',
+    limitsHeader: 'Ce que vous pouvez encore envoyer (compte {tier}) :',
+    limitsLine: '{token} : par transfert {perTransaction}, aujourd\'hui {daily}, ce mois-ci {monthly}',
+    limitsNone: 'sans plafond',
+    escrowSent:
+`{amount} {token} envoyés à {recipient}.
+Ce numéro n'est pas encore sur Paytos, nous l'avons invité. Sans réclamation sous {hours} heures, vous serez remboursé.`,
+    escrowInvite:
+`{sender} vous a envoyé {amount} {token} avec Paytos.
+Pour les recevoir, envoyez INSCRIRE <PIN> à ce numéro dans les {hours} heures (PIN de 4 à 6 chiffres).`,
+    escrowClaimed: '{recipient} a reçu les {amount} {token} que vous avez envoyés.',
+    escrowRefunded: '{recipient} n\'a pas réclamé les {amount} {token} envoyés, vous avez été remboursé.',
+    escrowExpired: 'Les {amount} {token} envoyés par {sender} n\'ont pas été réclamés à temps et lui ont été rendus.',
+    historyEmpty: 'Historique Paytos : aucune transaction.',
+    historyHeader: 'Historique Paytos ({count} dernières) :',
+    historyOutgoing: 'ENV',
+    historyIncoming: 'REÇ',
+    statusPending: 'ATT',
+    statusCompleted: 'OK',
+    statusFailed: 'ÉCHEC',
+    pinChanged:
+`Votre PIN Paytos a été modifié.
+Si ce n'était pas vous, envoyez RESET maintenant.`,
+    pinResetCode:
+`Votre code de réinitialisation Paytos est {code}. Il expire dans {minutes} minutes.
+Pour choisir un nouveau PIN : RESET {code} <NOUVEAU PIN>
+Ne partagez jamais ce code.`,
+    pinResetCompleted: 'Votre PIN Paytos a été réinitialisé et votre compte est débloqué.',
+    contactSaved:
+`{name} enregistré pour {phoneNumber}.
+Pour envoyer de l'argent : ENVOYER {name} <MONTANT> <JETON> <PIN>`,
+    contactRemoved: 'Contact {name} supprimé.',
+    contactsHeader: 'Vos contacts :',
+    contactsEmpty: 'Aucun contact enregistré. Ajoutez-en un avec : ALIAS <NOM> <TÉLÉPHONE>',
+    languageChanged: 'Votre langue Paytos est maintenant le français.',
+    error: 'Erreur : {message}',
+    help:
+`Commandes Paytos :
+- INSCRIRE <PIN> - Créer un portefeuille
+- SOLDE <PIN> - Voir votre solde
+- ENVOYER <DESTINATAIRE> <MONTANT> <JETON> <PIN> - Envoyer
+  Exemple : ENVOYER +1234567890 10 USDC 1234
+- RETIRER <ADRESSE> <MONTANT> <JETON> <PIN> - Envoyer vers un portefeuille Solana
+- ADRESSE <PIN> [JETON] - Votre adresse, pour recevoir des dépôts
+- LIMITES <PIN> - Ce que vous pouvez encore envoyer
+- OUI [CODE] - Confirmer un transfert
+- NON [CODE] - Annuler un transfert
+- HISTORIQUE <PIN> [NOMBRE] - Transactions récentes
+- PIN <ANCIEN PIN> <NOUVEAU PIN> - Changer de PIN
+- RESET - Réinitialiser un PIN oublié
+- ALIAS <NOM> <TÉLÉPHONE> / ALIASES / UNALIAS <NOM> - Contacts
+- LANGUE <EN|SW|FR|HI> - Changer de langue
+- Jetons acceptés : {tokens}
+
+Plus d'aide : paytos.io`,
+  },
+  // Translations of error messages, keyed by the English text (the template, for messages with values)
+  errors: {
+    'Invalid Solana address.': 'Adresse Solana invalide.',
+    'You cannot withdraw to your own Paytos wallet.': 'Vous ne pouvez pas retirer vers votre propre portefeuille Paytos.',
+    'Withdrawals to this address are not allowed.': 'Les retraits vers cette adresse ne sont pas autorisés.',
+    'Part of your balance is still being settled. Please try again later.':
+      'Une partie de votre solde est encore en cours de règlement. Veuillez réessayer plus tard.',
+    'Invalid PIN': 'PIN incorrect',
+    'Invalid PIN. It should be 4-6 digits.': 'PIN invalide. Il doit comporter 4 à 6 chiffres.',
+    'Invalid recipient phone number. It should include the country code (e.g., +1234567890).':
+      'Numéro du destinataire invalide. Il doit inclure l\'indicatif du pays (ex. +1234567890).',
+    'Invalid amount. It should be a number greater than 0.': 'Montant invalide. Il doit être supérieur à 0.',
+    'Invalid amount. It has more decimal places than the token supports.': 'Montant invalide. Il a plus de décimales que le jeton n\'en permet.',
+    'Invalid amount. It is too large.': 'Montant invalide. Il est trop élevé.',
+    'This amount is over your limit per transaction. Text LIMITS <PIN> to see your limits.':
+      'Ce montant dépasse votre plafond par transaction. Envoyez LIMITES <PIN> pour voir vos plafonds.',
+    'This amount is over your daily limit. Text LIMITS <PIN> to see your limits.':
+      'Ce montant dépasse votre plafond journalier. Envoyez LIMITES <PIN> pour voir vos plafonds.',
+    'This amount is over your monthly limit. Text LIMITS <PIN> to see your limits.':
+      'Ce montant dépasse votre plafond mensuel. Envoyez LIMITES <PIN> pour voir vos plafonds.',
+    'Invalid confirmation code.': 'Code de confirmation invalide.',
+    'Invalid confirmation code or expired transaction': 'Code de confirmation invalide ou transaction expirée',
+    'No pending transaction to confirm.': 'Aucune transaction en attente à confirmer.',
+    'No pending transaction to cancel.': 'Aucune transaction en attente à annuler.',
+    'Invalid command format. Text HELP for available commands.': 'Commande invalide. Envoyez AIDE pour la liste des commandes.',
+    'Unrecognized command. Text HELP for available commands.': 'Commande inconnue. Envoyez AIDE pour la liste des commandes.',
+    'Empty message.': 'Message vide.',
+    'User already exists': 'Ce numéro est déjà inscrit',
+    'User not found': 'Utilisateur introuvable',
+    'You are not registered. Text REGISTER <PIN> to create a wallet.':
+      'Vous n\'êtes pas inscrit. Envoyez INSCRIRE <PIN> pour créer un portefeuille.',
+    'Invalid reset code': 'Code de réinitialisation incorrect',
+    'Invalid reset code.': 'Code de réinitialisation invalide.',
+    'Unsupported language.': 'Langue non prise en charge.',
+    'Unknown contact. Text ALIASES to see your contacts.':
+      'Contact inconnu. Envoyez ALIASES pour voir vos contacts.',
+    'Invalid name. Use up to 20 letters or digits, starting with a letter.':
+      'Nom invalide. Utilisez jusqu\'à 20 lettres ou chiffres, en commençant par une lettre.',
+    'Your free transfer allowance is used up. Add SOL to your wallet to pay network fees.':
+      'Vos transferts gratuits sont épuisés. Ajoutez des SOL à votre portefeuille pour payer les frais de réseau.',
+    'The transfer was stopped after a security review. No money was sent.':
+      'Le transfert a été bloqué après une vérification de sécurité. Aucun argent n\'a été envoyé.',
+    'The transfer was stopped because your PIN was reset. No money was sent.':
+      'Le transfert a été annulé car votre code PIN a été réinitialisé. Aucun argent n\'a été envoyé.',
+    'The transfer could not be completed. No money was sent.':
+      'Le transfert n\'a pas pu être effectué. Aucun argent n\'a été envoyé.',
+    'Insufficient {token} balance':
+      'Solde {token} insuffisant',
+    'Invalid token. Supported tokens are: {tokens}.':
+      'Jeton invalide. Jetons acceptés : {tokens}.',
+    'Invalid count. It should be a number from 1 to 10.':
+      'Nombre invalide. Il doit être compris entre 1 et 10.',
+    'New PIN must be different from the current PIN.':
+      'Le nouveau PIN doit être différent du PIN actuel.',
+    'No active PIN reset. Text RESET to get a new code.':
+      'Aucune réinitialisation de PIN en cours. Envoyez RESET pour recevoir un nouveau code.',
+    'Too many wrong codes. Text RESET to get a new code.':
+      'Trop de codes incorrects. Envoyez RESET pour recevoir un nouveau code.',
+    'Account is locked due to too many failed attempts. Try again after {time} or text RESET.':
+      'Compte bloqué après trop de tentatives. Réessayez après {time} ou envoyez RESET.',
+    'Too many wrong PINs. Your account is locked until {time}. Text RESET to unlock it sooner.':
+      'Trop de PIN incorrects. Votre compte est bloqué jusqu\'à {time}. Envoyez RESET pour le débloquer plus tôt.',
+    'You can save up to {count} contacts. Remove one with UNALIAS <NAME>.':
+      'Vous pouvez enregistrer jusqu\'à {count} contacts. Supprimez-en un avec UNALIAS <NOM>.',
+    'Something went wrong. Please try again later.': 'Une erreur s\'est produite. Veuillez réessayer plus tard.',
+    'A reset code was sent recently. Wait {minutes} minutes before asking for another.':
+      'Un code vient d\'être envoyé. Attendez {minutes} minutes avant d\'en demander un autre.',
+    'Too many reset codes requested. Try again after {time}.':
+      'Trop de codes demandés. Réessayez après {time}.',
+  },
+};
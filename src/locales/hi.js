@@ -0,0 +1,219 @@
+/**
+ * Hindi SMS templates
+ * Placeholders in {braces} are filled in by i18n.t()
+ */
+module.exports = {
+  name: 'हिन्दी',
+  // Localized command keywords (romanized and Devanagari), mapped to the canonical English keyword
+  keywords: {
+    PANJIKARAN: 'REGISTER',
+    'पंजीकरण': 'REGISTER',
+    BAKAYA: 'BALANCE',
+    'बकाया': 'BALANCE',
+    BHEJO: 'SEND',
+    'भेजो': 'SEND',
+    NIKALO: 'WITHDRAW',
+    'निकालो': 'WITHDRAW',
+    PATA: 'ADDRESS',
+    'पता': 'ADDRESS',
+    SEEMA: 'LIMITS',
+    'सीमा': 'LIMITS',
+    HAAN: 'YES',
+    'हाँ': 'YES',
+    NAHI: 'NO',
+    'नहीं': 'NO',
+    RADD: 'CANCEL',
+    'रद्द': 'CANCEL',
+    ITIHAS: 'HISTORY',
+    'इतिहास': 'HISTORY',
+    PUSHTI: 'CONFIRM',
+    'पुष्टि': 'CONFIRM',
+    RISET: 'RESET',
+    'रीसेट': 'RESET',
+    MADAD: 'HELP',
+    'मदद': 'HELP',
+    BHASHA: 'LANG',
+    'भाषा': 'LANG',
+  },
+  messages: {
+    registrationConfirmation:
+`Paytos में आपका स्वागत है! आपका वॉलेट बन गया है।
+- बैलेंस देखने के लिए भेजें: BAKAYA <PIN>
+- पैसे भेजने के लिए: BHEJO <प्राप्तकर्ता> <राशि> <टोकन> <PIN>
+- मदद के लिए: MADAD`,
+    balanceHeader: 'Paytos बैलेंस:',
+    balanceWithReserved: '{available} ({reserved} आरक्षित)',
+    confirmationRequest:
+`{recipient} को {amount} {token} भेजने की पुष्टि करें?
+पुष्टि के लिए HAAN {code} या रद्द करने के लिए NAHI {code} भेजें।`,
+    confirmationRequestWithFee:
+`{recipient} को {amount} {token} भेजने की पुष्टि करें? शुल्क: {fee} {token}।
+पुष्टि के लिए HAAN {code} या रद्द करने के लिए NAHI {code} भेजें।`,
+    withdrawalConfirmationRequest:
+`{address} पर {amount} {token} निकालने की पुष्टि करें?
+पुष्टि के लिए HAAN {code} या रद्द करने के लिए NAHI {code} भेजें।`,
+    withdrawalConfirmationRequestWithFee:
+`{address} पर {amount} {token} निकालने की पुष्टि करें? शुल्क: {fee} {token}।
+पुष्टि के लिए HAAN {code} या रद्द करने के लिए NAHI {code} भेजें।`,
+    withdrawalDelayed:
+`{address} पर {amount} {token} की निकासी की पुष्टि हो गई।
+यह नया पता है, इसलिए इसे {minutes} मिनट में भेजा जाएगा।`,
+    transactionDelayed:
+`आपकी सुरक्षा के लिए, {recipient} को {amount} {token} भेजना {minutes} मिनट बाद होगा।
+अगर यह ट्रांसफर आपने नहीं किया है, तो अभी RISET भेजें। PIN रीसेट करने से यह रुक जाएगा।`,
+    transactionUnderReview:
+`आपकी सुरक्षा के लिए, {recipient} को {amount} {token} भेजने की जाँच की जा रही है।
+पूरा होने पर हम आपको SMS करेंगे।`,
+    transactionCancelled:
+`{recipient} को {amount} {token} भेजना रद्द किया गया।
+कोई पैसा नहीं भेजा गया।`,
+    pendingChoiceHeader: 'आपके {count} ट्रांसफर लंबित हैं। {command} <कोड> भेजें:',
+    pendingChoiceLine: '{code}: {recipient} को {amount} {token}',
+    transactionQueued:
+`{recipient} को {amount} {token} भेजे जा रहे हैं।
+पूरा होने पर हम आपको SMS भेजेंगे।`,
+    transactionFailed:
+`{recipient} को {amount} {token} भेजना विफल रहा: {reason}`,
+    transactionCompleted:
+`{recipient} को {amount} {token} भेजे गए।
+नया {token} बैलेंस: {balance}`,
+    transactionReceived:
+`आपको {sender} से {amount} {token} मिले।
+नया {token} बैलेंस: {balance}`,
+    depositReceived:
+`आपको {sender} से {amount} {token} की जमा राशि मिली।
+नया {token} बैलेंस: {balance}`,
+    depositAddressHeader: 'आपका Paytos वॉलेट पता:',
+    depositNetwork: 'केवल Solana नेटवर्क पर भेजें। दूसरे नेटवर्क पर भेजी गई राशि खो जाएगी।',
+    depositNative: '{token}: ऊपर दिए पते पर भेजें',
+    depositSplToken: '{token}: टोकन {mint}',
+    depositPayLink:
+`Solana वॉलेट ऐप से भुगतान के लिए खोलें:
+{url}`,
+    depositPayLinkHint: 'साझा करने के लिए भुगतान लिंक चाहिए तो भेजें: PATA <PIN> <टोकन>',
+    limitsHeader: 'आप अभी कितना भेज सकते हैं ({tier} खाता):',
+    limitsLine: '{token}: प्रति ट्रांसफर {perTransaction}, आज {daily}, इस महीने {monthly}',
+    limitsNone: 'कोई सीमा नहीं',
+    escrowSent:
+`{recipient} को {amount} {token} भेजे गए।
+वे अभी Paytos पर नहीं हैं, हमने उन्हें आमंत्रित किया है। {hours} घंटे में दावा न करने पर राशि आपको लौटा दी जाएगी।`,
+    escrowInvite:
+`{sender} ने आपको Paytos से {amount} {token} भेजे हैं।
+पाने के लिए {hours} घंटे के भीतर इस नंबर पर PANJIKARAN <PIN> भेजें (4-6 अंकों का PIN)।`,
+    escrowClaimed: '{recipient} ने आपके भेजे {amount} {token} प्राप्त कर लिए।',
+    escrowRefunded: '{recipient} ने आपके भेजे {amount} {token} का दावा नहीं किया, राशि आपको लौटा दी गई है।',
+    escrowExpired: '{sender} द्वारा भेजे गए {amount} {token} का समय पर दावा नहीं हुआ और वे उन्हें लौटा दिए गए।',
+    historyEmpty: 'Paytos इतिहास: अभी कोई लेन-देन नहीं।',
+    historyHeader: 'Paytos इतिहास (पिछले {count}):',
+    historyOutgoing: 'भेजा',
+    historyIncoming: 'मिला',
+    statusPending: 'लंबित',
+    statusCompleted: 'सफल',
+    statusFailed: 'विफल',
+    pinChanged:
+`आपका Paytos PIN बदल दिया गया है।
+अगर यह आपने नहीं किया, तो अभी RISET भेजें।`,
+    pinResetCode:
+`आपका Paytos रीसेट कोड {code} है। यह {minutes} मिनट में समाप्त होगा।
+नया PIN सेट करने के लिए भेजें: RISET {code} <नया PIN>
+यह कोड किसी को न बताएं।`,
+    pinResetCompleted: 'आपका Paytos PIN रीसेट हो गया है और खाता अनलॉक है।',
+    contactSaved:
+`{name} को {phoneNumber} के रूप में सहेजा गया।
+पैसे भेजने के लिए: BHEJO {name} <राशि> <टोकन> <PIN>`,
+    contactRemoved: 'संपर्क {name} हटाया गया।',
+    contactsHeader: 'आपके संपर्क:',
+    contactsEmpty: 'कोई संपर्क सहेजा नहीं गया। जोड़ने के लिए: ALIAS <नाम> <फ़ोन>',
+    languageChanged: 'आपकी Paytos भाषा अब हिन्दी है।',
+    error: 'त्रुटि: {message}',
+    help:
+`Paytos कमांड:
+- PANJIKARAN <PIN> - नया वॉलेट
+- BAKAYA <PIN> - बैलेंस देखें
+- BHEJO <प्राप्तकर्ता> <राशि> <टोकन> <PIN> - पैसे भेजें
+  उदाहरण: BHEJO +1234567890 10 USDC 1234
+- NIKALO <पता> <राशि> <टोकन> <PIN> - Solana वॉलेट में भेजें
+- PATA <PIN> [टोकन] - आपका पता, जमा राशि पाने के लिए
+- SEEMA <PIN> - आप और कितना भेज सकते हैं
+- HAAN [कोड] - ट्रांसफर की पुष्टि
+- NAHI [कोड] - ट्रांसफर रद्द
+- ITIHAS <PIN> [संख्या] - हाल के लेन-देन
+- PIN <पुराना PIN> <नया PIN> - PIN बदलें
+- RISET - भूला हुआ PIN रीसेट करें
+- ALIAS <नाम> <फ़ोन> / ALIASES / UNALIAS <नाम> - संपर्क
+- BHASHA <EN|SW|FR|HI> - भाषा बदलें
+- टोकन: {tokens}
+
+अधिक मदद: paytos.io`,
+  },
+  // Translations of error messages, keyed by the English text (the template, for messages with values)
+  errors: {
+    'Invalid Solana address.': 'अमान्य Solana पता।',
+    'You cannot withdraw to your own Paytos wallet.': 'आप अपने ही Paytos वॉलेट में नहीं निकाल सकते।',
+    'Withdrawals to this address are not allowed.': 'इस पते पर निकासी की अनुमति नहीं है।',
+    'Part of your balance is still being settled. Please try again later.':
+      'आपके बैलेंस का कुछ हिस्सा अभी सेटल हो रहा है। कृपया बाद में फिर कोशिश करें।',
+    'Invalid PIN': 'गलत PIN',
+    'Invalid PIN. It should be 4-6 digits.': 'अमान्य PIN। यह 4-6 अंकों का होना चाहिए।',
+    'Invalid recipient phone number. It should include the country code (e.g., +1234567890).':
+      'प्राप्तकर्ता का नंबर अमान्य है। देश कोड शामिल करें (जैसे +1234567890)।',
+    'Invalid amount. It should be a number greater than 0.': 'अमान्य राशि। यह 0 से अधिक होनी चाहिए।',
+    'Invalid amount. It has more decimal places than the token supports.': 'अमान्य राशि। इसमें टोकन की अनुमति से अधिक दशमलव स्थान हैं।',
+    'Invalid amount. It is too large.': 'अमान्य राशि। यह बहुत बड़ी है।',
+    'This amount is over your limit per transaction. Text LIMITS <PIN> to see your limits.':
+      'यह राशि आपकी प्रति ट्रांसफर सीमा से अधिक है। अपनी सीमाएँ देखने के लिए SEEMA <PIN> भेजें।',
+    'This amount is over your daily limit. Text LIMITS <PIN> to see your limits.':
+      'यह राशि आपकी दैनिक सीमा से अधिक है। अपनी सीमाएँ देखने के लिए SEEMA <PIN> भेजें।',
+    'This amount is over your monthly limit. Text LIMITS <PIN> to see your limits.':
+      'यह राशि आपकी मासिक सीमा से अधिक है। अपनी सीमाएँ देखने के लिए SEEMA <PIN> भेजें।',
+    'Invalid confirmation code.': 'अमान्य पुष्टि कोड।',
+    'Invalid confirmation code or expired transaction': 'अमान्य पुष्टि कोड या लेन-देन की समय सीमा समाप्त',
+    'No pending transaction to confirm.': 'पुष्टि के लिए कोई लंबित लेन-देन नहीं।',
+    'No pending transaction to cancel.': 'रद्द करने के लिए कोई लंबित लेन-देन नहीं।',
+    'Invalid command format. Text HELP for available commands.': 'अमान्य कमांड। कमांड देखने के लिए MADAD भेजें।',
+    'Unrecognized command. Text HELP for available commands.': 'अज्ञात कमांड। कमांड देखने के लिए MADAD भेजें।',
+    'Empty message.': 'खाली संदेश।',
+    'User already exists': 'यह नंबर पहले से पंजीकृत है',
+    'User not found': 'उपयोगकर्ता नहीं मिला',
+    'You are not registered. Text REGISTER <PIN> to create a wallet.':
+      'आप पंजीकृत नहीं हैं। वॉलेट बनाने के लिए PANJIKARAN <PIN> भेजें।',
+    'Invalid reset code': 'गलत रीसेट कोड',
+    'Invalid reset code.': 'अमान्य रीसेट कोड।',
+    'Unsupported language.': 'यह भाषा उपलब्ध नहीं है।',
+    'Unknown contact. Text ALIASES to see your contacts.':
+      'अज्ञात संपर्क। अपने संपर्क देखने के लिए ALIASES भेजें।',
+    'Invalid name. Use up to 20 letters or digits, starting with a letter.':
+      'अमान्य नाम। अक्षर से शुरू करके अधिकतम 20 अक्षर या अंक लिखें।',
+    'Your free transfer allowance is used up. Add SOL to your wallet to pay network fees.':
+      'आपकी मुफ़्त ट्रांसफ़र सीमा समाप्त हो गई है। नेटवर्क शुल्क के लिए अपने वॉलेट में SOL जोड़ें।',
+    'The transfer was stopped after a security review. No money was sent.':
+      'सुरक्षा जाँच के बाद ट्रांसफर रोक दिया गया। कोई पैसा नहीं भेजा गया।',
+    'The transfer was stopped because your PIN was reset. No money was sent.':
+      'आपका PIN रीसेट होने के कारण ट्रांसफर रोक दिया गया। कोई पैसा नहीं भेजा गया।',
+    'The transfer could not be completed. No money was sent.':
+      'ट्रांसफ़र पूरा नहीं हो सका। कोई पैसा नहीं भेजा गया।',
+    'Insufficient {token} balance':
+      'अपर्याप्त {token} बैलेंस',
+    'Invalid token. Supported tokens are: {tokens}.':
+      'अमान्य टोकन। स्वीकृत टोकन: {tokens}।',
+    'Invalid count. It should be a number from 1 to 10.':
+      'अमान्य संख्या। यह 1 से 10 के बीच होनी चाहिए।',
+    'New PIN must be different from the current PIN.':
+      'नया PIN मौजूदा PIN से अलग होना चाहिए।',
+    'No active PIN reset. Text RESET to get a new code.':
+      'कोई सक्रिय PIN रीसेट नहीं है। नया कोड पाने के लिए RISET भेजें।',
+    'Too many wrong codes. Text RESET to get a new code.':
+      'बहुत अधिक गलत कोड। नया कोड पाने के लिए RISET भेजें।',
+    'Account is locked due to too many failed attempts. Try again after {time} or text RESET.':
+      'बहुत अधिक असफल प्रयासों के कारण खाता लॉक है। {time} के बाद फिर कोशिश करें या RISET भेजें।',
+    'Too many wrong PINs. Your account is locked until {time}. Text RESET to unlock it sooner.':
+      'बहुत अधिक गलत PIN। आपका खाता {time} तक लॉक है। इसे जल्दी अनलॉक करने के लिए RISET भेजें।',
+    'You can save up to {count} contacts. Remove one with UNALIAS <NAME>.':
+      'आप अधिकतम {count} संपर्क सहेज सकते हैं। UNALIAS <नाम> से एक हटाएँ।',
+    'Something went wrong. Please try again later.': 'कुछ गलत हो गया। कृपया बाद में फिर कोशिश करें।',
+    'A reset code was sent recently. Wait {minutes} minutes before asking for another.':
+      'रीसेट कोड अभी भेजा गया है। दूसरा कोड माँगने से पहले {minutes} मिनट रुकें।',
+    'Too many reset codes requested. Try again after {time}.':
+      'बहुत अधिक रीसेट कोड माँगे गए। {time} के बाद फिर कोशिश करें।',
+  },
+};
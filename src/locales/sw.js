@@ -0,0 +1,205 @@
+/**
+ * Swahili SMS templates
+ * Placeholders in {braces} are filled in by i18n.t()
+ */
+module.exports = {
+  name: 'Kiswahili',
+  // Localized command keywords, mapped to the canonical English keyword
+  keywords: {
+    SAJILI: 'REGISTER',
+    SALIO: 'BALANCE',
+    TUMA: 'SEND',
+    TOA: 'WITHDRAW',
+    AMANA: 'ADDRESS',
+    VIKOMO: 'LIMITS',
+    NDIYO: 'YES',
+    HAPANA: 'NO',
+    GHAIRI: 'CANCEL',
+    THIBITISHA: 'CONFIRM',
+    HISTORIA: 'HISTORY',
+    WEKAUPYA: 'RESET',
+    MSAADA: 'HELP',
+    LUGHA: 'LANG',
+  },
+  messages: {
+    registrationConfirmation:
+`Karibu Paytos! Pochi yako imeundwa.
+- Kuangalia salio, tuma: SALIO <PIN>
+- Kutuma pesa, tuma: TUMA <MPOKEAJI> <KIASI> <SARAFU> <PIN>
+- Kwa msaada, tuma: MSAADA`,
+    balanceHeader: 'Salio la Paytos:',
+    balanceWithReserved: '{available} ({reserved} imehifadhiwa)',
+    confirmationRequest:
+`Thibitisha kutuma {amount} {token} kwa {recipient}?
+Jibu NDIYO {code} kuthibitisha au HAPANA {code} kughairi.`,
+    confirmationRequestWithFee:
+`Thibitisha kutuma {amount} {token} kwa {recipient}? Ada: {fee} {token}.
+Jibu NDIYO {code} kuthibitisha au HAPANA {code} kughairi.`,
+    withdrawalConfirmationRequest:
+`Thibitisha kutoa {amount} {token} kwenda {address}?
+Jibu NDIYO {code} kuthibitisha au HAPANA {code} kughairi.`,
+    withdrawalConfirmationRequestWithFee:
+`Thibitisha kutoa {amount} {token} kwenda {address}? Ada: {fee} {token}.
+Jibu NDIYO {code} kuthibitisha au HAPANA {code} kughairi.`,
+    withdrawalDelayed:
+`Utoaji wa {amount} {token} kwenda {address} umethibitishwa.
+Kwa kuwa hii ni anwani mpya, utatumwa baada ya dakika {minutes}.`,
+    transactionDelayed:
+`Kwa usalama wako, kutuma {amount} {token} kwa {recipient} kutaendelea baada ya dakika {minutes}.
+Kama hukufanya uhamisho huu, tuma WEKAUPYA sasa. Kubadilisha PIN yako kutausimamisha.`,
+    transactionUnderReview:
+`Kwa usalama wako, kutuma {amount} {token} kwa {recipient} kunakaguliwa.
+Tutakutumia SMS ikikamilika.`,
+    transactionCancelled:
+`Umeghairi kutuma {amount} {token} kwa {recipient}.
+Hakuna pesa iliyotumwa.`,
+    pendingChoiceHeader: 'Una miamala {count} inayosubiri. Jibu {command} <NAMBARI>:',
+    pendingChoiceLine: '{code}: {amount} {token} kwa {recipient}',
+    transactionQueued:
+`Inatuma {amount} {token} kwa {recipient}.
+Tutakutumia SMS ikikamilika.`,
+    transactionFailed:
+`Kutuma {amount} {token} kwa {recipient} kumeshindikana: {reason}`,
+    transactionCompleted:
+`Umetuma {amount} {token} kwa {recipient}.
+Salio jipya la {token}: {balance}`,
+    transactionReceived:
+`Umepokea {amount} {token} kutoka {sender}.
+Salio jipya la {token}: {balance}`,
+    depositReceived:
+`Umepokea amana ya {amount} {token} kutoka {sender}.
+Salio jipya la {token}: {balance}`,
+    depositAddressHeader: 'Anwani ya pochi yako ya Paytos:',
+    depositNetwork: 'Tuma kwenye mtandao wa Solana pekee. Pesa zinazotumwa kwenye mtandao mwingine zitapotea.',
+    depositNative: '{token}: tuma kwa anwani hii',
+    depositSplToken: '{token}: sarafu {mint}',
+    depositPayLink:
+`Kulipa kutoka programu ya pochi ya Solana, fungua:
+{url}`,
+    depositPayLinkHint: 'Kupata kiungo cha malipo cha kushiriki, tuma AMANA <PIN> <SARAFU>',
+    limitsHeader: 'Kiasi unachoweza bado kutuma (akaunti {tier}):',
+    limitsLine: '{token}: kwa muamala {perTransaction}, leo {daily}, mwezi huu {monthly}',
+    limitsNone: 'hakuna kikomo',
+    escrowSent:
+`Umetuma {amount} {token} kwa {recipient}.
+Bado hayuko kwenye Paytos, tumemwalika. Asipopokea ndani ya saa {hours}, utarudishiwa pesa.`,
+    escrowInvite:
+`{sender} amekutumia {amount} {token} kupitia Paytos.
+Kuzipokea, tuma SAJILI <PIN> kwa nambari hii ndani ya saa {hours} (chagua PIN ya tarakimu 4-6).`,
+    escrowClaimed: '{recipient} amepokea {amount} {token} ulizotuma.',
+    escrowRefunded: '{recipient} hakupokea {amount} {token} ulizotuma, umerudishiwa pesa zako.',
+    escrowExpired: '{amount} {token} ulizotumiwa na {sender} hazikupokelewa kwa wakati na zimerudishwa kwake.',
+    historyEmpty: 'Historia ya Paytos: bado hakuna miamala.',
+    historyHeader: 'Historia ya Paytos ({count} za mwisho):',
+    historyOutgoing: 'TUMA',
+    historyIncoming: 'POKEA',
+    statusPending: 'SUBIRI',
+    statusCompleted: 'SAWA',
+    statusFailed: 'IMESHINDWA',
+    pinChanged:
+`PIN yako ya Paytos imebadilishwa.
+Kama si wewe, tuma WEKAUPYA sasa hivi.`,
+    pinResetCode:
+`Nambari yako ya kubadilisha PIN ni {code}. Itaisha baada ya dakika {minutes}.
+Kuweka PIN mpya, tuma: WEKAUPYA {code} <PIN MPYA>
+Usimpe mtu nambari hii.`,
+    pinResetCompleted: 'PIN yako ya Paytos imewekwa upya na akaunti yako imefunguliwa.',
+    contactSaved:
+`{name} amehifadhiwa kama {phoneNumber}.
+Kutuma pesa, tuma: TUMA {name} <KIASI> <SARAFU> <PIN>`,
+    contactRemoved: 'Umemfuta {name}.',
+    contactsHeader: 'Anwani zako:',
+    contactsEmpty: 'Huna anwani zilizohifadhiwa. Ongeza kwa: ALIAS <JINA> <NAMBARI>',
+    languageChanged: 'Lugha yako ya Paytos sasa ni Kiswahili.',
+    error: 'Hitilafu: {message}',
+    help:
+`Amri za Paytos:
+- SAJILI <PIN> - Fungua pochi mpya
+- SALIO <PIN> - Angalia salio
+- TUMA <MPOKEAJI> <KIASI> <SARAFU> <PIN> - Tuma pesa
+  Mfano: TUMA +1234567890 10 USDC 1234
+- TOA <ANWANI> <KIASI> <SARAFU> <PIN> - Tuma kwa pochi ya Solana
+- AMANA <PIN> [SARAFU] - Anwani yako, kupokea amana
+- VIKOMO <PIN> - Kiasi unachoweza bado kutuma
+- NDIYO [NAMBARI] - Thibitisha muamala
+- HAPANA [NAMBARI] - Ghairi muamala
+- HISTORIA <PIN> [IDADI] - Miamala ya karibuni
+- PIN <PIN YA ZAMANI> <PIN MPYA> - Badilisha PIN
+- WEKAUPYA - Weka upya PIN uliyosahau
+- ALIAS <JINA> <NAMBARI> / ALIASES / UNALIAS <JINA> - Anwani
+- LUGHA <EN|SW|FR|HI> - Badilisha lugha
+- Sarafu zinazokubalika: {tokens}
+
+Msaada zaidi: paytos.io`,
+  },
+  // Translations of error messages, keyed by the English text (the template, for messages with values)
+  errors: {
+    'Invalid Solana address.': 'Anwani ya Solana si sahihi.',
+    'You cannot withdraw to your own Paytos wallet.': 'Huwezi kutoa kwenda pochi yako mwenyewe ya Paytos.',
+    'Withdrawals to this address are not allowed.': 'Utoaji kwenda anwani hii hauruhusiwi.',
+    'Part of your balance is still being settled. Please try again later.':
+      'Sehemu ya salio lako bado inashughulikiwa. Tafadhali jaribu tena baadaye.',
+    'Invalid PIN': 'PIN si sahihi',
+    'Invalid PIN. It should be 4-6 digits.': 'PIN si sahihi. Inapaswa kuwa na tarakimu 4 hadi 6.',
+    'Invalid recipient phone number. It should include the country code (e.g., +1234567890).':
+      'Nambari ya mpokeaji si sahihi. Weka msimbo wa nchi (mfano +1234567890).',
+    'Invalid amount. It should be a number greater than 0.': 'Kiasi si sahihi. Kinapaswa kuwa zaidi ya 0.',
+    'Invalid amount. It has more decimal places than the token supports.': 'Kiasi si sahihi. Kina nafasi nyingi za desimali kuliko sarafu inavyoruhusu.',
+    'Invalid amount. It is too large.': 'Kiasi si sahihi. Ni kikubwa mno.',
+    'This amount is over your limit per transaction. Text LIMITS <PIN> to see your limits.':
+      'Kiasi hiki kinazidi kikomo chako kwa muamala mmoja. Tuma VIKOMO <PIN> kuona vikomo vyako.',
+    'This amount is over your daily limit. Text LIMITS <PIN> to see your limits.':
+      'Kiasi hiki kinazidi kikomo chako cha siku. Tuma VIKOMO <PIN> kuona vikomo vyako.',
+    'This amount is over your monthly limit. Text LIMITS <PIN> to see your limits.':
+      'Kiasi hiki kinazidi kikomo chako cha mwezi. Tuma VIKOMO <PIN> kuona vikomo vyako.',
+    'Invalid confirmation code.': 'Nambari ya uthibitisho si sahihi.',
+    'Invalid confirmation code or expired transaction': 'Nambari ya uthibitisho si sahihi au muamala umeisha muda',
+    'No pending transaction to confirm.': 'Hakuna muamala unaosubiri kuthibitishwa.',
+    'No pending transaction to cancel.': 'Hakuna muamala unaosubiri kughairiwa.',
+    'Invalid command format. Text HELP for available commands.': 'Amri si sahihi. Tuma MSAADA kuona amri.',
+    'Unrecognized command. Text HELP for available commands.': 'Amri haijulikani. Tuma MSAADA kuona amri.',
+    'Empty message.': 'Ujumbe ni mtupu.',
+    'User already exists': 'Nambari hii tayari imesajiliwa',
+    'User not found': 'Mtumiaji hajapatikana',
+    'You are not registered. Text REGISTER <PIN> to create a wallet.':
+      'Hujasajiliwa. Tuma SAJILI <PIN> kufungua pochi.',
+    'Invalid reset code': 'Nambari ya kubadilisha PIN si sahihi',
+    'Invalid reset code.': 'Nambari ya kubadilisha PIN si sahihi.',
+    'Unsupported language.': 'Lugha haitumiki.',
+    'Unknown contact. Text ALIASES to see your contacts.':
+      'Anwani haijulikani. Tuma ALIASES kuona anwani zako.',
+    'Invalid name. Use up to 20 letters or digits, starting with a letter.':
+      'Jina si sahihi. Tumia herufi au tarakimu hadi 20, ukianza na herufi.',
+    'Your free transfer allowance is used up. Add SOL to your wallet to pay network fees.':
+      'Posho lako la kutuma bure limekwisha. Ongeza SOL kwenye pochi yako kulipia ada za mtandao.',
+    'The transfer was stopped after a security review. No money was sent.':
+      'Uhamisho umesimamishwa baada ya ukaguzi wa usalama. Hakuna pesa iliyotumwa.',
+    'The transfer was stopped because your PIN was reset. No money was sent.':
+      'Uhamisho umesimamishwa kwa sababu PIN yako ilibadilishwa. Hakuna pesa iliyotumwa.',
+    'The transfer could not be completed. No money was sent.':
+      'Uhamisho haukuweza kukamilika. Hakuna pesa iliyotumwa.',
+    'Insufficient {token} balance':
+      'Salio la {token} halitoshi',
+    'Invalid token. Supported tokens are: {tokens}.':
+      'Sarafu si sahihi. Sarafu zinazokubalika: {tokens}.',
+    'Invalid count. It should be a number from 1 to 10.':
+      'Idadi si sahihi. Inapaswa kuwa namba kati ya 1 na 10.',
+    'New PIN must be different from the current PIN.':
+      'PIN mpya lazima iwe tofauti na PIN ya sasa.',
+    'No active PIN reset. Text RESET to get a new code.':
+      'Hakuna ombi la kuweka upya PIN linaloendelea. Tuma WEKAUPYA kupata nambari mpya.',
+    'Too many wrong codes. Text RESET to get a new code.':
+      'Nambari zisizo sahihi zimekuwa nyingi mno. Tuma WEKAUPYA kupata nambari mpya.',
+    'Account is locked due to too many failed attempts. Try again after {time} or text RESET.':
+      'Akaunti imefungwa kwa sababu ya majaribio mengi yaliyoshindwa. Jaribu tena baada ya {time} au tuma WEKAUPYA.',
+    'Too many wrong PINs. Your account is locked until {time}. Text RESET to unlock it sooner.':
+      'PIN zisizo sahihi zimekuwa nyingi mno. Akaunti yako imefungwa hadi {time}. Tuma WEKAUPYA kuifungua mapema.',
+    'You can save up to {count} contacts. Remove one with UNALIAS <NAME>.':
+      'Unaweza kuhifadhi hadi anwani {count}. Ondoa moja kwa UNALIAS <JINA>.',
+    'Something went wrong. Please try again later.': 'Hitilafu imetokea. Tafadhali jaribu tena baadaye.',
+    'A reset code was sent recently. Wait {minutes} minutes before asking for another.':
+      'Nambari ya kuweka upya PIN imetumwa hivi karibuni. Subiri dakika {minutes} kabla ya kuomba nyingine.',
+    'Too many reset codes requested. Try again after {time}.':
+      'Umeomba nambari nyingi mno. Jaribu tena baada ya {time}.',
+  },
+};
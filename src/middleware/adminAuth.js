@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Authenticate admin API requests
+ * Accepts either an `X-API-Key` header matching ADMIN_API_KEY or an
+ * `Authorization: Bearer <token>` JWT signed with JWT_SECRET for the configured
+ * audience and carrying `role: 'admin'`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const adminAuth = (req, res, next) => {
+  const apiKey = req.get('X-API-Key');
+
+  if (apiKey && config.admin.apiKey && safeEqual(apiKey, config.admin.apiKey)) {
+    req.admin = { method: 'api-key' };
+    return next();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const [scheme, token] = authorization.split(' ');
+
+  if (scheme === 'Bearer' && token && config.jwt.secret) {
+    try {
+      const payload = jwt.verify(token, config.jwt.secret, {
+        algorithms: ['HS256'],
+        audience: config.jwt.audience,
+      });
+
+      if (payload.role !== 'admin') {
+        throw new Error('Token does not have the admin role');
+      }
+
+      req.admin = { method: 'jwt', subject: payload.sub };
+      return next();
+    } catch (error) {
+      logger.warn(`Rejected admin API token: ${error.message}`, { ip: req.ip });
+    }
+  }
+
+  logger.warn(`Unauthorized admin API request to ${req.originalUrl}`, { ip: req.ip });
+  res.status(401).json({
+    error: 'Unauthorized',
+  });
+};
+
+module.exports = adminAuth;
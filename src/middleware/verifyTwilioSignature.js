@@ -0,0 +1,57 @@
+const twilio = require('twilio');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Build the URL Twilio signed the request against
+ * @param {Object} req - Express request object
+ * @returns {string} The full webhook URL
+ */
+const getWebhookUrl = (req) => {
+  const publicUrl = config.server.publicUrl.replace(/\/+$/, '');
+  return `${publicUrl}${req.originalUrl}`;
+};
+
+/**
+ * Reject webhook requests that don't carry a valid X-Twilio-Signature
+ * Validation can only be switched off (TWILIO_VALIDATE_SIGNATURE=false) outside production
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyTwilioSignature = (req, res, next) => {
+  if (!config.twilio.validateSignature && config.server.env !== 'production') {
+    return next();
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+
+  if (!config.twilio.authToken || !config.server.publicUrl) {
+    logger.error('Cannot validate Twilio signature: TWILIO_AUTH_TOKEN or PUBLIC_URL is not set');
+    return res.status(403).send({
+      error: 'Forbidden',
+    });
+  }
+
+  const isValid = Boolean(signature) && twilio.validateRequest(
+    config.twilio.authToken,
+    signature,
+    getWebhookUrl(req),
+    req.body || {}
+  );
+
+  if (!isValid) {
+    logger.warn(`Rejected webhook request with ${signature ? 'invalid' : 'missing'} Twilio signature`, {
+      ip: req.ip,
+      url: req.originalUrl,
+      from: req.body && req.body.From,
+    });
+    return res.status(403).send({
+      error: 'Forbidden',
+    });
+  }
+
+  next();
+};
+
+module.exports = verifyTwilioSignature;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('./utils/logger');
+const walletUtils = require('./utils/wallet');
+const tokenRegistry = require('./utils/tokenRegistry');
+const User = require('./models/User');
+const TransactionModel = require('./models/Transaction');
+const PendingTransaction = require('./models/PendingTransaction');
+const Escrow = require('./models/Escrow');
+const LedgerEntry = require('./models/LedgerEntry');
+const Settlement = require('./models/Settlement');
+
+// Recorded in the migrations collection once every record is converted
+const MIGRATION_ID = 'amounts-in-smallest-units';
+
+// Set on each converted record, so a run that stopped part way can be resumed
+const CONVERTED_FLAG = 'amountsInSmallestUnits';
+
+/**
+ * Convert an amount in whole tokens to the token's smallest unit
+ * @param {string} symbol - Token symbol
+ * @param {number} amount - Amount in whole tokens, as stored by earlier versions
+ * @returns {number} The amount in the smallest unit
+ */
+const toUnits = (symbol, amount) => {
+  const units = Math.round((amount || 0) * 10 ** tokenRegistry.getDecimals(symbol));
+
+  if (!Number.isSafeInteger(units)) {
+    throw new Error(`${amount} ${symbol} is too large to store in the smallest unit`);
+  }
+
+  return units;
+};
+
+/**
+ * Convert every token amount of a map keyed by token symbol, e.g. a user's balances
+ * @param {Object} [amounts] - Amounts in whole tokens, keyed by token symbol
+ * @returns {Object} The same keys with amounts in the smallest unit
+ */
+const mapToUnits = (amounts = {}) => Object.fromEntries(
+  Object.entries(amounts).map(([symbol, amount]) => [symbol, toUnits(symbol, amount)])
+);
+
+// Fields to convert in each collection; each function returns the $set for one raw record
+const conversions = [
+  {
+    model: TransactionModel,
+    convert: (record) => ({
+      amount: toUnits(record.token, record.amount),
+      fee: toUnits(record.token, record.fee),
+      reservedAmount: toUnits(record.token, record.reservedAmount),
+    }),
+  },
+  {
+    model: PendingTransaction,
+    convert: (record) => ({ amount: toUnits(record.token, record.amount) }),
+  },
+  {
+    model: Escrow,
+    convert: (record) => ({ amount: toUnits(record.token, record.amount) }),
+  },
+  {
+    model: LedgerEntry,
+    convert: (record) => ({ amount: toUnits(record.token, record.amount) }),
+  },
+  {
+    model: Settlement,
+    convert: (record) => ({
+      legs: (record.legs || []).map((leg) => ({ ...leg, amount: toUnits(record.token, leg.amount) })),
+    }),
+  },
+  {
+    model: User,
+    convert: (record) => ({
+      tokenBalances: mapToUnits(record.tokenBalances),
+      ledgerPositions: mapToUnits(record.ledgerPositions),
+      reservedBalances: mapToUnits(record.reservedBalances),
+    }),
+  },
+];
+
+/**
+ * Convert the amounts of one collection from whole tokens to each token's smallest unit
+ * Records are read and written through the driver, since old amounts fail the schema validators
+ * @param {Object} conversion - The model and the function that converts one record
+ * @returns {Promise<Object>} { converted, failed }
+ */
+const convertCollection = async ({ model, convert }) => {
+  let converted = 0;
+  let failed = 0;
+
+  const records = model.collection.find({ [CONVERTED_FLAG]: { $exists: false } });
+
+  for await (const record of records) {
+    try {
+      await model.collection.updateOne(
+        { _id: record._id, [CONVERTED_FLAG]: { $exists: false } },
+        { $set: { ...convert(record), [CONVERTED_FLAG]: true } }
+      );
+      converted += 1;
+    } catch (error) {
+      logger.error(`Failed to convert ${model.modelName} ${record._id}: ${error.message}`);
+      failed += 1;
+    }
+  }
+
+  logger.info(`Converted ${converted} ${model.modelName} records; ${failed} failed`);
+  return { converted, failed };
+};
+
+// One-off upgrade from amounts in whole tokens; run with `npm run migrate-amounts` while Paytos is stopped
+mongoose.connect(config.mongo.uri)
+  .then(async () => {
+    const migrations = mongoose.connection.collection('migrations');
+
+    if (await migrations.findOne({ _id: MIGRATION_ID })) {
+      logger.info('Amounts are already stored in each token\'s smallest unit');
+      await mongoose.disconnect();
+      process.exit(0);
+    }
+
+    // Conversion needs every token's decimals
+    await tokenRegistry.verifyTokenMints(walletUtils.getConnection());
+
+    let failed = 0;
+    for (const conversion of conversions) {
+      failed += (await convertCollection(conversion)).failed;
+    }
+
+    if (failed === 0) {
+      await migrations.insertOne({ _id: MIGRATION_ID, completedAt: new Date() });
+    }
+
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    logger.error(`Amount migration error: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const tokenRegistry = require('../utils/tokenRegistry');
+
+const EscrowSchema = new Schema({
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recipient: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  senderPhone: {
+    type: String,
+    required: true,
+  },
+  recipientPhone: {
+    type: String,
+    required: true,
+  },
+  // In the token's smallest unit (e.g. lamports for SOL)
+  amount: {
+    type: Number,
+    required: true,
+    validate: Number.isSafeInteger,
+  },
+  token: {
+    type: String,
+    enum: tokenRegistry.getSymbols(),
+    required: true,
+  },
+  // pending: deposit not yet on chain, held: waiting to be claimed,
+  // claiming/refunding: payout in progress, claimed/refunded: paid out
+  status: {
+    type: String,
+    enum: ['pending', 'held', 'claiming', 'claimed', 'refunding', 'refunded', 'failed'],
+    default: 'pending',
+  },
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  depositSignature: {
+    type: String,
+    default: null,
+  },
+  // Recorded before the payout is broadcast, so a retry can tell whether it landed
+  payoutSignature: {
+    type: String,
+    default: null,
+  },
+  payoutLastValidBlockHeight: {
+    type: Number,
+    default: null,
+  },
+  errorMessage: {
+    type: String,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  heldAt: {
+    type: Date,
+    default: null,
+  },
+  settledAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+EscrowSchema.index({ recipientPhone: 1, status: 1 });
+EscrowSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Escrow', EscrowSchema); 
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const InboundMessageSchema = new Schema({
+  // Gateway message ID (Twilio MessageSid), used to ignore webhook retries
+  messageId: {
+    type: String,
+    default: undefined,
+  },
+  gateway: {
+    type: String,
+    required: true,
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+  },
+  // Message text with PINs and reset codes masked
+  body: {
+    type: String,
+    default: '',
+  },
+  command: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'rejected', 'failed'],
+    default: 'received',
+  },
+  errorMessage: {
+    type: String,
+    default: null,
+  },
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  duplicateCount: {
+    type: Number,
+    default: 0,
+  },
+  lastDuplicateAt: {
+    type: Date,
+    default: null,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+InboundMessageSchema.index({ messageId: 1 }, { unique: true, sparse: true });
+InboundMessageSchema.index({ phoneNumber: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('InboundMessage', InboundMessageSchema); 
\ No newline at end of file
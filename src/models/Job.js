@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const JobSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    required: true,
+  },
+  // Earliest time the next attempt may run
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedAt: 1 });
+
+module.exports = mongoose.model('Job', JobSchema); 
\ No newline at end of file
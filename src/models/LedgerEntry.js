@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const tokenRegistry = require('../utils/tokenRegistry');
+
+// One side of a double-entry posting; the entries of a journal sum to zero per token
+const LedgerEntrySchema = new Schema({
+  journal: {
+    type: Schema.Types.ObjectId,
+    required: true,
+  },
+  // user:<id>, fees or settlement
+  account: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  token: {
+    type: String,
+    enum: tokenRegistry.getSymbols(),
+    required: true,
+  },
+  // Positive amounts credit the account, negative amounts debit it, in the token's smallest unit
+  amount: {
+    type: Number,
+    required: true,
+    validate: Number.isSafeInteger,
+  },
+  type: {
+    type: String,
+    enum: ['transfer', 'settlement'],
+    required: true,
+  },
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null,
+  },
+  settlement: {
+    type: Schema.Types.ObjectId,
+    ref: 'Settlement',
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+LedgerEntrySchema.index({ journal: 1 });
+LedgerEntrySchema.index({ account: 1, token: 1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema); 
\ No newline at end of file
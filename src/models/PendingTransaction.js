@@ -1,22 +1,36 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const tokenRegistry = require('../utils/tokenRegistry');
 
 const PendingTransactionSchema = new Schema({
   senderPhone: {
     type: String,
     required: true,
   },
+  // Withdrawals go to an external address instead of a phone number
   recipientPhone: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.destinationAddress;
+    },
+  },
+  destinationAddress: {
+    type: String,
+    default: null,
   },
+  recipientName: {
+    type: String,
+    default: null,
+  },
+  // In the token's smallest unit (e.g. lamports for SOL)
   amount: {
     type: Number,
     required: true,
+    validate: Number.isSafeInteger,
   },
   token: {
     type: String,
-    enum: ['USDC', 'USDT', 'PYUSD', 'SOL'],
+    enum: tokenRegistry.getSymbols(),
     required: true,
   },
   confirmationCode: {
@@ -33,6 +47,8 @@ const PendingTransactionSchema = new Schema({
   },
 });
 
+PendingTransactionSchema.index({ senderPhone: 1, confirmationCode: 1 });
+
 // Automatically delete pending transactions after they expire
 PendingTransactionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const tokenRegistry = require('../utils/tokenRegistry');
+
+const RiskAssessmentSchema = new Schema({
+  transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+  },
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  senderPhone: {
+    type: String,
+    required: true,
+  },
+  // transfer or withdrawal
+  kind: {
+    type: String,
+    enum: ['transfer', 'withdrawal'],
+    required: true,
+  },
+  // Phone number for transfers, wallet address for withdrawals
+  recipient: {
+    type: String,
+    required: true,
+  },
+  // In the token's smallest unit (e.g. lamports for SOL)
+  amount: {
+    type: Number,
+    required: true,
+    validate: Number.isSafeInteger,
+  },
+  token: {
+    type: String,
+    enum: tokenRegistry.getSymbols(),
+    required: true,
+  },
+  score: {
+    type: Number,
+    required: true,
+  },
+  // allow: sent straight away, delay: sent after a cooling-off period, review: held for an admin
+  decision: {
+    type: String,
+    enum: ['allow', 'delay', 'review'],
+    required: true,
+  },
+  // Rules that matched, with the points each added and what triggered it
+  rules: [{
+    rule: {
+      type: String,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    detail: {
+      type: String,
+      default: null,
+    },
+  }],
+  // Outcome of an admin review of a held transfer
+  review: {
+    outcome: {
+      type: String,
+      enum: ['approved', 'rejected'],
+      default: null,
+    },
+    actor: {
+      type: String,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RiskAssessmentSchema.index({ decision: 1, createdAt: -1 });
+RiskAssessmentSchema.index({ senderPhone: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RiskAssessment', RiskAssessmentSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SecurityEventSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['account_locked', 'account_unlocked', 'tier_changed', 'pin_reset_requested'],
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ['pin_failures', 'lock_expired', 'pin_reset', 'admin'],
+    required: true,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0,
+  },
+  // Account tier after the event
+  tier: {
+    type: String,
+    default: null,
+  },
+  actor: {
+    type: String,
+    default: 'system',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SecurityEventSchema.index({ phoneNumber: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', SecurityEventSchema); 
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const tokenRegistry = require('../utils/tokenRegistry');
+
+// A batch of ledger positions settled in one Solana transaction
+const SettlementSchema = new Schema({
+  token: {
+    type: String,
+    enum: tokenRegistry.getSymbols(),
+    required: true,
+  },
+  // Negative amounts are paid by the user to the master wallet, positive ones paid out to the user,
+  // in the token's smallest unit
+  legs: [{
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    walletAddress: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      validate: Number.isSafeInteger,
+    },
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'confirmed', 'failed'],
+    default: 'pending',
+  },
+  // Set while the batch is unfinished; only one batch per token may be open at a time
+  open: {
+    type: Boolean,
+    default: true,
+  },
+  signature: {
+    type: String,
+    default: null,
+  },
+  lastValidBlockHeight: {
+    type: Number,
+    default: null,
+  },
+  errorMessage: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  settledAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+SettlementSchema.index({ token: 1 }, { unique: true, partialFilterExpression: { open: true } });
+SettlementSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Settlement', SettlementSchema); 
\ No newline at end of file
@@ -1,43 +1,115 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const tokenRegistry = require('../utils/tokenRegistry');
 
 const TransactionSchema = new Schema({
+  // transfer: between phone numbers, deposit: received from a wallet outside Paytos,
+  // withdrawal: sent to a wallet outside Paytos
+  kind: {
+    type: String,
+    enum: ['transfer', 'deposit', 'withdrawal'],
+    default: 'transfer',
+  },
+  // Deposits have no Paytos sender
   sender: {
     type: Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function () {
+      return this.kind !== 'deposit';
+    },
   },
+  // Null while the funds are held in escrow for an unregistered recipient
   recipient: {
     type: Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    default: null,
+  },
+  escrow: {
+    type: Schema.Types.ObjectId,
+    ref: 'Escrow',
+    default: null,
+  },
+  // ledger: settled instantly between Paytos wallets, onchain: sent as its own Solana transfer
+  rail: {
+    type: String,
+    enum: ['onchain', 'ledger'],
+    default: 'onchain',
   },
   senderPhone: {
     type: String,
-    required: true,
+    required: function () {
+      return this.kind !== 'deposit';
+    },
+  },
+  // External wallet a deposit came from (if known) or a withdrawal went to
+  counterparty: {
+    type: String,
+    default: null,
   },
   recipientPhone: {
     type: String,
-    required: true,
+    required: function () {
+      return this.kind !== 'withdrawal';
+    },
   },
+  // Amounts are whole numbers of the token's smallest unit (e.g. lamports for SOL)
   amount: {
     type: Number,
     required: true,
+    validate: Number.isSafeInteger,
   },
   token: {
     type: String,
-    enum: ['USDC', 'USDT', 'PYUSD', 'SOL'],
+    enum: tokenRegistry.getSymbols(),
     required: true,
   },
+  // Transfer fee charged in the same token, on top of the amount
+  fee: {
+    type: Number,
+    default: 0,
+    validate: Number.isSafeInteger,
+  },
+  // Amount plus fee held in the sender's reservedBalances until the transfer settles
+  reservedAmount: {
+    type: Number,
+    default: 0,
+    validate: Number.isSafeInteger,
+  },
+  // Lamports the master wallet paid for fees and rent on the sender's behalf
+  sponsoredLamports: {
+    type: Number,
+    default: 0,
+  },
+  // held: waiting out a cooling-off period or an admin review after its risk assessment,
+  // queued: waiting for a worker, submitted: broadcast and awaiting confirmation
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
-    default: 'pending',
+    enum: ['held', 'queued', 'submitted', 'confirmed', 'failed'],
+    default: 'queued',
+  },
+  riskAssessment: {
+    type: Schema.Types.ObjectId,
+    ref: 'RiskAssessment',
+    default: null,
   },
   signature: {
     type: String,
     default: null,
   },
+  // Last block height at which the submitted signature can still land
+  lastValidBlockHeight: {
+    type: Number,
+    default: null,
+  },
+  // Earliest time a held-back transfer may be sent; a held transfer without one waits for an admin
+  releaseAt: {
+    type: Date,
+    default: null,
+  },
+  submittedAt: {
+    type: Date,
+    default: null,
+  },
   errorMessage: {
     type: String,
     default: null,
@@ -52,4 +124,16 @@ const TransactionSchema = new Schema({
   },
 });
 
+TransactionSchema.index({ status: 1, createdAt: 1 });
+TransactionSchema.index({ sender: 1, kind: 1, counterparty: 1 });
+// Spending limits sum what a sender has sent in a token since the start of the day or month
+TransactionSchema.index({ sender: 1, token: 1, createdAt: 1 });
+// Risk checks count the senders paying a recipient in a recent window
+TransactionSchema.index({ recipientPhone: 1, createdAt: 1 });
+// A deposit is recorded once per credited wallet and token, however often it is seen
+TransactionSchema.index(
+  { signature: 1, recipient: 1, token: 1 },
+  { unique: true, partialFilterExpression: { kind: 'deposit' } }
+);
+
 module.exports = mongoose.model('Transaction', TransactionSchema); 
\ No newline at end of file
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const config = require('../../config/config');
+const tokenRegistry = require('../utils/tokenRegistry');
+const i18n = require('../utils/i18n');
+
+/**
+ * Build one amount field per configured token, each defaulting to zero
+ * Amounts are whole numbers of the token's smallest unit (e.g. lamports for SOL)
+ * @returns {Object} Schema fields keyed by token symbol
+ */
+const tokenAmounts = () => Object.fromEntries(
+  tokenRegistry.getSymbols().map((symbol) => [symbol, { type: Number, default: 0, validate: Number.isSafeInteger }])
+);
 
 const UserSchema = new Schema({
   phoneNumber: {
@@ -8,10 +20,21 @@ const UserSchema = new Schema({
     unique: true,
     trim: true,
   },
+  // Wallet secret key, encrypted with the data key below
   encryptedWalletKey: {
     type: String,
     required: true,
   },
+  // Data key wrapped by the key provider's master key; null for keys encrypted with ENCRYPTION_KEY
+  walletDataKey: {
+    type: String,
+    default: null,
+  },
+  // Version of the master key that wrapped walletDataKey
+  walletKeyVersion: {
+    type: String,
+    default: null,
+  },
   walletAddress: {
     type: String,
     required: true,
@@ -24,27 +47,83 @@ const UserSchema = new Schema({
     type: Number,
     default: 0,
   },
-  isLocked: {
-    type: Boolean,
-    default: false,
+  lockedUntil: {
+    type: Date,
+    default: null,
   },
-  tokenBalances: {
-    USDC: {
-      type: Number,
-      default: 0,
+  lockoutCount: {
+    type: Number,
+    default: 0,
+  },
+  pinResetCode: {
+    type: String,
+    default: null,
+  },
+  pinResetExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  pinResetAttempts: {
+    type: Number,
+    default: 0,
+  },
+  pinChangedAt: {
+    type: Date,
+    default: null,
+  },
+  tokenBalances: tokenAmounts(),
+  // Time tokenBalances are correct as of: when they were last read from the chain, or when
+  // they were last lowered for a confirmed debit
+  balancesUpdatedAt: {
+    type: Date,
+    default: null,
+  },
+  // Newest transaction signature the deposit watcher has seen, per token, or 'none' if there was no history
+  depositCursors: {
+    type: Schema.Types.Mixed,
+    default: {},
+  },
+  // Net off-chain ledger position not yet settled on-chain (negative: owed by the user)
+  ledgerPositions: tokenAmounts(),
+  // Amounts locked by transfers that are confirmed but not yet settled
+  reservedBalances: tokenAmounts(),
+  contacts: [{
+    name: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
     },
-    USDT: {
-      type: Number,
-      default: 0,
+    phoneNumber: {
+      type: String,
+      required: true,
     },
-    PYUSD: {
-      type: Number,
-      default: 0,
+    createdAt: {
+      type: Date,
+      default: Date.now,
     },
-    SOL: {
+  }],
+  language: {
+    type: String,
+    enum: i18n.supportedLocales,
+    default: null,
+  },
+  // Network fees and rent paid by the master wallet in the current sponsorship period
+  sponsorship: {
+    lamportsUsed: {
       type: Number,
       default: 0,
-    }
+    },
+    periodStart: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  // Account tier, which sets the user's spending limits
+  tier: {
+    type: String,
+    enum: config.limits.tiers,
+    default: config.limits.defaultTier,
   },
   isVerified: {
     type: Boolean,
@@ -64,6 +143,11 @@ const UserSchema = new Schema({
   },
 });
 
+// Whether the account is inside a lockout window
+UserSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > Date.now());
+});
+
 // Update the updatedAt timestamp before saving
 UserSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
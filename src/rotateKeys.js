@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('./utils/logger');
+const walletUtils = require('./utils/wallet');
+const User = require('./models/User');
+const { verifyKeyProvider } = require('./keyProviders');
+
+// Times a user's key is re-read and re-wrapped when it changes mid-rotation
+const MAX_ATTEMPTS = 3;
+
+const WALLET_KEY_FIELDS = 'phoneNumber encryptedWalletKey walletDataKey walletKeyVersion walletAddress';
+
+/**
+ * Re-wrap one user's wallet key, re-reading it if it changes before the update lands
+ * @param {Object} user - User with the wallet key fields
+ * @param {string} keyVersion - The current master key version
+ * @returns {Promise<boolean>} Whether the key is now under the current master key
+ */
+const rewrapUserKey = async (user, keyVersion) => {
+  let current = user;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    const rewrappedKey = await walletUtils.rewrapWalletKey(current);
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: current._id,
+        encryptedWalletKey: current.encryptedWalletKey,
+        walletDataKey: current.walletDataKey,
+      },
+      rewrappedKey
+    );
+
+    if (modifiedCount > 0) {
+      return true;
+    }
+
+    // Nothing left to do if the user is gone or their key was re-wrapped elsewhere
+    current = await User.findById(user._id, WALLET_KEY_FIELDS);
+
+    if (!current || current.walletKeyVersion === keyVersion) {
+      return true;
+    }
+
+    logger.warn(`Wallet key for ${user.phoneNumber} changed while it was re-wrapped; retrying`);
+  }
+
+  return false;
+};
+
+/**
+ * Check ENCRYPTION_KEY against one legacy wallet key, so a wrong key stops the run before
+ * anything is written
+ * @returns {Promise<void>}
+ */
+const verifyLegacyKey = async () => {
+  const user = await User.findOne({ walletDataKey: null }, WALLET_KEY_FIELDS);
+
+  if (user) {
+    walletUtils.restoreLegacyWallet(user);
+  }
+};
+
+/**
+ * Re-wrap every wallet key not yet under the current master key
+ * Safe to run while Paytos is up and to run again after a failure: each user is updated only
+ * if their stored key hasn't changed since it was read (a changed key is re-read and retried),
+ * and old master keys stay usable until nothing is wrapped under them
+ * @param {string} keyVersion - The current master key version
+ * @returns {Promise<Object>} { rewrapped, failed }
+ */
+const rotateWalletKeys = async (keyVersion) => {
+  let rewrapped = 0;
+  let failed = 0;
+
+  const users = User.find({ walletKeyVersion: { $ne: keyVersion } }, WALLET_KEY_FIELDS).cursor();
+
+  for await (const user of users) {
+    try {
+      if (await rewrapUserKey(user, keyVersion)) {
+        rewrapped += 1;
+      } else {
+        logger.error(`Wallet key for ${user.phoneNumber} kept changing; run again to retry`);
+        failed += 1;
+      }
+    } catch (error) {
+      logger.error(`Failed to re-wrap wallet key for ${user.phoneNumber}: ${error.message}`);
+      failed += 1;
+    }
+  }
+
+  return { rewrapped, failed };
+};
+
+// Run with `npm run rotate-keys` after making a new master key current
+mongoose.connect(config.mongo.uri)
+  .then(async () => {
+    const keyVersion = await verifyKeyProvider();
+    await verifyLegacyKey();
+    logger.info(`Re-wrapping wallet keys under master key version ${keyVersion}`);
+
+    const { rewrapped, failed } = await rotateWalletKeys(keyVersion);
+    logger.info(`Re-wrapped ${rewrapped} wallet keys; ${failed} failed`);
+
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    logger.error(`Key rotation error: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
+const adminController = require('../controllers/adminController');
+const tokenRegistry = require('../utils/tokenRegistry');
+const config = require('../../config/config');
+
+// Validators shared between routes
+const phoneNumberParam = param('phoneNumber')
+  .matches(/^\+\d{7,15}$/)
+  .withMessage('Phone number must include the country code (e.g., +1234567890)');
+
+const paginationQuery = [
+  query('page').default(1).isInt({ min: 1 }).toInt(),
+  query('limit').default(20).isInt({ min: 1, max: 100 }).toInt(),
+];
+
+const transactionFilterQuery = [
+  query('status').optional().isIn(['held', 'queued', 'submitted', 'confirmed', 'failed']),
+  query('kind').optional().isIn(['transfer', 'deposit', 'withdrawal']),
+  query('token').optional().toUpperCase().isIn(tokenRegistry.getSymbols()),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+];
+
+// All admin routes require authentication
+router.use(adminAuth);
+
+// Users
+router.get('/users/:phoneNumber', phoneNumberParam, adminController.getUser);
+router.get(
+  '/users/:phoneNumber/transactions',
+  phoneNumberParam,
+  ...transactionFilterQuery,
+  ...paginationQuery,
+  adminController.getUserTransactions
+);
+router.post('/users/:phoneNumber/unlock', phoneNumberParam, adminController.unlockUser);
+router.post(
+  '/users/:phoneNumber/tier',
+  phoneNumberParam,
+  body('tier').toLowerCase().isIn(config.limits.tiers),
+  adminController.setUserTier
+);
+router.get('/users/:phoneNumber/security-events', phoneNumberParam, adminController.getUserSecurityEvents);
+
+// Transactions
+router.get(
+  '/transactions',
+  ...transactionFilterQuery,
+  ...paginationQuery,
+  adminController.listTransactions
+);
+router.get(
+  '/transactions/stuck',
+  query('olderThanMinutes').default(10).isInt({ min: 1 }).toInt(),
+  query('token').optional().toUpperCase().isIn(tokenRegistry.getSymbols()),
+  ...paginationQuery,
+  adminController.listStuckTransactions
+);
+router.post(
+  '/transactions/:id/resend-receipt',
+  param('id').isMongoId(),
+  adminController.resendReceipt
+);
+
+router.post(
+  '/transactions/:id/approve',
+  param('id').isMongoId(),
+  adminController.approveHeldTransaction
+);
+router.post(
+  '/transactions/:id/reject',
+  param('id').isMongoId(),
+  adminController.rejectHeldTransaction
+);
+
+// Risk assessments of outgoing transfers
+router.get(
+  '/risk-assessments',
+  query('decision').optional().isIn(['allow', 'delay', 'review']),
+  query('phoneNumber').optional().matches(/^\+\d{7,15}$/),
+  ...paginationQuery,
+  adminController.listRiskAssessments
+);
+
+// Escrow payments to unregistered recipients
+router.get(
+  '/escrows',
+  query('status').optional().isIn(['pending', 'held', 'claiming', 'claimed', 'refunding', 'refunded', 'failed']),
+  query('phoneNumber').optional().matches(/^\+\d{7,15}$/),
+  ...paginationQuery,
+  adminController.listEscrows
+);
+
+// Inbound SMS messages and their processing outcome
+router.get(
+  '/messages',
+  query('phoneNumber').optional().matches(/^\+\d{7,15}$/),
+  query('status').optional().isIn(['received', 'processed', 'rejected', 'failed']),
+  query('command').optional().toUpperCase(),
+  ...paginationQuery,
+  adminController.listInboundMessages
+);
+router.get(
+  '/messages/:messageId',
+  param('messageId').isLength({ min: 1, max: 64 }),
+  adminController.getInboundMessage
+);
+
+// Internal ledger and its on-chain settlement
+router.get('/ledger/report', adminController.getLedgerReport);
+router.get(
+  '/settlements',
+  query('status').optional().isIn(['pending', 'submitted', 'confirmed', 'failed']),
+  query('token').optional().toUpperCase().isIn(tokenRegistry.getSymbols()),
+  ...paginationQuery,
+  adminController.listSettlements
+);
+
+module.exports = router;
@@ -1,5 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const adminRoutes = require('./adminRoutes');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -9,4 +12,11 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Admin API (authenticated), only with an explicitly configured JWT secret
+if (config.jwt.secret) {
+  router.use('/admin', adminRoutes);
+} else {
+  logger.warn('JWT_SECRET is not set; the admin API is disabled');
+}
+
 module.exports = router; 
\ No newline at end of file
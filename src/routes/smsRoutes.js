@@ -1,8 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const smsController = require('../controllers/smsController');
+const verifyTwilioSignature = require('../middleware/verifyTwilioSignature');
+const config = require('../../config/config');
+const localGateway = require('../gateways/localGateway');
 
-// Twilio webhook for incoming SMS
-router.post('/webhook', smsController.handleIncomingSms);
+// Webhook for incoming SMS
+router.post('/webhook', verifyTwilioSignature, smsController.handleIncomingSms);
+
+// Outbound messages captured by the local gateway (development and CI only; never mounted in production)
+if (config.sms.gateway === localGateway.name && config.server.env !== 'production') {
+  router.get('/outbox', (req, res) => {
+    res.status(200).json({
+      messages: localGateway.getOutbox(req.query.to),
+    });
+  });
+}
 
 module.exports = router; 
\ No newline at end of file
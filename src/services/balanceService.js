@@ -0,0 +1,130 @@
+const config = require('../../config/config');
+const walletUtils = require('../utils/wallet');
+const tokenRegistry = require('../utils/tokenRegistry');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+let refreshTimer = null;
+let isRefreshing = false;
+
+/**
+ * Check whether a user's cached balances are too old to show
+ * @param {Object} user - User document
+ * @returns {boolean} Whether the balances should be refreshed from the chain
+ */
+const isStale = (user) => {
+  if (!user.balancesUpdatedAt) {
+    return true;
+  }
+
+  return Date.now() - new Date(user.balancesUpdatedAt).getTime() > config.balances.maxAgeSeconds * 1000;
+};
+
+/**
+ * Refresh several users' cached balances from the chain in as few RPC calls as possible
+ * @param {Array<Object>} users - Users with their wallet addresses
+ * @returns {Promise<void>}
+ */
+const refreshBalances = async (users) => {
+  if (users.length === 0) {
+    return;
+  }
+
+  // The read reflects the chain as of when it started
+  const readAt = new Date();
+  const balances = await walletUtils.getWalletBalances(users.map((user) => user.walletAddress));
+
+  await User.bulkWrite(users.map((user) => {
+    const update = { balancesUpdatedAt: readAt };
+    for (const token of tokenRegistry.getSymbols()) {
+      update[`tokenBalances.${token}`] = balances[user.walletAddress][token];
+    }
+
+    // Skip users whose cached balance was lowered for a debit after the read started; the read
+    // may not include that debit, and writing it back would overstate what they can spend
+    const filter = {
+      _id: user._id,
+      $or: [{ balancesUpdatedAt: null }, { balancesUpdatedAt: { $lt: readAt } }],
+    };
+
+    return { updateOne: { filter, update: { $set: update } } };
+  }));
+};
+
+/**
+ * Refresh the cached balances of recently active users, oldest first
+ * @returns {Promise<number>} Number of users refreshed
+ */
+const refreshStaleBalances = async () => {
+  try {
+    const staleBefore = new Date(Date.now() - config.balances.maxAgeSeconds * 1000);
+    const activeSince = new Date(Date.now() - config.balances.activeDays * 24 * 60 * 60 * 1000);
+
+    const users = await User.find(
+      {
+        isVerified: true,
+        lastActivity: { $gte: activeSince },
+        $or: [
+          { balancesUpdatedAt: null },
+          { balancesUpdatedAt: { $lt: staleBefore } },
+        ],
+      },
+      'walletAddress'
+    )
+      .sort({ balancesUpdatedAt: 1 })
+      .limit(config.balances.refreshBatchSize);
+
+    await refreshBalances(users);
+    return users.length;
+  } catch (error) {
+    logger.error(`Failed to refresh cached balances: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Start refreshing cached balances in the background
+ */
+const startRefreshWorker = () => {
+  if (refreshTimer) {
+    return;
+  }
+
+  const run = async () => {
+    if (isRefreshing) {
+      return;
+    }
+
+    isRefreshing = true;
+    try {
+      const refreshed = await refreshStaleBalances();
+      if (refreshed > 0) {
+        logger.info(`Refreshed cached balances for ${refreshed} users`);
+      }
+    } finally {
+      isRefreshing = false;
+    }
+  };
+
+  refreshTimer = setInterval(run, config.balances.refreshIntervalSeconds * 1000);
+  run();
+  logger.info(`Balance refresh worker started (every ${config.balances.refreshIntervalSeconds} seconds)`);
+};
+
+/**
+ * Stop the background balance refresh
+ */
+const stopRefreshWorker = () => {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
+module.exports = {
+  isStale,
+  refreshBalances,
+  refreshStaleBalances,
+  startRefreshWorker,
+  stopRefreshWorker,
+};
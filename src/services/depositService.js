@@ -0,0 +1,187 @@
+const config = require('../../config/config');
+const tokenRegistry = require('../utils/tokenRegistry');
+const User = require('../models/User');
+const TransactionModel = require('../models/Transaction');
+const Escrow = require('../models/Escrow');
+const Settlement = require('../models/Settlement');
+const transactionService = require('./transactionService');
+const userService = require('./userService');
+const smsService = require('./smsService');
+const { getDepositSource } = require('../depositSources');
+const logger = require('../utils/logger');
+
+let watchTimer = null;
+let isScanning = false;
+
+/**
+ * Check whether a deposit is a transfer, escrow payout or settlement made by Paytos itself
+ * Their recipients are already notified. Each records its signature before it is broadcast,
+ * so it is known by the time the deposit is seen. Withdrawals count as deposits: one user may
+ * withdraw to another user's wallet.
+ * @param {Object} deposit - The deposit
+ * @returns {Promise<boolean>} Whether the deposit came from inside Paytos
+ */
+const isInternalTransfer = async (deposit) => {
+  const matches = await Promise.all([
+    TransactionModel.exists({ signature: deposit.signature, kind: { $nin: ['withdrawal', 'deposit'] } }),
+    Escrow.exists({ payoutSignature: deposit.signature }),
+    Settlement.exists({ signature: deposit.signature }),
+  ]);
+
+  return matches.some(Boolean);
+};
+
+/**
+ * Record a deposit as a transaction
+ * @param {Object} user - The user whose wallet was credited
+ * @param {Object} deposit - The deposit
+ * @returns {Promise<Object|null>} The new transaction, or null if it was internal or already recorded
+ */
+const recordDeposit = async (user, deposit) => {
+  if (await isInternalTransfer(deposit)) {
+    return null;
+  }
+
+  try {
+    return await TransactionModel.create({
+      kind: 'deposit',
+      recipient: user._id,
+      recipientPhone: user.phoneNumber,
+      counterparty: deposit.counterparty,
+      amount: deposit.amount,
+      token: deposit.token,
+      status: 'confirmed',
+      signature: deposit.signature,
+      createdAt: deposit.receivedAt,
+      completedAt: deposit.receivedAt,
+    });
+  } catch (error) {
+    // Duplicate key: this deposit was recorded on an earlier scan
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Tell a user about a deposit, with their refreshed balance
+ * @param {Object} user - The user whose wallet was credited
+ * @param {Object} transaction - The deposit transaction
+ * @returns {Promise<void>}
+ */
+const notifyDeposit = async (user, transaction) => {
+  await transactionService.updateUserBalances(user._id);
+  const balances = await userService.getUserBalances(user.phoneNumber);
+
+  await smsService.sendDepositReceived(
+    user.phoneNumber,
+    transaction.counterparty,
+    transaction.amount,
+    transaction.token,
+    balances[transaction.token]
+  );
+};
+
+/**
+ * Record and announce new deposits into one user's wallet
+ * @param {Object} user - The user to scan
+ * @returns {Promise<number>} Number of new deposits
+ */
+const scanWallet = async (user) => {
+  const { deposits, cursors } = await getDepositSource().fetchDeposits(
+    user.walletAddress,
+    user.depositCursors || {}
+  );
+
+  let recorded = 0;
+  for (const deposit of deposits) {
+    const transaction = await recordDeposit(user, deposit);
+    if (!transaction) {
+      continue;
+    }
+
+    recorded += 1;
+    logger.info(`Recorded deposit of ${tokenRegistry.formatUnits(transaction.token, transaction.amount)} ${transaction.token} to ${user.phoneNumber}. Signature: ${transaction.signature}`);
+
+    try {
+      await notifyDeposit(user, transaction);
+    } catch (error) {
+      // The deposit is recorded; a failed SMS shouldn't report it again
+      logger.error(`Failed to send deposit notification: ${error.message}`);
+    }
+  }
+
+  await User.updateOne({ _id: user._id }, { depositCursors: cursors });
+
+  return recorded;
+};
+
+/**
+ * Check every registered wallet for new deposits
+ * @returns {Promise<number>} Number of new deposits
+ */
+const scanDeposits = async () => {
+  let recorded = 0;
+
+  try {
+    const users = await User.find({ isVerified: true }, 'phoneNumber walletAddress depositCursors');
+
+    for (const user of users) {
+      try {
+        recorded += await scanWallet(user);
+      } catch (error) {
+        logger.error(`Failed to check deposits for ${user.phoneNumber}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to check deposits: ${error.message}`);
+  }
+
+  return recorded;
+};
+
+/**
+ * Start watching custodial wallets for deposits in the background
+ */
+const startDepositWatcher = () => {
+  if (watchTimer) {
+    return;
+  }
+
+  const run = async () => {
+    if (isScanning) {
+      return;
+    }
+
+    isScanning = true;
+    try {
+      const recorded = await scanDeposits();
+      if (recorded > 0) {
+        logger.info(`Recorded ${recorded} new deposits`);
+      }
+    } finally {
+      isScanning = false;
+    }
+  };
+
+  watchTimer = setInterval(run, config.deposits.pollIntervalSeconds * 1000);
+  run();
+  logger.info(`Deposit watcher started using the ${config.deposits.source} source (every ${config.deposits.pollIntervalSeconds} seconds)`);
+};
+
+/**
+ * Stop watching for deposits
+ */
+const stopDepositWatcher = () => {
+  if (watchTimer) {
+    clearInterval(watchTimer);
+    watchTimer = null;
+  }
+};
+
+module.exports = {
+  scanDeposits,
+  startDepositWatcher,
+  stopDepositWatcher,
+};
@@ -0,0 +1,450 @@
+const config = require('../../config/config');
+const walletUtils = require('../utils/wallet');
+const { runInTransaction } = require('../utils/db');
+const User = require('../models/User');
+const Escrow = require('../models/Escrow');
+const TransactionModel = require('../models/Transaction');
+const transactionService = require('./transactionService');
+const userService = require('./userService');
+const smsService = require('./smsService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+
+// Job type for paying an escrow out of the master wallet, to its recipient or back to its sender
+const PAYOUT_ESCROW_JOB = 'payoutEscrow';
+
+let expiryTimer = null;
+let isRefunding = false;
+
+/**
+ * Start paying out a held escrow
+ * The status change and the payout job are saved together, so a crash can't leave the escrow
+ * claiming or refunding with nothing to pay it out
+ * @param {string} escrowId - Escrow ID
+ * @param {Object} update - claiming with the recipient, or refunding
+ * @returns {Promise<Object|null>} The escrow, or null if it is no longer held
+ */
+const startPayout = async (escrowId, update) => {
+  return runInTransaction(async (session) => {
+    const escrow = await Escrow.findOneAndUpdate(
+      { _id: escrowId, status: 'held' },
+      update,
+      { session, new: true }
+    );
+
+    if (!escrow) {
+      return null;
+    }
+
+    await jobQueue.enqueue(PAYOUT_ESCROW_JOB, { escrowId: escrow._id.toString() }, { session });
+    return escrow;
+  });
+};
+
+/**
+ * Claim every held escrow payment for a newly registered user
+ * Payouts from the master wallet to the user's wallet run on the job queue
+ * @param {Object} user - The registered user
+ * @returns {Promise<Array<Object>>} The escrows being paid out
+ */
+const claimEscrowsForUser = async (user) => {
+  const claimed = [];
+
+  try {
+    const escrows = await Escrow.find({
+      recipientPhone: user.phoneNumber,
+      status: 'held',
+      expiresAt: { $gt: new Date() },
+    }, '_id');
+
+    for (const escrow of escrows) {
+      const claimable = await startPayout(escrow._id, { status: 'claiming', recipient: user._id });
+
+      if (claimable) {
+        logger.info(`Escrow ${claimable._id} claimed by ${user.phoneNumber}`);
+        claimed.push(claimable);
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to claim escrows for ${user.phoneNumber}: ${error.message}`);
+  }
+
+  return claimed;
+};
+
+/**
+ * Claim an escrow payment that has just been deposited, if its recipient registered while it was pending
+ * @param {string} escrowId - Escrow ID
+ * @returns {Promise<boolean>} Whether a payout was started
+ */
+const claimIfRegistered = async (escrowId) => {
+  const escrow = await Escrow.findById(escrowId);
+  if (!escrow || escrow.status !== 'held') {
+    return false;
+  }
+
+  const recipient = await User.findOne({ phoneNumber: escrow.recipientPhone, isVerified: true });
+  if (!recipient) {
+    return false;
+  }
+
+  const claimable = await startPayout(escrow._id, { status: 'claiming', recipient: recipient._id });
+  if (claimable) {
+    logger.info(`Escrow ${claimable._id} claimed by ${recipient.phoneNumber}, who registered while it was pending`);
+  }
+
+  return Boolean(claimable);
+};
+
+/**
+ * Send an escrow's payout from the master wallet
+ * Safe to call again: a payout that was already broadcast is only rebuilt once its
+ * blockhash has expired without it landing
+ * @param {Object} escrow - The escrow document
+ * @param {string} destinationAddress - Wallet to pay
+ * @returns {Promise<string>} The payout signature
+ * @throws {Error} With `retryable: true` when a later attempt may succeed
+ */
+const payOutEscrow = async (escrow, destinationAddress) => {
+  if (escrow.payoutSignature) {
+    const outcome = await transactionService.getSubmittedOutcome({
+      signature: escrow.payoutSignature,
+      lastValidBlockHeight: escrow.payoutLastValidBlockHeight,
+    });
+
+    if (outcome.state === 'confirmed') {
+      return escrow.payoutSignature;
+    }
+
+    if (outcome.state === 'failed') {
+      throw new Error(`Payout failed on-chain: ${outcome.error}`);
+    }
+
+    if (outcome.state === 'pending') {
+      const error = new Error('Payout is still waiting for confirmation');
+      error.retryable = true;
+      throw error;
+    }
+
+    logger.warn(`Payout of escrow ${escrow._id} expired without landing, resubmitting`);
+  }
+
+  const { transaction, signers } = transactionService.buildTransfer(
+    walletUtils.getMasterWallet(),
+    destinationAddress,
+    escrow.amount,
+    escrow.token
+  );
+
+  // Record the signature before broadcasting so a retry can tell whether it landed
+  return transactionService.submitTransfer(transaction, signers, async ({ signature, lastValidBlockHeight }) => {
+    escrow.payoutSignature = signature;
+    escrow.payoutLastValidBlockHeight = lastValidBlockHeight;
+    await escrow.save();
+
+    logger.info(`Paying out escrow ${escrow._id}. Signature: ${signature}`);
+  });
+};
+
+/**
+ * Mark an escrow as paid out and tell both sides
+ * @param {Object} escrow - The escrow, claiming or refunding
+ * @param {Object} payee - The user who was paid
+ * @returns {Promise<void>}
+ */
+const completePayout = async (escrow, payee) => {
+  const isClaim = escrow.status === 'claiming';
+
+  // Only settle once, however many times the payout is reported as confirmed
+  const completed = await Escrow.findOneAndUpdate(
+    { _id: escrow._id, status: escrow.status },
+    { status: isClaim ? 'claimed' : 'refunded', settledAt: Date.now(), errorMessage: null },
+    { new: true }
+  );
+
+  if (!completed) {
+    return;
+  }
+
+  if (isClaim) {
+    await TransactionModel.findByIdAndUpdate(completed.transaction, { recipient: payee._id });
+  }
+
+  logger.info(`${isClaim ? 'Paid out' : 'Refunded'} escrow ${completed._id} to ${payee.phoneNumber}`);
+
+  try {
+    await transactionService.updateUserBalances(payee._id);
+  } catch (error) {
+    logger.error(`Failed to update balances after escrow ${completed._id}: ${error.message}`);
+  }
+
+  if (isClaim) {
+    await notifyEscrowClaimed(completed, payee);
+  } else {
+    await notifyEscrowRefunded(completed);
+  }
+};
+
+/**
+ * Get the user an escrow is being paid out to
+ * @param {Object} escrow - The escrow, claiming or refunding
+ * @returns {Promise<Object>} The recipient for a claim, the sender for a refund
+ */
+const getPayee = async (escrow) => {
+  const payee = await User.findById(escrow.status === 'claiming' ? escrow.recipient : escrow.sender);
+
+  if (!payee) {
+    throw new Error('Escrow payee not found');
+  }
+
+  return payee;
+};
+
+/**
+ * Pay out a claimed or refunded escrow
+ * @param {Object} job - The queued job
+ */
+const runPayoutJob = async (job) => {
+  const escrow = await Escrow.findById(job.payload.escrowId);
+
+  // Already paid out, or put back, by an earlier run
+  if (!escrow || !['claiming', 'refunding'].includes(escrow.status)) {
+    return;
+  }
+
+  try {
+    const payee = await getPayee(escrow);
+    await payOutEscrow(escrow, payee.walletAddress);
+    await completePayout(escrow, payee);
+  } catch (error) {
+    if (error.retryable === undefined) {
+      error.retryable = transactionService.isTransientError(error);
+    }
+
+    await Escrow.updateOne({ _id: escrow._id }, { errorMessage: error.message });
+    logger.error(`Failed to pay out escrow ${escrow._id}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Settle an escrow whose payout failed for good
+ * A payout that was broadcast is checked on-chain first, since it may still have landed;
+ * otherwise the escrow is held again, so an expired one is refunded on the next run
+ * @param {Object} job - The failed job
+ * @param {Error} error - The last error
+ */
+const handlePayoutFailed = async (job, error) => {
+  const escrow = await Escrow.findById(job.payload.escrowId);
+  if (!escrow || !['claiming', 'refunding'].includes(escrow.status)) {
+    return;
+  }
+
+  if (escrow.payoutSignature) {
+    const outcome = await transactionService.getSubmittedOutcome({
+      signature: escrow.payoutSignature,
+      lastValidBlockHeight: escrow.payoutLastValidBlockHeight,
+    });
+
+    if (outcome.state === 'confirmed') {
+      await completePayout(escrow, await getPayee(escrow));
+      return;
+    }
+
+    if (outcome.state === 'pending') {
+      logger.error(`Payout of escrow ${escrow._id} may still land; leaving it ${escrow.status} for review`);
+      return;
+    }
+  }
+
+  await Escrow.updateOne(
+    { _id: escrow._id, status: escrow.status },
+    {
+      status: 'held',
+      recipient: null,
+      payoutSignature: null,
+      payoutLastValidBlockHeight: null,
+      errorMessage: error.message,
+    }
+  );
+};
+
+/**
+ * Notify both sides that an escrow payment was claimed
+ * @param {Object} escrow - The claimed escrow
+ * @param {Object} recipient - The user who claimed it
+ */
+const notifyEscrowClaimed = async (escrow, recipient) => {
+  try {
+    const updatedRecipient = await User.findById(recipient._id);
+
+    await smsService.sendTransactionReceipt(
+      escrow.recipientPhone,
+      escrow.senderPhone,
+      escrow.amount,
+      escrow.token,
+      userService.getTotalBalances(updatedRecipient)[escrow.token]
+    );
+    await smsService.sendEscrowClaimed(
+      escrow.senderPhone,
+      escrow.recipientPhone,
+      escrow.amount,
+      escrow.token
+    );
+  } catch (error) {
+    logger.error(`Failed to send escrow claim notifications: ${error.message}`);
+  }
+};
+
+/**
+ * Notify both sides that an escrow payment was refunded
+ * @param {Object} escrow - The refunded escrow
+ */
+const notifyEscrowRefunded = async (escrow) => {
+  try {
+    await smsService.sendEscrowRefunded(
+      escrow.senderPhone,
+      escrow.recipientPhone,
+      escrow.amount,
+      escrow.token
+    );
+    await smsService.sendEscrowExpired(
+      escrow.recipientPhone,
+      escrow.senderPhone,
+      escrow.amount,
+      escrow.token
+    );
+  } catch (error) {
+    logger.error(`Failed to send escrow refund notifications: ${error.message}`);
+  }
+};
+
+/**
+ * Start refunding every escrow payment whose claim window has passed
+ * @returns {Promise<number>} Number of refunds queued
+ */
+const refundExpiredEscrows = async () => {
+  let refunded = 0;
+
+  try {
+    const escrows = await Escrow.find({ status: 'held', expiresAt: { $lte: new Date() } }, '_id');
+
+    for (const escrow of escrows) {
+      if (await startPayout(escrow._id, { status: 'refunding' })) {
+        refunded += 1;
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to refund expired escrows: ${error.message}`);
+  }
+
+  return refunded;
+};
+
+/**
+ * Register the escrow payout job handler
+ * Payouts run wherever transfers are executed
+ */
+const registerPayoutHandler = () => {
+  jobQueue.registerHandler(PAYOUT_ESCROW_JOB, {
+    run: runPayoutJob,
+    onFailed: handlePayoutFailed,
+  });
+};
+
+/**
+ * Start refunding expired escrow payments in the background
+ */
+const startExpiryWorker = () => {
+  if (expiryTimer) {
+    return;
+  }
+
+  const run = async () => {
+    if (isRefunding) {
+      return;
+    }
+
+    isRefunding = true;
+    try {
+      const refunded = await refundExpiredEscrows();
+      if (refunded > 0) {
+        logger.info(`Queued refunds of ${refunded} expired escrow payments`);
+      }
+    } finally {
+      isRefunding = false;
+    }
+  };
+
+  expiryTimer = setInterval(run, config.escrow.checkIntervalMinutes * 60 * 1000);
+  run();
+  logger.info(`Escrow expiry worker started (every ${config.escrow.checkIntervalMinutes} minutes)`);
+};
+
+/**
+ * Stop the background escrow refunds
+ */
+const stopExpiryWorker = () => {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+};
+
+/**
+ * List escrow payments with filtering and pagination
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.status] - Escrow status
+ * @param {string} [filters.phoneNumber] - Sender or recipient phone number
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.page - Page number, starting at 1
+ * @param {number} pagination.limit - Page size
+ * @returns {Promise<Object>} The matching escrows and pagination info
+ */
+const listEscrows = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.phoneNumber) {
+      query.$or = [
+        { senderPhone: filters.phoneNumber },
+        { recipientPhone: filters.phoneNumber },
+      ];
+    }
+
+    const [escrows, total] = await Promise.all([
+      Escrow.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Escrow.countDocuments(query),
+    ]);
+
+    return {
+      escrows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Failed to list escrows: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  claimEscrowsForUser,
+  claimIfRegistered,
+  registerPayoutHandler,
+  refundExpiredEscrows,
+  startExpiryWorker,
+  stopExpiryWorker,
+  listEscrows,
+};
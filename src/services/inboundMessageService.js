@@ -0,0 +1,163 @@
+const InboundMessage = require('../models/InboundMessage');
+const logger = require('../utils/logger');
+
+// Parsed command fields that must never be stored
+const SECRET_FIELDS = ['pin', 'newPin', 'resetCode'];
+
+/**
+ * Mask PINs and reset codes in a message before it is stored
+ * @param {string} text - Message text
+ * @param {Object} parsedCommand - The parsed command
+ * @returns {string} The masked text
+ */
+const redactMessage = (text, parsedCommand) => {
+  const secrets = SECRET_FIELDS
+    .map((field) => parsedCommand[field])
+    .filter(Boolean);
+
+  // Unparseable messages may still contain a PIN, so mask every short number
+  if (parsedCommand.error) {
+    return (text || '').replace(/\b\d{4,6}\b/g, '****');
+  }
+
+  return (text || '')
+    .split(/\s+/)
+    .map((word) => (secrets.includes(word) ? '****' : word))
+    .join(' ');
+};
+
+/**
+ * Record an inbound message before it is processed
+ * Returns null when the message ID was already recorded, so webhook retries are not processed twice
+ * @param {Object} message - The inbound message
+ * @param {string} [message.messageId] - Gateway message ID
+ * @param {string} message.gateway - Gateway name
+ * @param {string} message.phoneNumber - Sender phone number
+ * @param {string} message.body - Message text
+ * @param {Object} parsedCommand - The parsed command
+ * @returns {Promise<Object|null>} The new message record, or null for a duplicate
+ */
+const recordInboundMessage = async ({ messageId, gateway, phoneNumber, body }, parsedCommand) => {
+  try {
+    return await InboundMessage.create({
+      messageId: messageId || undefined,
+      gateway,
+      phoneNumber,
+      body: redactMessage(body, parsedCommand),
+      command: parsedCommand.command || null,
+    });
+  } catch (error) {
+    // Duplicate key: this message ID has been seen before
+    if (error.code === 11000) {
+      await InboundMessage.updateOne(
+        { messageId },
+        { $inc: { duplicateCount: 1 }, lastDuplicateAt: Date.now() }
+      );
+      logger.warn(`Ignoring duplicate inbound message ${messageId} from ${phoneNumber}`);
+      return null;
+    }
+
+    logger.error(`Failed to record inbound message: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Record how an inbound message was handled
+ * @param {string} id - Inbound message record ID
+ * @param {Object} outcome - The processing outcome
+ * @param {string} outcome.status - processed, rejected or failed
+ * @param {string} [outcome.errorMessage] - Why the command was rejected or failed
+ * @param {string} [outcome.transaction] - Transaction the command executed
+ * @returns {Promise<void>}
+ */
+const recordOutcome = async (id, { status, errorMessage, transaction }) => {
+  try {
+    await InboundMessage.findByIdAndUpdate(id, {
+      status,
+      errorMessage: errorMessage || null,
+      transaction: transaction || null,
+      processedAt: Date.now(),
+    });
+  } catch (error) {
+    // The reply has already been sent, so only log
+    logger.error(`Failed to record outcome of inbound message ${id}: ${error.message}`);
+  }
+};
+
+/**
+ * Get an inbound message by its gateway message ID
+ * @param {string} messageId - Gateway message ID
+ * @returns {Promise<Object>} The inbound message
+ */
+const getInboundMessage = async (messageId) => {
+  try {
+    const message = await InboundMessage.findOne({ messageId });
+
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    return message;
+  } catch (error) {
+    logger.error(`Failed to get inbound message: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List inbound messages with filtering and pagination
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.phoneNumber] - Sender phone number
+ * @param {string} [filters.status] - Processing status
+ * @param {string} [filters.command] - Parsed command
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.page - Page number, starting at 1
+ * @param {number} pagination.limit - Page size
+ * @returns {Promise<Object>} The matching messages and pagination info
+ */
+const listInboundMessages = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+
+    if (filters.phoneNumber) {
+      query.phoneNumber = filters.phoneNumber;
+    }
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.command) {
+      query.command = filters.command;
+    }
+
+    const [messages, total] = await Promise.all([
+      InboundMessage.find(query)
+        .sort({ receivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InboundMessage.countDocuments(query),
+    ]);
+
+    return {
+      messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Failed to list inbound messages: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  recordInboundMessage,
+  recordOutcome,
+  getInboundMessage,
+  listInboundMessages,
+};
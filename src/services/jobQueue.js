@@ -0,0 +1,206 @@
+const os = require('os');
+const config = require('../../config/config');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+// Identifies this process in job locks
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Job handlers, keyed by job type
+const handlers = {};
+
+let pollTimer = null;
+let isPolling = false;
+
+/**
+ * A job handler
+ * @typedef {Object} JobHandler
+ * @property {function(Object): Promise<void>} run - Run the job; throw an error with `retryable: true` to try again later
+ * @property {function(Object, Error): Promise<void>} [onFailed] - Called once when the job has failed for good
+ */
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {JobHandler} handler - The job handler
+ */
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - Job data
+ * @param {Object} [options] - Job options
+ * @param {number} [options.maxAttempts] - Attempts before the job fails for good
+ * @param {Date} [options.runAt] - Don't run the job before this time
+ * @param {Object} [options.session] - MongoDB session, to queue the job with the change that needs it
+ * @returns {Promise<Object>} The queued job
+ */
+const enqueue = async (type, payload, options = {}) => {
+  try {
+    const [job] = await Job.create([{
+      type,
+      payload,
+      maxAttempts: options.maxAttempts || config.queue.maxAttempts,
+      runAt: options.runAt || Date.now(),
+    }], { session: options.session || null });
+
+    logger.info(`Queued ${type} job ${job._id}`);
+    return job;
+  } catch (error) {
+    logger.error(`Failed to queue ${type} job: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the delay before retrying a job, doubling with each attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} The delay in seconds
+ */
+const getBackoffSeconds = (attempts) => {
+  return Math.min(
+    config.queue.backoffBaseSeconds * Math.pow(2, attempts - 1),
+    config.queue.backoffMaxSeconds
+  );
+};
+
+/**
+ * Lock the next job that is due, including jobs abandoned by a crashed worker
+ * @returns {Promise<Object|null>} The locked job, or null if none are due
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.queue.lockTimeoutSeconds * 1000);
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: staleLock } },
+      ],
+    },
+    {
+      status: 'running',
+      lockedBy: workerId,
+      lockedAt: now,
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+/**
+ * Run a locked job and record the result
+ * @param {Object} job - The locked job
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  try {
+    await handler.run(job);
+
+    job.status = 'completed';
+    job.completedAt = Date.now();
+    job.lastError = null;
+    job.lockedBy = null;
+    job.lockedAt = null;
+    await job.save();
+  } catch (error) {
+    job.lastError = error.message;
+    job.lockedBy = null;
+    job.lockedAt = null;
+
+    if (error.retryable && job.attempts < job.maxAttempts) {
+      const delay = getBackoffSeconds(job.attempts);
+
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay * 1000);
+      await job.save();
+
+      logger.warn(`${job.type} job ${job._id} failed (attempt ${job.attempts}), retrying in ${delay}s: ${error.message}`);
+      return;
+    }
+
+    job.status = 'failed';
+    await job.save();
+
+    logger.error(`${job.type} job ${job._id} failed after ${job.attempts} attempts: ${error.message}`);
+
+    if (handler.onFailed) {
+      try {
+        await handler.onFailed(job, error);
+      } catch (failureError) {
+        logger.error(`Failure handler for ${job.type} job ${job._id} failed: ${failureError.message}`);
+      }
+    }
+  }
+};
+
+/**
+ * Run every job that is due, one at a time
+ * @returns {Promise<number>} Number of jobs run
+ */
+const processJobs = async () => {
+  let processed = 0;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+      processed += 1;
+    }
+  } catch (error) {
+    logger.error(`Failed to process jobs: ${error.message}`);
+  }
+
+  return processed;
+};
+
+/**
+ * Start polling the queue for due jobs
+ */
+const startWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  const poll = async () => {
+    if (isPolling) {
+      return;
+    }
+
+    isPolling = true;
+    try {
+      await processJobs();
+    } finally {
+      isPolling = false;
+    }
+  };
+
+  pollTimer = setInterval(poll, config.queue.pollIntervalMs);
+  poll();
+  logger.info(`Job worker ${workerId} started for ${Object.keys(handlers).join(', ')}`);
+};
+
+/**
+ * Stop polling the queue
+ */
+const stopWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  processJobs,
+  startWorker,
+  stopWorker,
+};
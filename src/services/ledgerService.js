@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const walletUtils = require('../utils/wallet');
+const tokenRegistry = require('../utils/tokenRegistry');
+const i18n = require('../utils/i18n');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const Escrow = require('../models/Escrow');
+const logger = require('../utils/logger');
+
+// Platform accounts on the ledger
+const FEES_ACCOUNT = 'fees';
+const SETTLEMENT_ACCOUNT = 'settlement';
+
+/**
+ * Build a MongoDB expression for one of a user's per-token amounts
+ * Users created before a token was added have no field for it, which counts as zero
+ * @param {string} field - tokenBalances, ledgerPositions or reservedBalances
+ * @param {string} token - Token symbol
+ * @returns {Object} The aggregation expression
+ */
+const tokenAmountExpression = (field, token) => ({ $ifNull: [`$${field}.${token}`, 0] });
+
+/**
+ * Build a MongoDB expression for a user's spendable balance of a token:
+ * on-chain balance plus unsettled ledger position, less reserved amounts
+ * @param {string} token - Token symbol
+ * @returns {Object} The aggregation expression
+ */
+const availableBalanceExpression = (token) => ({
+  $subtract: [
+    { $add: [tokenAmountExpression('tokenBalances', token), tokenAmountExpression('ledgerPositions', token)] },
+    tokenAmountExpression('reservedBalances', token),
+  ],
+});
+
+/**
+ * Post a balanced set of ledger entries and apply them to users' ledger positions
+ * @param {Array<Object>} entries - Entries ({ user } or { account }, token, amount in the token's smallest unit)
+ * @param {Object} details - Posting details
+ * @param {string} details.type - transfer or settlement
+ * @param {string} [details.transaction] - Transaction being posted
+ * @param {string} [details.settlement] - Settlement being posted
+ * @param {boolean} [details.checkBalance] - Refuse debits beyond a user's available balance
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} The journal ID
+ */
+const postJournal = async (entries, { type, transaction = null, settlement = null, checkBalance = true }, session) => {
+  const totals = {};
+  for (const entry of entries) {
+    totals[entry.token] = (totals[entry.token] || 0) + entry.amount;
+  }
+
+  if (Object.values(totals).some((total) => total !== 0)) {
+    throw new Error('Unbalanced ledger journal');
+  }
+
+  const journal = new mongoose.Types.ObjectId();
+
+  for (const entry of entries.filter((candidate) => candidate.user)) {
+    const filter = { _id: entry.user };
+
+    if (checkBalance && entry.amount < 0) {
+      filter.$expr = { $gte: [availableBalanceExpression(entry.token), -entry.amount] };
+    }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { [`ledgerPositions.${entry.token}`]: entry.amount } },
+      { session }
+    );
+
+    if (!user) {
+      throw i18n.keyedError('Insufficient {token} balance', { token: entry.token });
+    }
+  }
+
+  await LedgerEntry.insertMany(entries.map((entry) => ({
+    journal,
+    account: entry.user ? `user:${entry.user}` : entry.account,
+    user: entry.user || null,
+    token: entry.token,
+    amount: entry.amount,
+    type,
+    transaction,
+    settlement,
+  })), { session });
+
+  return journal;
+};
+
+/**
+ * Post a transfer between two registered users to the ledger
+ * @param {Object} transaction - The transaction
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} The journal ID
+ */
+const postTransfer = async (transaction, session) => {
+  const entries = [
+    { user: transaction.sender, token: transaction.token, amount: -(transaction.amount + transaction.fee) },
+    { user: transaction.recipient, token: transaction.token, amount: transaction.amount },
+  ];
+
+  if (transaction.fee) {
+    entries.push({ account: FEES_ACCOUNT, token: transaction.token, amount: transaction.fee });
+  }
+
+  return postJournal(entries, { type: 'transfer', transaction: transaction._id }, session);
+};
+
+/**
+ * Sum ledger entries by token and account
+ * @returns {Promise<Object>} Totals keyed by token, then by user, fees and settlement
+ */
+const getJournalTotals = async () => {
+  const rows = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: {
+          token: '$token',
+          account: { $cond: [{ $eq: ['$user', null] }, '$account', 'user'] },
+        },
+        total: { $sum: '$amount' },
+      },
+    },
+  ]);
+
+  const totals = {};
+  for (const row of rows) {
+    totals[row._id.token] = totals[row._id.token] || {};
+    totals[row._id.token][row._id.account] = row.total;
+  }
+
+  return totals;
+};
+
+/**
+ * Check that the ledger balances and is backed by on-chain holdings
+ * For each token, user wallets plus the master wallet must hold at least what users
+ * (on-chain balance plus ledger position) and escrow recipients are owed
+ * @returns {Promise<Object>} The report, keyed by token, with amounts in each token's smallest unit
+ */
+const getLedgerReport = async () => {
+  try {
+    const masterAddress = walletUtils.getMasterWallet().publicKey;
+    const users = await User.find({ isVerified: true }, 'phoneNumber walletAddress ledgerPositions');
+    const journalTotals = await getJournalTotals();
+
+    // Read every wallet straight from the chain rather than from cached balances
+    const onChainBalances = await walletUtils.getWalletBalances([
+      masterAddress,
+      ...users.map((user) => user.walletAddress),
+    ]);
+
+    const escrowRows = await Escrow.aggregate([
+      { $match: { status: { $in: ['held', 'claiming', 'refunding'] } } },
+      { $group: { _id: '$token', total: { $sum: '$amount' } } },
+    ]);
+    const escrowHeld = Object.fromEntries(escrowRows.map((row) => [row._id, row.total]));
+
+    const report = {};
+
+    for (const token of tokenRegistry.getSymbols()) {
+      const totals = journalTotals[token] || {};
+      let userOnChain = 0;
+      let userPositions = 0;
+      const undercollateralized = [];
+
+      for (const user of users) {
+        const onChain = onChainBalances[user.walletAddress][token];
+        const position = user.ledgerPositions[token] || 0;
+
+        userOnChain += onChain;
+        userPositions += position;
+
+        // The user's wallet must be able to cover what they owe the ledger
+        if (onChain + position < 0) {
+          undercollateralized.push(user.phoneNumber);
+        }
+      }
+
+      const masterOnChain = onChainBalances[masterAddress][token];
+      const journalImbalance = (totals.user || 0) + (totals[FEES_ACCOUNT] || 0) + (totals[SETTLEMENT_ACCOUNT] || 0);
+      const owed = userOnChain + userPositions + (escrowHeld[token] || 0);
+      const surplus = userOnChain + masterOnChain - owed;
+
+      report[token] = {
+        userOnChain,
+        userPositions,
+        masterOnChain,
+        escrowHeld: escrowHeld[token] || 0,
+        feesAccount: totals[FEES_ACCOUNT] || 0,
+        settlementAccount: totals[SETTLEMENT_ACCOUNT] || 0,
+        journalBalanced: journalImbalance === 0,
+        positionsMatchJournal: (totals.user || 0) === userPositions,
+        undercollateralized,
+        surplus,
+        solvent: surplus >= 0
+          && undercollateralized.length === 0
+          && journalImbalance === 0
+          && (totals.user || 0) === userPositions,
+      };
+    }
+
+    return {
+      generatedAt: new Date(),
+      tokens: report,
+    };
+  } catch (error) {
+    logger.error(`Failed to build ledger report: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  FEES_ACCOUNT,
+  SETTLEMENT_ACCOUNT,
+  tokenAmountExpression,
+  availableBalanceExpression,
+  postJournal,
+  postTransfer,
+  getLedgerReport,
+};
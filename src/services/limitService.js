@@ -0,0 +1,152 @@
+const config = require('../../config/config');
+const tokenRegistry = require('../utils/tokenRegistry');
+const TransactionModel = require('../models/Transaction');
+
+/**
+ * Spending limits, in the token's smallest unit; null means no limit
+ * @typedef {Object} Limits
+ * @property {number|null} perTransaction - Most that can be sent in one transfer or withdrawal
+ * @property {number|null} daily - Most that can be sent per UTC calendar day
+ * @property {number|null} monthly - Most that can be sent per UTC calendar month
+ */
+
+/**
+ * Check whether a tier is configured
+ * @param {string} tier - Tier name
+ * @returns {boolean} Whether the tier exists
+ */
+const isTier = (tier) => config.limits.tiers.includes(tier);
+
+/**
+ * Get a tier's spending limits for a token
+ * @param {string} tier - Tier name
+ * @param {string} token - Token symbol
+ * @returns {Limits} The limits
+ */
+const getLimits = (tier, token) => {
+  if (!isTier(tier)) {
+    throw new Error(`Unknown account tier: ${tier}`);
+  }
+
+  const amounts = config.limits.byTier[tier][token] || {};
+  const toUnits = (amount) => (amount === undefined ? null : tokenRegistry.parseAmount(token, amount));
+
+  return {
+    perTransaction: toUnits(amounts.perTransaction),
+    daily: toUnits(amounts.daily),
+    monthly: toUnits(amounts.monthly),
+  };
+};
+
+/**
+ * Get the start of the current UTC day and month
+ * @param {Date} [now] - The current time
+ * @returns {Object} { daily, monthly } start dates
+ */
+const getPeriodStarts = (now = new Date()) => ({
+  daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+  monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+});
+
+/**
+ * Sum what a user has sent in a token since a given time
+ * Transfers and withdrawals count unless they failed; fees don't count
+ * @param {string} userId - User ID
+ * @param {string} token - Token symbol
+ * @param {Date} since - Start of the period
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<number>} The amount sent, in the token's smallest unit
+ */
+const getAmountSent = async (userId, token, since, session = null) => {
+  const [row] = await TransactionModel.aggregate([
+    {
+      $match: {
+        sender: userId,
+        token,
+        kind: { $in: ['transfer', 'withdrawal'] },
+        status: { $ne: 'failed' },
+        createdAt: { $gte: since },
+      },
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]).session(session);
+
+  return row ? row.total : 0;
+};
+
+/**
+ * Work out how much more a user may send in a token
+ * @param {Object} user - User document
+ * @param {string} token - Token symbol
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<Object>} { limits, remaining }, where remaining holds the allowance left
+ *   per transaction, today and this month (null: no limit)
+ */
+const getAllowance = async (user, token, session = null) => {
+  const limits = getLimits(user.tier, token);
+  const periodStarts = getPeriodStarts();
+  const remaining = { perTransaction: limits.perTransaction };
+
+  for (const period of ['daily', 'monthly']) {
+    remaining[period] = limits[period] === null
+      ? null
+      : Math.max(limits[period] - await getAmountSent(user._id, token, periodStarts[period], session), 0);
+  }
+
+  return { limits, remaining };
+};
+
+/**
+ * Check that a transfer or withdrawal is within the sender's limits
+ * Pass the session of the transaction that records the transfer, so concurrent transfers
+ * by the same sender are counted against each other
+ * @param {Object} user - Sender user document
+ * @param {string} token - Token symbol
+ * @param {number} amount - Amount to send, in the token's smallest unit
+ * @param {Object} [session] - MongoDB session
+ * @returns {Promise<void>}
+ */
+const checkLimits = async (user, token, amount, session = null) => {
+  const { remaining } = await getAllowance(user, token, session);
+
+  if (remaining.perTransaction !== null && amount > remaining.perTransaction) {
+    throw new Error('This amount is over your limit per transaction. Text LIMITS <PIN> to see your limits.');
+  }
+
+  if (remaining.daily !== null && amount > remaining.daily) {
+    throw new Error('This amount is over your daily limit. Text LIMITS <PIN> to see your limits.');
+  }
+
+  if (remaining.monthly !== null && amount > remaining.monthly) {
+    throw new Error('This amount is over your monthly limit. Text LIMITS <PIN> to see your limits.');
+  }
+};
+
+/**
+ * Check that every tier's limits can be read, so a typo fails at startup rather than on each transfer
+ * Needs token decimals, so call it after the token registry is ready
+ */
+const verifyLimits = () => {
+  if (!isTier(config.limits.defaultTier)) {
+    throw new Error(`The default account tier ${config.limits.defaultTier} is not one of ${config.limits.tiers.join(', ')}`);
+  }
+
+  for (const tier of config.limits.tiers) {
+    for (const token of Object.keys(config.limits.byTier[tier])) {
+      try {
+        tokenRegistry.getToken(token);
+        getLimits(tier, token);
+      } catch (error) {
+        throw new Error(`Invalid ${token} limits for the ${tier} tier: ${error.message}`);
+      }
+    }
+  }
+};
+
+module.exports = {
+  verifyLimits,
+  isTier,
+  getLimits,
+  getAllowance,
+  checkLimits,
+};
@@ -0,0 +1,102 @@
+const config = require('../../config/config');
+const userService = require('./userService');
+const smsService = require('./smsService');
+const i18n = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+// Reason given to users when the underlying error isn't meant for them
+const GENERIC_FAILURE_REASON = 'The transfer could not be completed. No money was sent.';
+
+/**
+ * Describe where a transaction went, for the sender's messages
+ * @param {Object} transaction - The transaction
+ * @returns {string} The recipient phone number, or the shortened withdrawal address
+ */
+const getRecipientLabel = (transaction) => {
+  return transaction.kind === 'withdrawal'
+    ? smsService.formatAddress(transaction.counterparty)
+    : transaction.recipientPhone;
+};
+
+/**
+ * Notify the sender and recipient of a completed transaction
+ * @param {Object} transaction - The completed transaction
+ */
+const notifyTransactionCompleted = async (transaction) => {
+  // Payments to unregistered numbers are held in escrow until claimed
+  if (transaction.escrow) {
+    await smsService.sendEscrowSent(
+      transaction.senderPhone,
+      transaction.recipientPhone,
+      transaction.amount,
+      transaction.token,
+      config.escrow.claimWindowHours
+    );
+    
+    try {
+      await smsService.sendEscrowInvite(
+        transaction.recipientPhone,
+        transaction.senderPhone,
+        transaction.amount,
+        transaction.token,
+        config.escrow.claimWindowHours
+      );
+    } catch (error) {
+      logger.error(`Failed to send escrow invite: ${error.message}`);
+    }
+    return;
+  }
+  
+  // Send completion notification
+  await smsService.sendTransactionCompletion(
+    transaction.senderPhone,
+    getRecipientLabel(transaction),
+    transaction.amount,
+    transaction.token,
+    (await userService.getUserBalances(transaction.senderPhone))[transaction.token]
+  );
+  
+  // Withdrawals leave Paytos, so there is nobody to send a receipt to
+  if (transaction.kind === 'withdrawal') {
+    return;
+  }
+  
+  // Send receipt to recipient
+  try {
+    const recipient = await userService.getUserByPhone(transaction.recipientPhone);
+    
+    if (recipient && recipient.isVerified) {
+      await smsService.sendTransactionReceipt(
+        transaction.recipientPhone,
+        transaction.senderPhone,
+        transaction.amount,
+        transaction.token,
+        userService.getTotalBalances(recipient)[transaction.token]
+      );
+    }
+  } catch (error) {
+    logger.error(`Failed to send receipt: ${error.message}`);
+    // Continue even if sending receipt fails
+  }
+};
+
+/**
+ * Notify the sender that a transaction failed
+ * @param {Object} transaction - The failed transaction
+ * @param {string|Error} error - Why it failed: an English error message, or the error
+ */
+const notifyTransactionFailed = async (transaction, error) => {
+  await smsService.sendTransactionFailure(
+    transaction.senderPhone,
+    getRecipientLabel(transaction),
+    transaction.amount,
+    transaction.token,
+    i18n.isKnownError(error) ? error : GENERIC_FAILURE_REASON
+  );
+};
+
+module.exports = {
+  getRecipientLabel,
+  notifyTransactionCompleted,
+  notifyTransactionFailed,
+};
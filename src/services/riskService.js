@@ -0,0 +1,270 @@
+const config = require('../../config/config');
+const tokenRegistry = require('../utils/tokenRegistry');
+const TransactionModel = require('../models/Transaction');
+const RiskAssessment = require('../models/RiskAssessment');
+const logger = require('../utils/logger');
+
+// Transaction kinds that move money out of a user's wallet
+const OUTGOING_KINDS = ['transfer', 'withdrawal'];
+
+/**
+ * @typedef {Object} OutgoingTransfer
+ * @property {string} kind - transfer or withdrawal
+ * @property {string} [recipientPhone] - Recipient phone number, for transfers
+ * @property {string} [counterparty] - Destination wallet address, for withdrawals
+ * @property {number} amount - Amount in the token's smallest unit
+ * @property {string} token - Token symbol
+ */
+
+/**
+ * Get the field and value that identify where a transfer goes
+ * @param {OutgoingTransfer} transfer - The transfer
+ * @returns {Array} [field, value]
+ */
+const getDestination = (transfer) => {
+  return transfer.kind === 'withdrawal'
+    ? ['counterparty', transfer.counterparty]
+    : ['recipientPhone', transfer.recipientPhone];
+};
+
+/**
+ * Get the time a number of minutes ago
+ * @param {number} minutes - Minutes
+ * @returns {Date} The time
+ */
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Each rule returns what triggered it, or null if it doesn't match
+const rules = {
+  // The sender has never completed a transfer to this recipient
+  newRecipient: async (sender, transfer) => {
+    const [field, destination] = getDestination(transfer);
+    const previous = await TransactionModel.exists({
+      sender: sender._id,
+      kind: transfer.kind,
+      [field]: destination,
+      status: 'confirmed',
+    });
+
+    return previous ? null : `First ${transfer.kind} to ${destination}`;
+  },
+
+  // The amount is far above anything the sender has sent in the token recently
+  unusualAmount: async (sender, transfer) => {
+    const recent = await TransactionModel.find({
+      sender: sender._id,
+      kind: { $in: OUTGOING_KINDS },
+      token: transfer.token,
+      status: 'confirmed',
+    })
+      .sort({ createdAt: -1 })
+      .limit(config.risk.historySize)
+      .select('amount');
+
+    // Without any history there is nothing to compare with; newRecipient covers first sends
+    if (recent.length === 0) {
+      return null;
+    }
+
+    const largest = Math.max(...recent.map((transaction) => transaction.amount));
+    if (transfer.amount <= largest * config.risk.unusualAmountMultiplier) {
+      return null;
+    }
+
+    return `${tokenRegistry.formatUnits(transfer.token, transfer.amount)} ${transfer.token} is over `
+      + `${config.risk.unusualAmountMultiplier}x the largest of the last ${recent.length} sends`;
+  },
+
+  // The sender is sending many transfers in a short time
+  sendBurst: async (sender) => {
+    const sends = 1 + await TransactionModel.countDocuments({
+      sender: sender._id,
+      kind: { $in: OUTGOING_KINDS },
+      createdAt: { $gte: minutesAgo(config.risk.burstWindowMinutes) },
+    });
+
+    return sends >= config.risk.burstCount
+      ? `${sends} sends within ${config.risk.burstWindowMinutes} minutes`
+      : null;
+  },
+
+  // The PIN was changed or reset shortly before, as happens after an account takeover
+  recentPinChange: async (sender) => {
+    if (!sender.pinChangedAt || sender.pinChangedAt < minutesAgo(config.risk.pinChangeHours * 60)) {
+      return null;
+    }
+
+    return `PIN changed at ${sender.pinChangedAt.toISOString()}`;
+  },
+
+  // Many different senders are paying the same recipient
+  recipientFanIn: async (sender, transfer) => {
+    const [field, destination] = getDestination(transfer);
+    const otherSenders = await TransactionModel.distinct('sender', {
+      [field]: destination,
+      kind: transfer.kind,
+      sender: { $ne: sender._id },
+      createdAt: { $gte: minutesAgo(config.risk.fanInWindowMinutes) },
+    });
+
+    const senders = otherSenders.length + 1;
+    return senders >= config.risk.fanInSenders
+      ? `${senders} senders paid ${destination} within ${config.risk.fanInWindowMinutes} minutes`
+      : null;
+  },
+};
+
+/**
+ * Turn a risk score into a decision
+ * @param {number} score - The score
+ * @returns {string} allow, delay or review
+ */
+const getDecision = (score) => {
+  if (score >= config.risk.reviewScore) {
+    return 'review';
+  }
+
+  return score >= config.risk.delayScore ? 'delay' : 'allow';
+};
+
+/**
+ * Score an outgoing transfer or withdrawal against the risk rules
+ * @param {Object} sender - Sender user document
+ * @param {OutgoingTransfer} transfer - The transfer
+ * @returns {Promise<Object>} { score, decision, rules }, where rules lists the matches
+ */
+const assessTransfer = async (sender, transfer) => {
+  try {
+    const matches = [];
+
+    if (config.risk.enabled) {
+      for (const [rule, check] of Object.entries(rules)) {
+        const score = config.risk.ruleScores[rule] || 0;
+        if (score <= 0) {
+          continue;
+        }
+
+        const detail = await check(sender, transfer);
+        if (detail) {
+          matches.push({ rule, score, detail });
+        }
+      }
+    }
+
+    const score = matches.reduce((total, match) => total + match.score, 0);
+    const decision = getDecision(score);
+
+    if (decision !== 'allow') {
+      logger.warn(`Risk score ${score} for ${transfer.kind} by ${sender.phoneNumber}: ${decision} (${matches.map((match) => match.rule).join(', ')})`);
+    }
+
+    return { score, decision, rules: matches };
+  } catch (error) {
+    logger.error(`Failed to assess transfer risk: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Work out when a transfer held by its risk decision may go ahead
+ * @param {Object} assessment - The assessment
+ * @returns {Date|null} The end of the cooling-off period, or null if there is none
+ */
+const getReleaseTime = (assessment) => {
+  return assessment.decision === 'delay'
+    ? new Date(Date.now() + config.risk.delayMinutes * 60 * 1000)
+    : null;
+};
+
+/**
+ * Store a risk assessment for audit, linked to its transaction
+ * @param {Object} assessment - The assessment
+ * @param {Object} transaction - The transaction it was made for
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} The stored assessment
+ */
+const recordAssessment = async (assessment, transaction, session) => {
+  const [, destination] = getDestination(transaction);
+
+  const [record] = await RiskAssessment.create([{
+    transaction: transaction._id,
+    sender: transaction.sender,
+    senderPhone: transaction.senderPhone,
+    kind: transaction.kind,
+    recipient: destination,
+    amount: transaction.amount,
+    token: transaction.token,
+    score: assessment.score,
+    decision: assessment.decision,
+    rules: assessment.rules,
+  }], { session });
+
+  return record;
+};
+
+/**
+ * Record an admin's review of a held transfer
+ * @param {string} assessmentId - Risk assessment ID
+ * @param {string} outcome - approved or rejected
+ * @param {string} actor - Who reviewed it
+ * @returns {Promise<void>}
+ */
+const recordReview = async (assessmentId, outcome, actor) => {
+  await RiskAssessment.updateOne(
+    { _id: assessmentId },
+    { review: { outcome, actor, reviewedAt: Date.now() } }
+  );
+};
+
+/**
+ * List risk assessments with filtering and pagination
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.decision] - allow, delay or review
+ * @param {string} [filters.phoneNumber] - Sender phone number
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.page - Page number, starting at 1
+ * @param {number} pagination.limit - Page size
+ * @returns {Promise<Object>} The matching assessments and pagination info
+ */
+const listAssessments = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+
+    if (filters.decision) {
+      query.decision = filters.decision;
+    }
+
+    if (filters.phoneNumber) {
+      query.senderPhone = filters.phoneNumber;
+    }
+
+    const [assessments, total] = await Promise.all([
+      RiskAssessment.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RiskAssessment.countDocuments(query),
+    ]);
+
+    return {
+      assessments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Failed to list risk assessments: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  assessTransfer,
+  getReleaseTime,
+  recordAssessment,
+  recordReview,
+  listAssessments,
+};
@@ -0,0 +1,415 @@
+const { Transaction } = require('@solana/web3.js');
+const config = require('../../config/config');
+const walletUtils = require('../utils/wallet');
+const tokenRegistry = require('../utils/tokenRegistry');
+const User = require('../models/User');
+const Settlement = require('../models/Settlement');
+const ledgerService = require('./ledgerService');
+const transactionService = require('./transactionService');
+const { runInTransaction } = require('../utils/db');
+const logger = require('../utils/logger');
+
+let settlementTimer = null;
+let isSettling = false;
+
+/**
+ * Post the ledger side of some settlement legs against the settlement account
+ * @param {Object} settlement - The settlement
+ * @param {Array<Object>} legs - Legs to post
+ * @param {number} direction - 1 to move the leg amounts out of users' positions, -1 to move them back in
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<void>}
+ */
+const postSettlementLegs = async (settlement, legs, direction, session) => {
+  if (legs.length === 0) {
+    return;
+  }
+
+  const total = legs.reduce((sum, leg) => sum + leg.amount, 0);
+  const entries = legs.map((leg) => ({
+    user: leg.user,
+    token: settlement.token,
+    amount: -direction * leg.amount,
+  }));
+  entries.push({
+    account: ledgerService.SETTLEMENT_ACCOUNT,
+    token: settlement.token,
+    amount: direction * total,
+  });
+
+  await ledgerService.postJournal(
+    entries,
+    { type: 'settlement', settlement: settlement._id, checkBalance: false },
+    session
+  );
+};
+
+/**
+ * Record a settlement that landed on-chain
+ * Pay-ins close the users' negative positions and leave their wallets,
+ * so both sides move together; payouts were taken off positions when the batch opened
+ * @param {Object} settlement - The settlement, as last read
+ * @returns {Promise<Object|null>} The confirmed settlement, or null if it was already closed
+ */
+const completeSettlement = async (settlement) => {
+  const completed = await runInTransaction(async (session) => {
+    const updated = await Settlement.findOneAndUpdate(
+      { _id: settlement._id, open: true, status: settlement.status },
+      { status: 'confirmed', open: false, settledAt: Date.now() },
+      { session, new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    const payIns = updated.legs.filter((leg) => leg.amount < 0);
+    await postSettlementLegs(updated, payIns, 1, session);
+
+    for (const leg of payIns) {
+      await User.updateOne(
+        { _id: leg.user },
+        {
+          $inc: { [`tokenBalances.${updated.token}`]: leg.amount },
+          $set: { balancesUpdatedAt: Date.now() },
+        },
+        { session }
+      );
+    }
+
+    return updated;
+  });
+
+  if (!completed) {
+    return null;
+  }
+
+  logger.info(`Settlement ${completed._id} confirmed. Signature: ${completed.signature}`);
+
+  for (const leg of completed.legs) {
+    try {
+      await transactionService.updateUserBalances(leg.user);
+    } catch (error) {
+      logger.error(`Failed to refresh balances after settlement ${completed._id}: ${error.message}`);
+    }
+  }
+
+  return completed;
+};
+
+/**
+ * Record a settlement that will never land and give payouts back to users' positions
+ * @param {Object} settlement - The settlement, as last read
+ * @param {string} errorMessage - Why it failed
+ * @returns {Promise<Object|null>} The failed settlement, or null if it was already closed
+ */
+const failSettlement = async (settlement, errorMessage) => {
+  const failed = await runInTransaction(async (session) => {
+    const updated = await Settlement.findOneAndUpdate(
+      { _id: settlement._id, open: true, status: settlement.status },
+      { status: 'failed', open: false, errorMessage },
+      { session, new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    const payouts = updated.legs.filter((leg) => leg.amount > 0);
+    await postSettlementLegs(updated, payouts, -1, session);
+
+    return updated;
+  });
+
+  if (failed) {
+    logger.warn(`Settlement ${failed._id} failed: ${errorMessage}`);
+  }
+
+  return failed;
+};
+
+/**
+ * Finish a settlement left open by an earlier run
+ * @param {Object} settlement - The open settlement
+ * @returns {Promise<boolean>} Whether the settlement is closed now
+ */
+const resolveOpenSettlement = async (settlement) => {
+  // Nothing was broadcast before the signature was recorded
+  if (settlement.status === 'pending') {
+    await failSettlement(settlement, 'Settlement was interrupted before it was signed');
+    return true;
+  }
+
+  const outcome = await transactionService.getSubmittedOutcome(settlement);
+
+  switch (outcome.state) {
+    case 'confirmed':
+      await completeSettlement(settlement);
+      return true;
+    case 'failed':
+      await failSettlement(settlement, `Settlement failed on-chain: ${JSON.stringify(outcome.error)}`);
+      return true;
+    case 'expired':
+      await failSettlement(settlement, 'Settlement expired before it was confirmed');
+      return true;
+    default:
+      logger.info(`Settlement ${settlement._id} is still awaiting confirmation`);
+      return false;
+  }
+};
+
+/**
+ * Build one Solana transaction moving every leg of a settlement
+ * Pay-ins are placed first so they fund the payouts; the master wallet pays the network fees
+ * @param {Object} settlement - The settlement
+ * @param {Object} usersById - Users in the settlement, keyed by ID
+ * @returns {Promise<Object>} { transfer, signers }
+ */
+const buildSettlementTransfer = async (settlement, usersById) => {
+  const masterWallet = walletUtils.getMasterWallet();
+  const transfer = new Transaction();
+  const signers = [masterWallet.keypair];
+
+  for (const leg of settlement.legs) {
+    if (leg.amount < 0) {
+      const userWallet = await walletUtils.decryptWallet(usersById[leg.user.toString()]);
+      const { transaction } = transactionService.buildTransfer(
+        userWallet,
+        masterWallet.publicKey,
+        -leg.amount,
+        settlement.token,
+        { feePayer: masterWallet }
+      );
+
+      transfer.add(...transaction.instructions);
+      signers.push(userWallet.keypair);
+    } else {
+      const { transaction } = transactionService.buildTransfer(
+        masterWallet,
+        leg.walletAddress,
+        leg.amount,
+        settlement.token
+      );
+
+      transfer.add(...transaction.instructions);
+    }
+  }
+
+  transfer.feePayer = masterWallet.keypair.publicKey;
+
+  return { transfer, signers };
+};
+
+/**
+ * Settle one batch of users' positions on-chain
+ * @param {string} token - Token symbol
+ * @param {Array<Object>} users - Users to settle, with their wallet keys
+ * @returns {Promise<boolean>} Whether the batch was confirmed
+ */
+const settleBatch = async (token, users) => {
+  let settlement;
+
+  try {
+    settlement = await runInTransaction(async (session) => {
+      const [created] = await Settlement.create([{
+        token,
+        legs: users.map((user) => ({
+          user: user._id,
+          walletAddress: user.walletAddress,
+          amount: user.ledgerPositions[token],
+        })),
+      }], { session });
+
+      // Take payouts off users' positions before they show up on-chain
+      await postSettlementLegs(created, created.legs.filter((leg) => leg.amount > 0), 1, session);
+
+      return created;
+    });
+  } catch (error) {
+    // Duplicate key: another process has a batch for this token open
+    if (error.code === 11000) {
+      logger.info(`Another ${token} settlement is in progress`);
+      return false;
+    }
+    throw error;
+  }
+
+  try {
+    const usersById = Object.fromEntries(users.map((user) => [user._id.toString(), user]));
+    const { transfer, signers } = await buildSettlementTransfer(settlement, usersById);
+
+    // Record the signature before broadcasting so the next run can tell whether it landed
+    await transactionService.submitTransfer(transfer, signers, async ({ signature, lastValidBlockHeight }) => {
+      const submitted = await Settlement.findOneAndUpdate(
+        { _id: settlement._id, open: true, status: 'pending' },
+        { status: 'submitted', signature, lastValidBlockHeight },
+        { new: true }
+      );
+
+      if (!submitted) {
+        throw new Error('Settlement was closed before it was submitted');
+      }
+
+      settlement = submitted;
+      logger.info(`Submitting ${token} settlement ${settlement._id}. Signature: ${signature}`);
+    });
+  } catch (error) {
+    // A broadcast batch may still land; the next run checks it
+    if (settlement.status === 'submitted' && transactionService.isTransientError(error)) {
+      logger.warn(`Settlement ${settlement._id} left open: ${error.message}`);
+      return false;
+    }
+
+    await failSettlement(settlement, error.message);
+    return false;
+  }
+
+  return Boolean(await completeSettlement(settlement));
+};
+
+/**
+ * Net and settle every user's ledger position in a token
+ * @param {string} token - Token symbol
+ * @returns {Promise<number>} Number of batches confirmed
+ */
+const settleToken = async (token) => {
+  const openSettlement = await Settlement.findOne({ token, open: true });
+  if (openSettlement && !(await resolveOpenSettlement(openSettlement))) {
+    return 0;
+  }
+
+  const position = `ledgerPositions.${token}`;
+  const users = await User.find(
+    {
+      $or: [
+        { [position]: { $gt: 0 } },
+        { [position]: { $lt: 0 } },
+      ],
+    },
+    'walletAddress encryptedWalletKey walletDataKey walletKeyVersion ledgerPositions'
+  );
+
+  // Pay-ins first, so the master wallet has the funds for the payouts that follow
+  users.sort((a, b) => a.ledgerPositions[token] - b.ledgerPositions[token]);
+
+  let settled = 0;
+  for (let i = 0; i < users.length; i += config.ledger.settlementBatchSize) {
+    const batch = users.slice(i, i + config.ledger.settlementBatchSize);
+
+    if (!(await settleBatch(token, batch))) {
+      break;
+    }
+    settled += 1;
+  }
+
+  return settled;
+};
+
+/**
+ * Settle ledger positions for every supported token
+ * @returns {Promise<number>} Number of batches confirmed
+ */
+const settleLedger = async () => {
+  let settled = 0;
+
+  for (const token of tokenRegistry.getSymbols()) {
+    try {
+      settled += await settleToken(token);
+    } catch (error) {
+      logger.error(`Failed to settle ${token} ledger positions: ${error.message}`);
+    }
+  }
+
+  return settled;
+};
+
+/**
+ * Start settling ledger positions in the background
+ */
+const startSettlementWorker = () => {
+  if (settlementTimer) {
+    return;
+  }
+
+  const run = async () => {
+    if (isSettling) {
+      return;
+    }
+
+    isSettling = true;
+    try {
+      const settled = await settleLedger();
+      if (settled > 0) {
+        logger.info(`Settled ${settled} ledger batches on-chain`);
+      }
+    } finally {
+      isSettling = false;
+    }
+  };
+
+  settlementTimer = setInterval(run, config.ledger.settlementIntervalMinutes * 60 * 1000);
+  run();
+  logger.info(`Ledger settlement worker started (every ${config.ledger.settlementIntervalMinutes} minutes)`);
+};
+
+/**
+ * Stop the background settlement
+ */
+const stopSettlementWorker = () => {
+  if (settlementTimer) {
+    clearInterval(settlementTimer);
+    settlementTimer = null;
+  }
+};
+
+/**
+ * List settlements with filtering and pagination
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.status] - Settlement status
+ * @param {string} [filters.token] - Token symbol
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.page - Page number, starting at 1
+ * @param {number} pagination.limit - Page size
+ * @returns {Promise<Object>} The matching settlements and pagination info
+ */
+const listSettlements = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    if (filters.token) {
+      query.token = filters.token;
+    }
+
+    const [settlements, total] = await Promise.all([
+      Settlement.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Settlement.countDocuments(query),
+    ]);
+
+    return {
+      settlements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Failed to list settlements: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  settleLedger,
+  startSettlementWorker,
+  stopSettlementWorker,
+  listSettlements,
+};
@@ -1,16 +1,56 @@
-const twilio = require('twilio');
-const config = require('../../config/config');
+const { getGateway } = require('../gateways');
+const User = require('../models/User');
+const i18n = require('../utils/i18n');
+const tokenRegistry = require('../utils/tokenRegistry');
+const { buildTransferRequestUrl } = require('../utils/solanaPay');
 const logger = require('../utils/logger');
 
-// Initialize Twilio client
-const getClient = () => {
-  if (!config.twilio.accountSid || !config.twilio.authToken) {
-    throw new Error('Twilio configuration is incomplete');
+// Amounts and balances are passed in each token's smallest unit and formatted for display here
+
+/**
+ * Get the language to message a phone number in
+ * @param {string} phoneNumber - Phone number with country code
+ * @returns {Promise<string>} The locale code
+ */
+const getLocale = async (phoneNumber) => {
+  try {
+    const user = await User.findOne({ phoneNumber }).select('language');
+    return i18n.resolveLocale(user && user.language);
+  } catch (error) {
+    logger.error(`Failed to get language for ${phoneNumber}: ${error.message}`);
+    return i18n.resolveLocale();
   }
-  return twilio(
-    config.twilio.accountSid,
-    config.twilio.authToken
-  );
+};
+
+/**
+ * Get the number of characters that fit in a given number of SMS segments
+ * Messages with characters outside Latin-1 are sent as UCS-2, which fits fewer per segment
+ * @param {string} text - The message text
+ * @param {number} segments - Number of concatenated segments
+ * @returns {number} The character budget
+ */
+const getSegmentBudget = (text, segments) => {
+  const isUnicode = /[^\u0000-\u00ff]/.test(text);
+  return segments * (isUnicode ? 67 : 153);
+};
+
+/**
+ * Format a recipient for display, showing the nickname next to the real number
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} [name] - Contact nickname
+ * @returns {string} The formatted recipient
+ */
+const formatRecipient = (phoneNumber, name) => {
+  return name ? `${name} (${phoneNumber})` : phoneNumber;
+};
+
+/**
+ * Shorten a wallet address for display, e.g. 7xKX...gAsU
+ * @param {string} [address] - Wallet public key
+ * @returns {string} The shortened address, or "?" if unknown
+ */
+const formatAddress = (address) => {
+  return address ? `${address.slice(0, 4)}...${address.slice(-4)}` : '?';
 };
 
 /**
@@ -21,18 +61,10 @@ const getClient = () => {
  */
 const sendSms = async (to, message) => {
   try {
-    if (!config.twilio.accountSid || !config.twilio.authToken || !config.twilio.phoneNumber) {
-      throw new Error('Twilio configuration is incomplete');
-    }
+    const gateway = getGateway();
+    const result = await gateway.sendMessage(to, message);
     
-    const client = getClient();
-    const result = await client.messages.create({
-      body: message,
-      from: config.twilio.phoneNumber,
-      to,
-    });
-    
-    logger.info(`SMS sent to ${to}. SID: ${result.sid}`);
+    logger.info(`SMS sent to ${to} via ${gateway.name}. SID: ${result.sid}`);
     return {
       sid: result.sid,
       status: result.status,
@@ -48,11 +80,8 @@ const sendSms = async (to, message) => {
  * @param {string} phoneNumber - User phone number
  */
 const sendRegistrationConfirmation = async (phoneNumber) => {
-  const message = 
-`Welcome to Paytos! Your wallet has been created.
-- To check your balance, text: BALANCE <PIN>
-- To send money, text: SEND <RECIPIENT> <AMOUNT> <TOKEN> <PIN>
-- For help, text: HELP`;
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'registrationConfirmation');
   
   return sendSms(phoneNumber, message);
 };
@@ -60,15 +89,28 @@ const sendRegistrationConfirmation = async (phoneNumber) => {
 /**
  * Format and send a balance message
  * @param {string} phoneNumber - User phone number
- * @param {Object} balances - Token balances
+ * @param {Object} balances - Available token balances
+ * @param {Object} [reserved] - Amounts reserved by transfers in progress
  */
-const sendBalanceInfo = async (phoneNumber, balances) => {
+const sendBalanceInfo = async (phoneNumber, balances, reserved = {}) => {
+  const locale = await getLocale(phoneNumber);
+  
+  const formatBalance = (token) => {
+    const available = tokenRegistry.formatAmount(token, balances[token]);
+    
+    if (!reserved[token]) {
+      return available;
+    }
+    
+    return i18n.t(locale, 'balanceWithReserved', {
+      available,
+      reserved: tokenRegistry.formatAmount(token, reserved[token]),
+    });
+  };
+  
   const message = 
-`Paytos Balance:
-SOL: ${balances.SOL.toFixed(4)}
-USDC: ${balances.USDC.toFixed(2)}
-USDT: ${balances.USDT.toFixed(2)}
-PYUSD: ${balances.PYUSD.toFixed(2)}`;
+`${i18n.t(locale, 'balanceHeader')}
+${tokenRegistry.getEnabledSymbols().map((token) => `${token}: ${formatBalance(token)}`).join('\n')}`;
   
   return sendSms(phoneNumber, message);
 };
@@ -79,11 +121,162 @@ PYUSD: ${balances.PYUSD.toFixed(2)}`;
  * @param {string} recipient - Recipient phone number
  * @param {number} amount - Transaction amount
  * @param {string} token - Token symbol
+ * @param {string} confirmationCode - Code identifying the pending transaction
+ * @param {string} [recipientName] - Contact nickname used for the recipient
+ * @param {number} [fee] - Transfer fee charged on top of the amount
+ */
+const sendTransactionConfirmationRequest = async (phoneNumber, recipient, amount, token, confirmationCode, recipientName, fee) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, fee > 0 ? 'confirmationRequestWithFee' : 'confirmationRequest', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    fee: fee > 0 ? tokenRegistry.formatUnits(token, fee) : 0,
+    recipient: formatRecipient(recipient, recipientName),
+    code: confirmationCode,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a withdrawal confirmation request
+ * The full address is shown so the user can check it before confirming
+ * @param {string} phoneNumber - User phone number
+ * @param {string} address - Destination wallet address
+ * @param {number} amount - Amount to withdraw
+ * @param {string} token - Token symbol
+ * @param {string} confirmationCode - Confirmation code
+ * @param {number} fee - Transfer fee
+ */
+const sendWithdrawalConfirmationRequest = async (phoneNumber, address, amount, token, confirmationCode, fee) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, fee > 0 ? 'withdrawalConfirmationRequestWithFee' : 'withdrawalConfirmationRequest', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    fee: fee > 0 ? tokenRegistry.formatUnits(token, fee) : 0,
+    address,
+    code: confirmationCode,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notice that a withdrawal to a new address is held back
+ * @param {string} phoneNumber - User phone number
+ * @param {string} address - Destination wallet address
+ * @param {number} amount - Amount to withdraw
+ * @param {string} token - Token symbol
+ * @param {number} minutes - Minutes until it is sent
+ */
+const sendWithdrawalDelayed = async (phoneNumber, address, amount, token, minutes) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'withdrawalDelayed', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    address: formatAddress(address),
+    minutes,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notice that a transfer is held by the risk checks
+ * @param {string} phoneNumber - Sender phone number
+ * @param {string} recipient - Recipient phone number or shortened address
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ * @param {number|null} minutes - Minutes of cooling-off before it is sent, or null while held for review
+ */
+const sendTransactionHeld = async (phoneNumber, recipient, amount, token, minutes) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, minutes === null ? 'transactionUnderReview' : 'transactionDelayed', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    recipient,
+    minutes,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a transaction cancellation notification
+ * @param {string} phoneNumber - User phone number
+ * @param {Object} pendingTransaction - The cancelled pending transaction
+ */
+const sendTransactionCancellation = async (phoneNumber, pendingTransaction) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'transactionCancelled', {
+    amount: tokenRegistry.formatUnits(pendingTransaction.token, pendingTransaction.amount),
+    token: pendingTransaction.token,
+    recipient: pendingTransaction.destinationAddress
+      ? formatAddress(pendingTransaction.destinationAddress)
+      : formatRecipient(pendingTransaction.recipientPhone, pendingTransaction.recipientName),
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a list of pending transactions to choose from
+ * @param {string} phoneNumber - User phone number
+ * @param {Array<Object>} pendingTransactions - The pending transactions
+ * @param {string} command - The command to reply with (e.g. CANCEL)
  */
-const sendTransactionConfirmationRequest = async (phoneNumber, recipient, amount, token) => {
+const sendPendingTransactionChoice = async (phoneNumber, pendingTransactions, command) => {
+  const locale = await getLocale(phoneNumber);
+  const lines = pendingTransactions.map((tx) => i18n.t(locale, 'pendingChoiceLine', {
+    code: tx.confirmationCode,
+    amount: tokenRegistry.formatUnits(tx.token, tx.amount),
+    token: tx.token,
+    recipient: tx.destinationAddress
+      ? formatAddress(tx.destinationAddress)
+      : formatRecipient(tx.recipientPhone, tx.recipientName),
+  }));
+  
   const message = 
-`Confirm sending ${amount} ${token} to ${recipient}?
-Reply with YES to confirm or NO to cancel.`;
+`${i18n.t(locale, 'pendingChoiceHeader', { count: pendingTransactions.length, command })}
+${lines.join('\n')}`;
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notification that a confirmed transfer is being processed
+ * @param {string} phoneNumber - User phone number
+ * @param {string} recipient - Recipient phone number
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ */
+const sendTransactionQueued = async (phoneNumber, recipient, amount, token) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'transactionQueued', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    recipient,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notification that a transfer failed
+ * @param {string} phoneNumber - User phone number
+ * @param {string} recipient - Recipient phone number
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ * @param {string|Error} reason - English error message or error, translated when possible
+ */
+const sendTransactionFailure = async (phoneNumber, recipient, amount, token, reason) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'transactionFailed', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    recipient,
+    reason: i18n.translateError(locale, reason),
+  });
   
   return sendSms(phoneNumber, message);
 };
@@ -97,9 +290,13 @@ Reply with YES to confirm or NO to cancel.`;
  * @param {number} newBalance - New balance after transaction
  */
 const sendTransactionCompletion = async (phoneNumber, recipient, amount, token, newBalance) => {
-  const message = 
-`Sent ${amount} ${token} to ${recipient}.
-New ${token} balance: ${newBalance.toFixed(token === 'SOL' ? 4 : 2)}`;
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'transactionCompleted', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    recipient,
+    balance: tokenRegistry.formatAmount(token, newBalance),
+  });
   
   return sendSms(phoneNumber, message);
 };
@@ -113,9 +310,277 @@ New ${token} balance: ${newBalance.toFixed(token === 'SOL' ? 4 : 2)}`;
  * @param {number} newBalance - New balance after receiving
  */
 const sendTransactionReceipt = async (phoneNumber, sender, amount, token, newBalance) => {
-  const message = 
-`You received ${amount} ${token} from ${sender}.
-New ${token} balance: ${newBalance.toFixed(token === 'SOL' ? 4 : 2)}`;
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'transactionReceived', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    sender,
+    balance: tokenRegistry.formatAmount(token, newBalance),
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notification of a deposit from outside Paytos
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} [sender] - Sending wallet address
+ * @param {number} amount - Amount received
+ * @param {string} token - Token symbol
+ * @param {number} newBalance - New balance after receiving
+ */
+const sendDepositReceived = async (phoneNumber, sender, amount, token, newBalance) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'depositReceived', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    sender: formatAddress(sender),
+    balance: tokenRegistry.formatAmount(token, newBalance),
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a user's wallet address with deposit instructions
+ * With a token, the message gives that token's full mint and a Solana Pay link
+ * a smartphone wallet can open to pay in; without one, it covers every supported token
+ * @param {string} phoneNumber - User phone number
+ * @param {string} address - User wallet address
+ * @param {string} [token] - Token to deposit
+ */
+const sendDepositAddress = async (phoneNumber, address, token) => {
+  const locale = await getLocale(phoneNumber);
+  
+  const describeToken = (symbol, formatMint) => {
+    return tokenRegistry.isNativeToken(symbol)
+      ? i18n.t(locale, 'depositNative', { token: symbol })
+      : i18n.t(locale, 'depositSplToken', { token: symbol, mint: formatMint(tokenRegistry.getToken(symbol).mint) });
+  };
+  
+  const lines = [
+    i18n.t(locale, 'depositAddressHeader'),
+    address,
+    i18n.t(locale, 'depositNetwork'),
+  ];
+  
+  if (token) {
+    lines.push(describeToken(token, (mint) => mint));
+    lines.push(i18n.t(locale, 'depositPayLink', {
+      url: buildTransferRequestUrl(address, {
+        splToken: tokenRegistry.getToken(token).mint,
+        label: 'Paytos',
+      }),
+    }));
+  } else {
+    lines.push(...tokenRegistry.getEnabledSymbols().map((symbol) => describeToken(symbol, formatAddress)));
+    lines.push(i18n.t(locale, 'depositPayLinkHint'));
+  }
+  
+  return sendSms(phoneNumber, lines.join('\n'));
+};
+
+/**
+ * Format and send how much more a user may send in each token
+ * @param {string} phoneNumber - User phone number
+ * @param {string} tier - User's account tier
+ * @param {Object} allowances - Remaining allowance per token ({ perTransaction, daily, monthly }, null: no limit)
+ */
+const sendSpendingLimits = async (phoneNumber, tier, allowances) => {
+  const locale = await getLocale(phoneNumber);
+  
+  const formatLimit = (token, amount) => {
+    return amount === null ? i18n.t(locale, 'limitsNone') : tokenRegistry.formatAmount(token, amount);
+  };
+  
+  const lines = Object.entries(allowances).map(([token, remaining]) => i18n.t(locale, 'limitsLine', {
+    token,
+    perTransaction: formatLimit(token, remaining.perTransaction),
+    daily: formatLimit(token, remaining.daily),
+    monthly: formatLimit(token, remaining.monthly),
+  }));
+  
+  const message = [i18n.t(locale, 'limitsHeader', { tier }), ...lines].join('\n');
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notification that a payment is held in escrow
+ * @param {string} phoneNumber - Sender phone number
+ * @param {string} recipient - Recipient phone number
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ * @param {number} hours - Hours the recipient has to claim the payment
+ */
+const sendEscrowSent = async (phoneNumber, recipient, amount, token, hours) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'escrowSent', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    recipient,
+    hours,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send an invitation to claim an escrow payment
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} sender - Sender phone number
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ * @param {number} hours - Hours the recipient has to claim the payment
+ */
+const sendEscrowInvite = async (phoneNumber, sender, amount, token, hours) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'escrowInvite', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    sender,
+    hours,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notification that an escrow payment was claimed
+ * @param {string} phoneNumber - Sender phone number
+ * @param {string} recipient - Recipient phone number
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ */
+const sendEscrowClaimed = async (phoneNumber, recipient, amount, token) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'escrowClaimed', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    recipient,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notification that an unclaimed escrow payment was refunded
+ * @param {string} phoneNumber - Sender phone number
+ * @param {string} recipient - Recipient phone number
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ */
+const sendEscrowRefunded = async (phoneNumber, recipient, amount, token) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'escrowRefunded', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    recipient,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a notification that an escrow payment expired unclaimed
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} sender - Sender phone number
+ * @param {number} amount - Transaction amount
+ * @param {string} token - Token symbol
+ */
+const sendEscrowExpired = async (phoneNumber, sender, amount, token) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'escrowExpired', {
+    amount: tokenRegistry.formatUnits(token, amount),
+    token,
+    sender,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a transaction history message
+ * @param {string} phoneNumber - User phone number
+ * @param {Array<Object>} transactions - Transactions, newest first
+ */
+const sendTransactionHistory = async (phoneNumber, transactions) => {
+  const locale = await getLocale(phoneNumber);
+  
+  if (transactions.length === 0) {
+    return sendSms(phoneNumber, i18n.t(locale, 'historyEmpty'));
+  }
+  
+  const statusLabels = {
+    held: i18n.t(locale, 'statusPending'),
+    queued: i18n.t(locale, 'statusPending'),
+    submitted: i18n.t(locale, 'statusPending'),
+    confirmed: i18n.t(locale, 'statusCompleted'),
+    failed: i18n.t(locale, 'statusFailed'),
+  };
+  
+  const lines = transactions.map((tx) => {
+    const isOutgoing = tx.senderPhone === phoneNumber;
+    const counterparty = tx.kind !== 'transfer'
+      ? formatAddress(tx.counterparty)
+      : (isOutgoing ? tx.recipientPhone : tx.senderPhone);
+    const date = new Date(tx.createdAt);
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    
+    return `${day}/${month} ${i18n.t(locale, isOutgoing ? 'historyOutgoing' : 'historyIncoming')} ${counterparty} ${tokenRegistry.formatUnits(tx.token, tx.amount)} ${tx.token} ${statusLabels[tx.status] || tx.status}`;
+  });
+  
+  // Keep the reply within two concatenated SMS segments
+  let shown = lines.length;
+  const buildMessage = (count) =>
+`${i18n.t(locale, 'historyHeader', { count })}
+${lines.slice(0, count).join('\n')}`;
+  const maxLength = getSegmentBudget(buildMessage(shown), 2);
+  
+  while (shown > 1 && buildMessage(shown).length > maxLength) {
+    shown -= 1;
+  }
+  
+  const message = buildMessage(shown);
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a PIN change confirmation
+ * @param {string} phoneNumber - User phone number
+ */
+const sendPinChangeConfirmation = async (phoneNumber) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'pinChanged');
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a PIN reset code
+ * @param {string} phoneNumber - User phone number
+ * @param {string} resetCode - The one-time reset code
+ * @param {number} ttlMinutes - Minutes until the code expires
+ */
+const sendPinResetCode = async (phoneNumber, resetCode, ttlMinutes) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'pinResetCode', {
+    code: resetCode,
+    minutes: ttlMinutes,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a PIN reset confirmation
+ * @param {string} phoneNumber - User phone number
+ */
+const sendPinResetConfirmation = async (phoneNumber) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'pinResetCompleted');
   
   return sendSms(phoneNumber, message);
 };
@@ -123,10 +588,13 @@ New ${token} balance: ${newBalance.toFixed(token === 'SOL' ? 4 : 2)}`;
 /**
  * Format and send an error message
  * @param {string} phoneNumber - User phone number 
- * @param {string} errorMessage - Error message
+ * @param {string|Error} errorMessage - English error message, or an error (e.g. from i18n.keyedError)
  */
 const sendErrorMessage = async (phoneNumber, errorMessage) => {
-  const message = `Error: ${errorMessage}`;
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'error', {
+    message: i18n.translateError(locale, errorMessage),
+  });
   return sendSms(phoneNumber, message);
 };
 
@@ -135,26 +603,102 @@ const sendErrorMessage = async (phoneNumber, errorMessage) => {
  * @param {string} phoneNumber - User phone number
  */
 const sendHelpMessage = async (phoneNumber) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'help', {
+    tokens: tokenRegistry.getEnabledSymbols().join(', '),
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a contact saved confirmation
+ * @param {string} phoneNumber - User phone number
+ * @param {Object} contact - The saved contact
+ */
+const sendContactSaved = async (phoneNumber, contact) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'contactSaved', {
+    name: contact.name,
+    phoneNumber: contact.phoneNumber,
+  });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send a contact removed confirmation
+ * @param {string} phoneNumber - User phone number
+ * @param {Object} contact - The removed contact
+ */
+const sendContactRemoved = async (phoneNumber, contact) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'contactRemoved', { name: contact.name });
+  
+  return sendSms(phoneNumber, message);
+};
+
+/**
+ * Format and send the list of saved contacts
+ * @param {string} phoneNumber - User phone number
+ * @param {Array<Object>} contacts - The saved contacts
+ */
+const sendContactList = async (phoneNumber, contacts) => {
+  const locale = await getLocale(phoneNumber);
+  
+  if (contacts.length === 0) {
+    return sendSms(phoneNumber, i18n.t(locale, 'contactsEmpty'));
+  }
+  
   const message = 
-`Paytos Commands:
-- REGISTER <PIN> - Create a new wallet
-- BALANCE <PIN> - Check your balance
-- SEND <RECIPIENT> <AMOUNT> <TOKEN> <PIN> - Send tokens
-  Example: SEND +1234567890 10 USDC 1234
-- Supported tokens: SOL, USDC, USDT, PYUSD
+`${i18n.t(locale, 'contactsHeader')}
+${contacts.map((contact) => `${contact.name}: ${contact.phoneNumber}`).join('\n')}`;
+  
+  return sendSms(phoneNumber, message);
+};
 
-Need more help? Visit paytos.io`;
+/**
+ * Format and send a language change confirmation
+ * @param {string} phoneNumber - User phone number
+ */
+const sendLanguageConfirmation = async (phoneNumber) => {
+  const locale = await getLocale(phoneNumber);
+  const message = i18n.t(locale, 'languageChanged');
   
   return sendSms(phoneNumber, message);
 };
 
 module.exports = {
+  formatAddress,
   sendSms,
   sendRegistrationConfirmation,
   sendBalanceInfo,
   sendTransactionConfirmationRequest,
+  sendWithdrawalConfirmationRequest,
+  sendWithdrawalDelayed,
+  sendTransactionHeld,
+  sendTransactionCancellation,
+  sendPendingTransactionChoice,
+  sendTransactionQueued,
+  sendTransactionFailure,
   sendTransactionCompletion,
   sendTransactionReceipt,
+  sendDepositReceived,
+  sendDepositAddress,
+  sendSpendingLimits,
+  sendEscrowSent,
+  sendEscrowInvite,
+  sendEscrowClaimed,
+  sendEscrowRefunded,
+  sendEscrowExpired,
+  sendTransactionHistory,
+  sendPinChangeConfirmation,
+  sendPinResetCode,
+  sendPinResetConfirmation,
+  sendContactSaved,
+  sendContactRemoved,
+  sendContactList,
+  sendLanguageConfirmation,
   sendErrorMessage,
   sendHelpMessage,
 }; 
\ No newline at end of file
@@ -0,0 +1,143 @@
+const { PublicKey } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddressSync,
+  getMinimumBalanceForRentExemptAccount,
+} = require('@solana/spl-token');
+const config = require('../../config/config');
+const walletUtils = require('../utils/wallet');
+const tokenRegistry = require('../utils/tokenRegistry');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Base network fee charged for each transaction signature
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * Get the transfer fee charged for a token
+ * @param {string} token - Token symbol
+ * @returns {number} The fee, in the token's smallest unit
+ */
+const getTransferFee = (token) => {
+  const fee = config.fees.transfer[token];
+  return fee ? tokenRegistry.parseAmount(token, fee) : 0;
+};
+
+/**
+ * Estimate the network fee and rent a transfer will cost its fee payer
+ * @param {string} recipientAddress - Recipient public key
+ * @param {string} token - Token symbol
+ * @param {number} signatures - Number of transaction signatures
+ * @returns {Promise<number>} The estimated cost in lamports
+ */
+const estimateTransferCost = async (recipientAddress, token, signatures) => {
+  let lamports = signatures * LAMPORTS_PER_SIGNATURE;
+
+  // The recipient's token account is created on their first transfer
+  if (!tokenRegistry.isNativeToken(token)) {
+    const connection = walletUtils.getConnection();
+    const tokenAccount = getAssociatedTokenAddressSync(
+      new PublicKey(tokenRegistry.getToken(token).mint),
+      new PublicKey(recipientAddress),
+      true
+    );
+
+    if (!(await connection.getAccountInfo(tokenAccount))) {
+      lamports += await getMinimumBalanceForRentExemptAccount(connection);
+    }
+  }
+
+  return lamports;
+};
+
+/**
+ * Reserve part of a user's sponsorship budget, starting a new period if the last one ended
+ * @param {string} userId - User ID
+ * @param {number} lamports - Lamports to reserve
+ * @returns {Promise<boolean>} Whether the budget had room
+ */
+const reserveSponsorship = async (userId, lamports) => {
+  const periodCutoff = new Date(Date.now() - config.sponsorship.periodDays * 24 * 60 * 60 * 1000);
+
+  await User.updateOne(
+    { _id: userId, 'sponsorship.periodStart': { $lte: periodCutoff } },
+    { 'sponsorship.lamportsUsed': 0, 'sponsorship.periodStart': Date.now() }
+  );
+
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      'sponsorship.lamportsUsed': { $lte: config.sponsorship.budgetLamports - lamports },
+    },
+    { $inc: { 'sponsorship.lamportsUsed': lamports } },
+    { new: true }
+  );
+
+  return Boolean(user);
+};
+
+/**
+ * Give back sponsorship budget reserved for a transfer that didn't go through
+ * @param {string} userId - User ID
+ * @param {number} lamports - Lamports to release
+ * @returns {Promise<void>}
+ */
+const releaseSponsorship = async (userId, lamports) => {
+  if (!lamports) {
+    return;
+  }
+
+  try {
+    await User.updateOne(
+      { _id: userId },
+      { $inc: { 'sponsorship.lamportsUsed': -lamports } }
+    );
+  } catch (error) {
+    logger.error(`Failed to release sponsorship budget for user ${userId}: ${error.message}`);
+  }
+};
+
+/**
+ * Decide who pays the network fees for a user's transfer
+ * The master wallet pays while the user's sponsorship budget lasts, then the user pays
+ * @param {Object} user - The sending user
+ * @param {string} recipientAddress - Recipient public key
+ * @param {string} token - Token symbol
+ * @returns {Promise<Object>} The fee payer wallet and the lamports sponsored
+ */
+const getFeePayer = async (user, recipientAddress, token) => {
+  try {
+    // The master wallet adds a second signature
+    const sponsoredCost = await estimateTransferCost(recipientAddress, token, 2);
+
+    if (await reserveSponsorship(user._id, sponsoredCost)) {
+      return {
+        feePayer: walletUtils.getMasterWallet(),
+        sponsoredLamports: sponsoredCost,
+      };
+    }
+
+    logger.info(`Sponsorship budget used up for ${user.phoneNumber}`);
+
+    const cost = await estimateTransferCost(recipientAddress, token, 1);
+    const solBalance = await walletUtils.checkTokenBalance(user.walletAddress, 'SOL');
+
+    if (solBalance < cost) {
+      throw new Error('Your free transfer allowance is used up. Add SOL to your wallet to pay network fees.');
+    }
+
+    return {
+      feePayer: null,
+      sponsoredLamports: 0,
+    };
+  } catch (error) {
+    logger.error(`Failed to get fee payer for ${user.phoneNumber}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  getTransferFee,
+  estimateTransferCost,
+  getFeePayer,
+  releaseSponsorship,
+};
@@ -2,19 +2,58 @@ const {
   Transaction,
   SystemProgram,
   sendAndConfirmTransaction,
-  LAMPORTS_PER_SOL,
   PublicKey,
 } = require('@solana/web3.js');
+const crypto = require('crypto');
+const bs58 = require('bs58').default;
 const {
   createTransferInstruction,
-  getOrCreateAssociatedTokenAccount,
+  createAssociatedTokenAccountIdempotentInstruction,
+  getAssociatedTokenAddressSync,
   TOKEN_PROGRAM_ID,
 } = require('@solana/spl-token');
 const config = require('../../config/config');
 const walletUtils = require('../utils/wallet');
+const tokenRegistry = require('../utils/tokenRegistry');
+const i18n = require('../utils/i18n');
 const User = require('../models/User');
 const TransactionModel = require('../models/Transaction');
 const PendingTransaction = require('../models/PendingTransaction');
+const Escrow = require('../models/Escrow');
+const sponsorshipService = require('./sponsorshipService');
+const limitService = require('./limitService');
+const riskService = require('./riskService');
+const ledgerService = require('./ledgerService');
+const balanceService = require('./balanceService');
+const jobQueue = require('./jobQueue');
+const { runInTransaction } = require('../utils/db');
+const logger = require('../utils/logger');
+
+// Confirmation code alphabet, without characters that are easy to confuse (0/O, 1/I/L)
+const CONFIRMATION_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CONFIRMATION_CODE_LENGTH = 6;
+
+// Job type for executing confirmed transfers
+const EXECUTE_TRANSACTION_JOB = 'executeTransaction';
+
+// Reason given to the sender when a held transfer is rejected
+const HELD_TRANSFER_REJECTED = 'The transfer was stopped after a security review. No money was sent.';
+const HELD_TRANSFER_CANCELLED = 'The transfer was stopped because your PIN was reset. No money was sent.';
+
+// RPC failures where a later attempt may succeed
+const TRANSIENT_ERROR_PATTERN = /fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|timed? ?out|429|502|503|504|Too Many Requests|Blockhash not found|block height exceeded|was not confirmed/i;
+
+/**
+ * Generate an unguessable confirmation code
+ * @returns {string} The confirmation code
+ */
+const generateConfirmationCode = () => {
+  let code = '';
+  for (let i = 0; i < CONFIRMATION_CODE_LENGTH; i++) {
+    code += CONFIRMATION_CODE_ALPHABET[crypto.randomInt(CONFIRMATION_CODE_ALPHABET.length)];
+  }
+  return code;
+};
 
 /**
  * Update user token balances in the database
@@ -27,122 +66,190 @@ const updateUserBalances = async (userId) => {
     if (!user) {
       throw new Error('User not found');
     }
-
-    // Get user wallet
-    const userWallet = walletUtils.decryptWallet(user.encryptedWalletKey);
-    
-    // Update SOL balance
-    const solBalance = await walletUtils.checkTokenBalance(userWallet.publicKey, 'SOL');
-    user.tokenBalances.SOL = solBalance;
     
-    // Update other token balances
-    const supportedTokens = ['USDC', 'USDT', 'PYUSD'];
-    for (const token of supportedTokens) {
-      const tokenBalance = await walletUtils.checkTokenBalance(userWallet.publicKey, token);
-      user.tokenBalances[token] = tokenBalance;
-    }
-    
-    await user.save();
-    console.log(`Updated balances for user ${userId}`);
+    // Read every token balance in one batched RPC call
+    await balanceService.refreshBalances([user]);
     logger.info(`Updated balances for user ${userId}`);
   } catch (error) {
-    console.error(`Failed to update balances for user ${userId}: ${error.message}`);
     logger.error(`Failed to update balances for user ${userId}: ${error.message}`);
     throw error;
   }
 };
 
 /**
- * Transfer SOL from one wallet to another
+ * Get the keypairs that must sign a transfer, without duplicates
+ * @param {Object} senderWallet - Sender wallet object
+ * @param {Object} feePayer - Fee payer wallet object
+ * @returns {Array<Object>} The signing keypairs, fee payer first
+ */
+const getSigners = (senderWallet, feePayer) => {
+  if (feePayer.publicKey === senderWallet.publicKey) {
+    return [senderWallet.keypair];
+  }
+  return [feePayer.keypair, senderWallet.keypair];
+};
+
+/**
+ * Build an unsigned SOL transfer
  * @param {Object} senderWallet - Sender wallet object
  * @param {string} recipientAddress - Recipient public key
- * @param {number} amount - Amount to send in SOL
- * @returns {Promise<string>} Transaction signature
+ * @param {number} amount - Amount to send in lamports
+ * @param {Object} [options] - Transfer options
+ * @param {Object} [options.feePayer] - Wallet that pays the network fee (defaults to the sender)
+ * @param {number} [options.fee] - Transfer fee in lamports, paid to the master wallet
+ * @returns {Object} The transaction and the keypairs that must sign it
  */
-const transferSol = async (senderWallet, recipientAddress, amount) => {
-  try {
-    const connection = walletUtils.getConnection();
-    const recipient = new PublicKey(recipientAddress);
-    
-    // Convert SOL to lamports
-    const lamports = Math.round(amount * LAMPORTS_PER_SOL);
-    
-    // Create transaction
-    const transaction = new Transaction().add(
+const buildSolTransfer = (senderWallet, recipientAddress, amount, options = {}) => {
+  const recipient = new PublicKey(recipientAddress);
+  const feePayer = options.feePayer || senderWallet;
+  
+  // Create transaction
+  const transaction = new Transaction().add(
+    SystemProgram.transfer({
+      fromPubkey: senderWallet.keypair.publicKey,
+      toPubkey: recipient,
+      lamports: amount,
+    })
+  );
+  
+  if (options.fee) {
+    transaction.add(
       SystemProgram.transfer({
         fromPubkey: senderWallet.keypair.publicKey,
-        toPubkey: recipient,
-        lamports,
+        toPubkey: walletUtils.getMasterWallet().keypair.publicKey,
+        lamports: options.fee,
       })
     );
+  }
+  
+  transaction.feePayer = feePayer.keypair.publicKey;
+  
+  return {
+    transaction,
+    signers: getSigners(senderWallet, feePayer),
+  };
+};
+
+/**
+ * Build an unsigned token transfer
+ * Missing token accounts are created in the same transaction, paid for by the fee payer
+ * @param {Object} senderWallet - Sender wallet object
+ * @param {string} recipientAddress - Recipient public key
+ * @param {number} amount - Amount to send in the token's smallest unit
+ * @param {string} token - Token symbol
+ * @param {Object} [options] - Transfer options
+ * @param {Object} [options.feePayer] - Wallet that pays the network fee and rent (defaults to the sender)
+ * @param {number} [options.fee] - Transfer fee in the same token and unit, paid to the master wallet
+ * @returns {Object} The transaction and the keypairs that must sign it
+ */
+const buildTokenTransfer = (senderWallet, recipientAddress, amount, token, options = {}) => {
+  const recipient = new PublicKey(recipientAddress);
+  const feePayer = options.feePayer || senderWallet;
+  
+  // Get token mint
+  const tokenMint = new PublicKey(tokenRegistry.getToken(token).mint);
+  
+  // Get token account addresses
+  const senderTokenAccount = getAssociatedTokenAddressSync(
+    tokenMint,
+    senderWallet.keypair.publicKey
+  );
+  const recipientTokenAccount = getAssociatedTokenAddressSync(tokenMint, recipient, true);
+  
+  const transaction = new Transaction();
+  
+  // Create the recipient token account if it doesn't exist yet
+  transaction.add(
+    createAssociatedTokenAccountIdempotentInstruction(
+      feePayer.keypair.publicKey,
+      recipientTokenAccount,
+      recipient,
+      tokenMint
+    )
+  );
+  
+  // Create transfer instruction
+  transaction.add(
+    createTransferInstruction(
+      senderTokenAccount,
+      recipientTokenAccount,
+      senderWallet.keypair.publicKey,
+      amount,
+      [],
+      TOKEN_PROGRAM_ID
+    )
+  );
+  
+  // Pay the transfer fee into the master wallet's token account
+  if (options.fee) {
+    const masterPublicKey = walletUtils.getMasterWallet().keypair.publicKey;
+    const feeTokenAccount = getAssociatedTokenAddressSync(tokenMint, masterPublicKey);
     
-    // Send and confirm transaction
-    const signature = await sendAndConfirmTransaction(
-      connection,
-      transaction,
-      [senderWallet.keypair]
+    transaction.add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        feePayer.keypair.publicKey,
+        feeTokenAccount,
+        masterPublicKey,
+        tokenMint
+      ),
+      createTransferInstruction(
+        senderTokenAccount,
+        feeTokenAccount,
+        senderWallet.keypair.publicKey,
+        options.fee,
+        [],
+        TOKEN_PROGRAM_ID
+      )
     );
-    
-    logger.info(`SOL transfer successful. Signature: ${signature}`);
-    return signature;
-  } catch (error) {
-    logger.error(`SOL transfer failed: ${error.message}`);
-    throw error;
   }
+  
+  transaction.feePayer = feePayer.keypair.publicKey;
+  
+  return {
+    transaction,
+    signers: getSigners(senderWallet, feePayer),
+  };
 };
 
 /**
- * Transfer a token from one wallet to another
+ * Build an unsigned SOL or token transfer
  * @param {Object} senderWallet - Sender wallet object
  * @param {string} recipientAddress - Recipient public key
- * @param {number} amount - Amount to send
+ * @param {number} amount - Amount to send in the token's smallest unit
  * @param {string} token - Token symbol
+ * @param {Object} [options] - Transfer options, see buildTokenTransfer
+ * @returns {Object} The transaction and the keypairs that must sign it
+ */
+const buildTransfer = (senderWallet, recipientAddress, amount, token, options = {}) => {
+  if (tokenRegistry.isNativeToken(token)) {
+    return buildSolTransfer(senderWallet, recipientAddress, amount, options);
+  }
+  return buildTokenTransfer(senderWallet, recipientAddress, amount, token, options);
+};
+
+/**
+ * Transfer SOL or a token from one wallet to another and wait for confirmation
+ * @param {Object} senderWallet - Sender wallet object
+ * @param {string} recipientAddress - Recipient public key
+ * @param {number} amount - Amount to send in the token's smallest unit
+ * @param {string} token - Token symbol
+ * @param {Object} [options] - Transfer options, see buildTokenTransfer
  * @returns {Promise<string>} Transaction signature
  */
-const transferToken = async (senderWallet, recipientAddress, amount, token) => {
+const transferFunds = async (senderWallet, recipientAddress, amount, token, options = {}) => {
   try {
-    const connection = walletUtils.getConnection();
-    const recipient = new PublicKey(recipientAddress);
-    
-    // Get token mint
-    const tokenMint = new PublicKey(config.supportedTokens.mints[token]);
-    
-    // Get sender token account
-    const senderTokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      senderWallet.keypair,
-      tokenMint,
-      senderWallet.keypair.publicKey
-    );
-    
-    // Get recipient token account
-    const recipientTokenAccount = await getOrCreateAssociatedTokenAccount(
-      connection,
-      senderWallet.keypair,
-      tokenMint,
-      recipient
-    );
-    
-    // Convert amount to token units (most tokens have 6 decimals)
-    const tokenAmount = Math.round(amount * 1e6);
-    
-    // Create transfer instruction
-    const transferInstruction = createTransferInstruction(
-      senderTokenAccount.address,
-      recipientTokenAccount.address,
-      senderWallet.keypair.publicKey,
-      tokenAmount,
-      [],
-      TOKEN_PROGRAM_ID
+    const { transaction, signers } = buildTransfer(
+      senderWallet,
+      recipientAddress,
+      amount,
+      token,
+      options
     );
     
-    // Create and send transaction
-    const transaction = new Transaction().add(transferInstruction);
-    
     const signature = await sendAndConfirmTransaction(
-      connection,
+      walletUtils.getConnection(),
       transaction,
-      [senderWallet.keypair]
+      signers
     );
     
     logger.info(`${token} transfer successful. Signature: ${signature}`);
@@ -153,11 +260,125 @@ const transferToken = async (senderWallet, recipientAddress, amount, token) => {
   }
 };
 
+/**
+ * Transfer SOL from one wallet to another
+ * @param {Object} senderWallet - Sender wallet object
+ * @param {string} recipientAddress - Recipient public key
+ * @param {number} amount - Amount to send in lamports
+ * @param {Object} [options] - Transfer options, see buildSolTransfer
+ * @returns {Promise<string>} Transaction signature
+ */
+const transferSol = (senderWallet, recipientAddress, amount, options = {}) => {
+  return transferFunds(senderWallet, recipientAddress, amount, 'SOL', options);
+};
+
+/**
+ * Transfer a token from one wallet to another
+ * @param {Object} senderWallet - Sender wallet object
+ * @param {string} recipientAddress - Recipient public key
+ * @param {number} amount - Amount to send in the token's smallest unit
+ * @param {string} token - Token symbol
+ * @param {Object} [options] - Transfer options, see buildTokenTransfer
+ * @returns {Promise<string>} Transaction signature
+ */
+const transferToken = (senderWallet, recipientAddress, amount, token, options = {}) => {
+  return transferFunds(senderWallet, recipientAddress, amount, token, options);
+};
+
+/**
+ * Reserve part of a user's balance for an on-chain transfer
+ * The amount must be available and already in the wallet, not just owed by the ledger
+ * @param {string} userId - User ID
+ * @param {string} token - Token symbol
+ * @param {number} total - Amount plus fee to reserve
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<number>} The amount reserved
+ */
+const reserveOnChainBalance = async (userId, token, total, session) => {
+  const onChainAvailable = {
+    $subtract: [
+      ledgerService.tokenAmountExpression('tokenBalances', token),
+      ledgerService.tokenAmountExpression('reservedBalances', token),
+    ],
+  };
+  
+  const reservingUser = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $expr: {
+        $and: [
+          { $gte: [ledgerService.availableBalanceExpression(token), total] },
+          { $gte: [onChainAvailable, total] },
+        ],
+      },
+    },
+    { $inc: { [`reservedBalances.${token}`]: total } },
+    { session, new: true }
+  );
+  
+  if (!reservingUser) {
+    const hasLedgerFunds = await User.exists({
+      _id: userId,
+      $expr: { $gte: [ledgerService.availableBalanceExpression(token), total] },
+    }).session(session);
+    
+    throw hasLedgerFunds
+      ? new Error('Part of your balance is still being settled. Please try again later.')
+      : i18n.keyedError('Insufficient {token} balance', { token });
+  }
+  
+  return total;
+};
+
+/**
+ * Reserve part of a user's available balance, ledger position included, for a held ledger transfer
+ * @param {string} userId - User ID
+ * @param {string} token - Token symbol
+ * @param {number} total - Amount plus fee to reserve
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<number>} The amount reserved
+ */
+const reserveAvailableBalance = async (userId, token, total, session) => {
+  const reservingUser = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $expr: { $gte: [ledgerService.availableBalanceExpression(token), total] },
+    },
+    { $inc: { [`reservedBalances.${token}`]: total } },
+    { session }
+  );
+  
+  if (!reservingUser) {
+    throw i18n.keyedError('Insufficient {token} balance', { token });
+  }
+  
+  return total;
+};
+
+/**
+ * Queue a new transaction for the transfer workers, in the session that creates it, so a crash
+ * can't leave it queued with nothing to execute it
+ * On-chain transfers run straight away and held transfers once their cooling-off period ends;
+ * transfers held for review wait for an admin, and ledger transfers are already settled.
+ * @param {Object} transaction - The transaction
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<void>}
+ */
+const queueExecution = async (transaction, session) => {
+  if (transaction.status === 'queued' || (transaction.status === 'held' && transaction.releaseAt)) {
+    await jobQueue.enqueue(
+      EXECUTE_TRANSACTION_JOB,
+      { transactionId: transaction._id.toString() },
+      { runAt: transaction.releaseAt, session }
+    );
+  }
+};
+
 /**
  * Create a transaction between two users
  * @param {string} senderPhone - Sender phone number
  * @param {string} recipientPhone - Recipient phone number
- * @param {number} amount - Amount to send
+ * @param {number} amount - Amount to send in the token's smallest unit
  * @param {string} token - Token symbol
  * @returns {Promise<Object>} The created transaction
  */
@@ -169,56 +390,492 @@ const createTransaction = async (senderPhone, recipientPhone, amount, token) =>
       throw new Error('Sender not found');
     }
     
-    // Check if sender has enough balance
-    if (sender.tokenBalances[token] < amount) {
-      throw new Error(`Insufficient ${token} balance`);
+    // Pick up deposits the cached balance hasn't seen yet
+    if (balanceService.isStale(sender)) {
+      await updateUserBalances(sender._id);
     }
     
-    // Find or create recipient
-    let recipient = await User.findOne({ phoneNumber: recipientPhone });
+    const fee = sponsorshipService.getTransferFee(token);
+    const total = amount + fee;
+    
+    // Find recipient
+    const recipient = await User.findOne({ phoneNumber: recipientPhone });
+    
+    // Transfers between registered users settle instantly on the internal ledger
+    const useLedger = config.ledger.enabled && Boolean(recipient && recipient.isVerified);
+    
+    // Risky transfers are held for a cooling-off period or an admin review
+    const assessment = await riskService.assessTransfer(sender, { kind: 'transfer', recipientPhone, amount, token });
+    const held = assessment.decision !== 'allow';
     
-    if (!recipient) {
-      // If recipient doesn't exist, we'll create a placeholder with just the phone number
-      // They will need to register to access their funds
-      const { encryptedSecretKey, publicKey } = walletUtils.createEncryptedWallet();
+    const transaction = await runInTransaction(async (session) => {
+      // Checked again here in case other transfers were confirmed since the prompt
+      await limitService.checkLimits(sender, token, amount, session);
       
-      recipient = new User({
-        phoneNumber: recipientPhone,
-        encryptedWalletKey: encryptedSecretKey,
-        walletAddress: publicKey,
-        pin: '000000', // Temporary PIN, will be updated when they register
-        isVerified: false,
+      // Create transaction record
+      const newTransaction = new TransactionModel({
+        sender: sender._id,
+        recipient: recipient && recipient.isVerified ? recipient._id : null,
+        senderPhone,
+        recipientPhone,
+        amount,
+        token,
+        fee,
+        rail: useLedger ? 'ledger' : 'onchain',
+        status: held ? 'held' : 'queued',
+        releaseAt: held ? riskService.getReleaseTime(assessment) : null,
       });
       
-      await recipient.save();
-      logger.info(`Created placeholder user for ${recipientPhone}`);
+      newTransaction.riskAssessment = (await riskService.recordAssessment(assessment, newTransaction, session))._id;
+      
+      if (useLedger && held) {
+        // Posted to the ledger once released; the amount is set aside until then
+        newTransaction.reservedAmount = await reserveAvailableBalance(sender._id, token, total, session);
+        await newTransaction.save({ session });
+        await queueExecution(newTransaction, session);
+        return newTransaction;
+      }
+      
+      if (useLedger) {
+        await ledgerService.postTransfer(newTransaction, session);
+        
+        newTransaction.status = 'confirmed';
+        newTransaction.completedAt = Date.now();
+        await newTransaction.save({ session });
+        return newTransaction;
+      }
+      
+      newTransaction.reservedAmount = await reserveOnChainBalance(sender._id, token, total, session);
+      
+      // Unregistered recipients are paid into escrow until they register
+      if (!newTransaction.recipient) {
+        const [escrow] = await Escrow.create([{
+          sender: sender._id,
+          senderPhone,
+          recipientPhone,
+          amount,
+          token,
+          transaction: newTransaction._id,
+        }], { session });
+        
+        newTransaction.escrow = escrow._id;
+      }
+      
+      await newTransaction.save({ session });
+      await queueExecution(newTransaction, session);
+      return newTransaction;
+    });
+    
+    if (transaction.escrow) {
+      logger.info(`Created escrow ${transaction.escrow} for unregistered recipient ${recipientPhone}`);
     }
+    logger.info(`Created transaction: ${transaction._id}`);
     
-    // Create transaction record
-    const transaction = new TransactionModel({
-      sender: sender._id,
-      recipient: recipient._id,
-      senderPhone,
-      recipientPhone,
+    return transaction;
+  } catch (error) {
+    logger.error(`Failed to create transaction: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Create a withdrawal to a wallet outside Paytos
+ * @param {string} senderPhone - Sender phone number
+ * @param {string} destinationAddress - Destination wallet address
+ * @param {number} amount - Amount to send in the token's smallest unit
+ * @param {string} token - Token symbol
+ * @returns {Promise<Object>} The created withdrawal
+ */
+const createWithdrawal = async (senderPhone, destinationAddress, amount, token) => {
+  try {
+    const sender = await User.findOne({ phoneNumber: senderPhone });
+    if (!sender) {
+      throw new Error('Sender not found');
+    }
+    
+    // Pick up deposits the cached balance hasn't seen yet
+    if (balanceService.isStale(sender)) {
+      await updateUserBalances(sender._id);
+    }
+    
+    const fee = sponsorshipService.getTransferFee(token);
+    const total = amount + fee;
+    const assessment = await riskService.assessTransfer(sender, {
+      kind: 'withdrawal',
+      counterparty: destinationAddress,
       amount,
       token,
-      status: 'pending',
     });
+    const held = assessment.decision !== 'allow';
     
-    await transaction.save();
-    logger.info(`Created transaction: ${transaction._id}`);
+    // A longer first-time delay still applies during a cooling-off period; a review waits for an admin
+    let releaseAt = await getWithdrawalReleaseTime(sender._id, destinationAddress);
+    if (held) {
+      const riskReleaseAt = riskService.getReleaseTime(assessment);
+      releaseAt = riskReleaseAt && releaseAt > riskReleaseAt ? releaseAt : riskReleaseAt;
+    }
     
-    return transaction;
+    const withdrawal = await runInTransaction(async (session) => {
+      await limitService.checkLimits(sender, token, amount, session);
+      
+      const newWithdrawal = new TransactionModel({
+        kind: 'withdrawal',
+        sender: sender._id,
+        senderPhone,
+        counterparty: destinationAddress,
+        amount,
+        token,
+        fee,
+        releaseAt,
+        status: held ? 'held' : 'queued',
+      });
+      
+      newWithdrawal.riskAssessment = (await riskService.recordAssessment(assessment, newWithdrawal, session))._id;
+      newWithdrawal.reservedAmount = await reserveOnChainBalance(sender._id, token, total, session);
+      
+      await newWithdrawal.save({ session });
+      await queueExecution(newWithdrawal, session);
+      return newWithdrawal;
+    });
+    
+    logger.info(`Created withdrawal: ${withdrawal._id}`);
+    
+    return withdrawal;
   } catch (error) {
-    logger.error(`Failed to create transaction: ${error.message}`);
+    logger.error(`Failed to create withdrawal: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Check that a user may withdraw to an address
+ * @param {Object} user - The withdrawing user
+ * @param {string} destinationAddress - Destination wallet address
+ */
+const checkWithdrawalAddress = (user, destinationAddress) => {
+  if (destinationAddress === user.walletAddress) {
+    throw new Error('You cannot withdraw to your own Paytos wallet.');
+  }
+  
+  if (config.withdrawals.allowlistOnly && !config.withdrawals.allowlist.includes(destinationAddress)) {
+    throw new Error('Withdrawals to this address are not allowed.');
+  }
+};
+
+/**
+ * Work out when a withdrawal may be sent
+ * The first withdrawal to an address is held back, unless the address is on the allowlist
+ * @param {string} userId - Sender user ID
+ * @param {string} destinationAddress - Destination wallet address
+ * @returns {Promise<Date|null>} When to send it, or null to send it straight away
+ */
+const getWithdrawalReleaseTime = async (userId, destinationAddress) => {
+  if (!config.withdrawals.firstTimeDelayMinutes || config.withdrawals.allowlist.includes(destinationAddress)) {
+    return null;
+  }
+  
+  const previousWithdrawal = await TransactionModel.exists({
+    sender: userId,
+    kind: 'withdrawal',
+    counterparty: destinationAddress,
+    status: 'confirmed',
+  });
+  
+  if (previousWithdrawal) {
+    return null;
+  }
+  
+  return new Date(Date.now() + config.withdrawals.firstTimeDelayMinutes * 60 * 1000);
+};
+
+/**
+ * Check whether an error is worth retrying, e.g. an RPC outage or an expired blockhash
+ * @param {Error} error - The error
+ * @returns {boolean} Whether a later attempt may succeed
+ */
+const isTransientError = (error) => {
+  return TRANSIENT_ERROR_PATTERN.test(error.message);
+};
+
+/**
+ * Sign, broadcast and confirm a built transfer
+ * @param {Object} transfer - Unsigned Solana transaction with its fee payer set
+ * @param {Array<Object>} signers - Keypairs that must sign it
+ * @param {function(Object): Promise<void>} onSigned - Receives { signature, lastValidBlockHeight }
+ *   before broadcasting, so the caller can record them
+ * @returns {Promise<string>} The transaction signature
+ */
+const submitTransfer = async (transfer, signers, onSigned) => {
+  const connection = walletUtils.getConnection();
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  transfer.recentBlockhash = blockhash;
+  transfer.sign(...signers);
+  
+  const signature = bs58.encode(transfer.signature);
+  await onSigned({ signature, lastValidBlockHeight });
+  
+  await connection.sendRawTransaction(transfer.serialize());
+  
+  const { value } = await connection.confirmTransaction(
+    { signature, blockhash, lastValidBlockHeight },
+    'confirmed'
+  );
+  
+  if (value.err) {
+    throw new Error(`Transfer failed on-chain: ${JSON.stringify(value.err)}`);
+  }
+  
+  return signature;
+};
+
+/**
+ * Find out what happened to a transfer that was already broadcast
+ * @param {Object} submission - Record with a signature and lastValidBlockHeight
+ * @returns {Promise<Object>} { state: 'confirmed' | 'failed' | 'pending' | 'expired', error }
+ */
+const getSubmittedOutcome = async (submission) => {
+  const connection = walletUtils.getConnection();
+  const { value } = await connection.getSignatureStatus(submission.signature, {
+    searchTransactionHistory: true,
+  });
+  
+  if (value && value.err) {
+    return { state: 'failed', error: JSON.stringify(value.err) };
+  }
+  
+  if (value && ['confirmed', 'finalized'].includes(value.confirmationStatus)) {
+    return { state: 'confirmed' };
+  }
+  
+  // Once the blockhash has expired the transfer can never land
+  const blockHeight = await connection.getBlockHeight();
+  if (!value && blockHeight > submission.lastValidBlockHeight) {
+    return { state: 'expired' };
+  }
+  
+  return { state: 'pending' };
+};
+
+/**
+ * Release a transaction's reservation on the sender's balance
+ * @param {Object} transaction - The transaction, as it was before the reservation was cleared
+ * @param {boolean} spent - Whether the funds left the wallet, so the cached balance drops too
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<void>}
+ */
+const releaseReservation = async (transaction, spent, session) => {
+  if (!transaction.reservedAmount) {
+    return;
+  }
+  
+  const update = { $inc: { [`reservedBalances.${transaction.token}`]: -transaction.reservedAmount } };
+  
+  // Keep the cached balance right until it is refreshed from the chain, and stop chain reads
+  // taken before this debit from overwriting it
+  if (spent) {
+    update.$inc[`tokenBalances.${transaction.token}`] = -transaction.reservedAmount;
+    update.$set = { balancesUpdatedAt: Date.now() };
+  }
+  
+  await User.updateOne({ _id: transaction.sender }, update, { session });
+};
+
+/**
+ * Mark a confirmed transaction as complete and settle what depends on it
+ * @param {Object} transaction - The transaction document
+ * @returns {Promise<Object>} The updated transaction
+ */
+const finalizeTransaction = async (transaction) => {
+  const confirmed = await runInTransaction(async (session) => {
+    // Only settle once, however many times the transfer is reported as confirmed
+    const previous = await TransactionModel.findOneAndUpdate(
+      { _id: transaction._id, status: { $in: ['queued', 'submitted'] } },
+      { status: 'confirmed', completedAt: Date.now(), errorMessage: null, reservedAmount: 0 },
+      { session }
+    );
+    
+    if (!previous) {
+      return false;
+    }
+    
+    await releaseReservation(previous, true, session);
+    
+    // Start the claim window once the funds are held
+    if (previous.escrow) {
+      const expiresAt = new Date();
+      expiresAt.setHours(expiresAt.getHours() + config.escrow.claimWindowHours);
+      
+      await Escrow.updateOne(
+        { _id: previous.escrow },
+        {
+          status: 'held',
+          depositSignature: previous.signature,
+          heldAt: Date.now(),
+          expiresAt,
+        },
+        { session }
+      );
+    }
+    
+    return true;
+  });
+  
+  const updated = await TransactionModel.findById(transaction._id);
+  
+  if (!confirmed) {
+    return updated;
+  }
+  
+  logger.info(`Confirmed transaction ${updated._id}`);
+  
+  // Update balances for both users; the transfer itself has already succeeded
+  try {
+    await updateUserBalances(updated.sender);
+    if (updated.recipient) {
+      await updateUserBalances(updated.recipient);
+    }
+  } catch (error) {
+    logger.error(`Failed to update balances after transaction ${updated._id}: ${error.message}`);
+  }
+  
+  return updated;
+};
+
+/**
+ * Post a ledger transfer that was held by its risk assessment, now that it has been released
+ * @param {Object} transaction - The transaction document
+ * @returns {Promise<Object>} The updated transaction
+ */
+const settleHeldLedgerTransfer = async (transaction) => {
+  const settled = await runInTransaction(async (session) => {
+    const previous = await TransactionModel.findOneAndUpdate(
+      { _id: transaction._id, status: 'held' },
+      { status: 'confirmed', completedAt: Date.now(), reservedAmount: 0 },
+      { session }
+    );
+    
+    if (!previous) {
+      return false;
+    }
+    
+    // Free the reserved amount so the ledger can debit it
+    await releaseReservation(previous, false, session);
+    await ledgerService.postTransfer(previous, session);
+    return true;
+  });
+  
+  if (settled) {
+    logger.info(`Settled held transaction ${transaction._id} on the ledger`);
+  }
+  
+  return TransactionModel.findById(transaction._id);
+};
+
+/**
+ * Mark a transaction that never moved funds as failed
+ * @param {string} transactionId - Transaction ID
+ * @param {string} errorMessage - Why it failed
+ * @returns {Promise<Object|null>} The failed transaction, or null if it had already finished
+ */
+const markTransactionFailed = async (transactionId, errorMessage) => {
+  const previous = await runInTransaction(async (session) => {
+    const unsettled = await TransactionModel.findOneAndUpdate(
+      { _id: transactionId, status: { $in: ['held', 'queued', 'submitted'] } },
+      { status: 'failed', errorMessage, reservedAmount: 0 },
+      { session }
+    );
+    
+    if (!unsettled) {
+      return null;
+    }
+    
+    // Give the reserved amount back to the sender's available balance
+    await releaseReservation(unsettled, false, session);
+    
+    if (unsettled.escrow) {
+      await Escrow.updateOne(
+        { _id: unsettled.escrow },
+        { status: 'failed', errorMessage },
+        { session }
+      );
+    }
+    
+    return unsettled;
+  });
+  
+  if (!previous) {
+    return null;
+  }
+  
+  const transaction = await TransactionModel.findById(transactionId);
+  
+  // Nothing was broadcast, so the sponsored fees were never spent
+  if (!transaction.signature) {
+    await sponsorshipService.releaseSponsorship(transaction.sender, transaction.sponsoredLamports);
+  }
+  
+  logger.info(`Marked transaction ${transactionId} as failed: ${errorMessage}`);
+  return transaction;
+};
+
+/**
+ * Give up on a transaction after its last attempt
+ * A transfer that was broadcast is checked on-chain first, since it may still have landed
+ * @param {string} transactionId - Transaction ID
+ * @param {string} errorMessage - Why the last attempt failed
+ * @returns {Promise<Object>} The transaction
+ */
+const failTransaction = async (transactionId, errorMessage) => {
+  try {
+    const transaction = await TransactionModel.findById(transactionId);
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+    
+    if (transaction.status === 'submitted') {
+      const outcome = await getSubmittedOutcome(transaction);
+      
+      if (outcome.state === 'confirmed') {
+        return await finalizeTransaction(transaction);
+      }
+      
+      if (outcome.state === 'pending') {
+        logger.error(`Transaction ${transactionId} may still land; leaving it submitted for review`);
+        return transaction;
+      }
+    }
+    
+    return (await markTransactionFailed(transactionId, errorMessage)) || transaction;
+  } catch (error) {
+    logger.error(`Failed to fail transaction ${transactionId}: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * Check whether a transaction that hit an error was broadcast and may have gone through
+ * Errors after the broadcast, e.g. while recording the confirmation, don't mean it failed
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<boolean>} Whether it landed or may still land, so the next attempt should settle it
+ */
+const mayHaveLanded = async (transactionId) => {
+  const transaction = await TransactionModel.findById(transactionId);
+  
+  if (!transaction || transaction.status !== 'submitted') {
+    return false;
+  }
+  
+  const outcome = await getSubmittedOutcome(transaction);
+  return outcome.state === 'confirmed' || outcome.state === 'pending';
+};
+
 /**
  * Execute a transaction on the Solana blockchain
+ * Safe to call again for the same transaction: a transfer that was already broadcast is only
+ * rebuilt once its blockhash has expired without it landing
  * @param {string} transactionId - Transaction ID
  * @returns {Promise<Object>} The updated transaction
+ * @throws {Error} With `retryable: true` when a later attempt may succeed
  */
 const executeTransaction = async (transactionId) => {
   try {
@@ -228,62 +885,126 @@ const executeTransaction = async (transactionId) => {
       throw new Error('Transaction not found');
     }
     
-    if (transaction.status !== 'pending') {
-      throw new Error(`Transaction is already ${transaction.status}`);
+    if (transaction.status === 'confirmed' || transaction.status === 'failed') {
+      return transaction;
+    }
+    
+    if (transaction.status === 'held') {
+      if (!transaction.releaseAt) {
+        logger.warn(`Transaction ${transactionId} is held for review, not executing it`);
+        return transaction;
+      }
+      
+      // Ledger transfers only needed to wait; they settle without touching the chain
+      if (transaction.rail === 'ledger') {
+        return await settleHeldLedgerTransfer(transaction);
+      }
     }
     
-    // Find sender and recipient
+    // A previous attempt already broadcast this transfer
+    if (transaction.status === 'submitted') {
+      const outcome = await getSubmittedOutcome(transaction);
+      
+      if (outcome.state === 'confirmed') {
+        return await finalizeTransaction(transaction);
+      }
+      
+      if (outcome.state === 'failed') {
+        throw new Error(`Transfer failed on-chain: ${outcome.error}`);
+      }
+      
+      if (outcome.state === 'pending') {
+        const error = new Error('Transfer is still waiting for confirmation');
+        error.retryable = true;
+        throw error;
+      }
+      
+      logger.warn(`Transaction ${transactionId} expired without landing, resubmitting`);
+    }
+    
+    // Find sender and recipient (escrow payments go to the master wallet, withdrawals to an external address)
     const sender = await User.findById(transaction.sender);
-    const recipient = await User.findById(transaction.recipient);
+    const hasRecipient = !transaction.escrow && transaction.kind !== 'withdrawal';
+    const recipient = hasRecipient ? await User.findById(transaction.recipient) : null;
     
-    if (!sender || !recipient) {
+    if (!sender || (hasRecipient && !recipient)) {
       throw new Error('Sender or recipient not found');
     }
     
+    let destinationAddress;
+    if (transaction.kind === 'withdrawal') {
+      destinationAddress = transaction.counterparty;
+    } else if (transaction.escrow) {
+      destinationAddress = walletUtils.getMasterWallet().publicKey;
+    } else {
+      destinationAddress = recipient.walletAddress;
+    }
+    
     // Decrypt sender wallet
-    const senderWallet = walletUtils.decryptWallet(sender.encryptedWalletKey);
-    
-    // Execute transfer based on token
-    let signature;
-    if (transaction.token === 'SOL') {
-      signature = await transferSol(
-        senderWallet,
-        recipient.walletAddress,
-        transaction.amount
-      );
+    const senderWallet = await walletUtils.decryptWallet(sender);
+    
+    // The master wallet pays network fees while the sender's sponsorship budget lasts.
+    // Budget is reserved once per transaction, not once per attempt.
+    let feePayer = null;
+    if (transaction.sponsoredLamports > 0) {
+      feePayer = walletUtils.getMasterWallet();
     } else {
-      signature = await transferToken(
-        senderWallet,
-        recipient.walletAddress,
-        transaction.amount,
+      const sponsorship = await sponsorshipService.getFeePayer(
+        sender,
+        destinationAddress,
         transaction.token
       );
+      feePayer = sponsorship.feePayer;
+      transaction.sponsoredLamports = sponsorship.sponsoredLamports;
+      
+      // Save the reservation right away, so a retry reuses it and a failure before broadcast releases it
+      if (transaction.sponsoredLamports > 0) {
+        try {
+          await transaction.save();
+        } catch (saveError) {
+          await sponsorshipService.releaseSponsorship(sender._id, sponsorship.sponsoredLamports);
+          throw saveError;
+        }
+      }
     }
     
-    // Update transaction status
-    transaction.status = 'completed';
-    transaction.signature = signature;
-    transaction.completedAt = Date.now();
-    await transaction.save();
-    
-    // Update balances for both users
-    await updateUserBalances(sender._id);
-    await updateUserBalances(recipient._id);
+    const { transaction: transfer, signers } = buildTransfer(
+      senderWallet,
+      destinationAddress,
+      transaction.amount,
+      transaction.token,
+      { feePayer, fee: transaction.fee }
+    );
     
-    logger.info(`Completed transaction ${transactionId}`);
+    // Record the signature before broadcasting so a retry can tell whether it landed
+    await submitTransfer(transfer, signers, async ({ signature, lastValidBlockHeight }) => {
+      transaction.status = 'submitted';
+      transaction.signature = signature;
+      transaction.lastValidBlockHeight = lastValidBlockHeight;
+      transaction.submittedAt = Date.now();
+      await transaction.save();
+      
+      logger.info(`Submitting transaction ${transactionId}. Signature: ${signature}`);
+    });
     
-    return transaction;
+    return await finalizeTransaction(transaction);
   } catch (error) {
-    // Update transaction status to failed
-    try {
-      const transaction = await TransactionModel.findById(transactionId);
-      if (transaction) {
-        transaction.status = 'failed';
-        transaction.errorMessage = error.message;
-        await transaction.save();
+    if (error.retryable === undefined) {
+      error.retryable = isTransientError(error);
+    }
+    
+    if (!error.retryable) {
+      try {
+        error.retryable = await mayHaveLanded(transactionId);
+        
+        if (!error.retryable) {
+          await markTransactionFailed(transactionId, error.message);
+        }
+      } catch (updateError) {
+        // Without knowing what happened on-chain, try again rather than fail a transfer that may have landed
+        error.retryable = true;
+        logger.error(`Failed to update transaction status: ${updateError.message}`);
       }
-    } catch (updateError) {
-      logger.error(`Failed to update transaction status: ${updateError.message}`);
     }
     
     logger.error(`Failed to execute transaction ${transactionId}: ${error.message}`);
@@ -291,34 +1012,55 @@ const executeTransaction = async (transactionId) => {
   }
 };
 
+/**
+ * Save a pending transfer with a new confirmation code
+ * @param {Object} fields - Pending transaction fields
+ * @returns {Promise<Object>} The saved pending transaction
+ */
+const savePendingTransaction = async (fields) => {
+  // Generate a random confirmation code
+  const confirmationCode = generateConfirmationCode();
+  
+  // Create pending transaction that expires in 5 minutes
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + 5);
+  
+  const pendingTransaction = new PendingTransaction({
+    ...fields,
+    confirmationCode,
+    expiresAt,
+  });
+  
+  return pendingTransaction.save();
+};
+
 /**
  * Create a pending transaction that needs confirmation
  * @param {string} senderPhone - Sender phone number
  * @param {string} recipientPhone - Recipient phone number
- * @param {number} amount - Amount to send
+ * @param {number} amount - Amount to send in the token's smallest unit
  * @param {string} token - Token symbol
+ * @param {string} [recipientName] - Contact nickname the sender used for the recipient
  * @returns {Promise<Object>} The pending transaction with confirmation code
  */
-const createPendingTransaction = async (senderPhone, recipientPhone, amount, token) => {
+const createPendingTransaction = async (senderPhone, recipientPhone, amount, token, recipientName) => {
   try {
-    // Generate a random confirmation code
-    const confirmationCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    const sender = await User.findOne({ phoneNumber: senderPhone });
+    if (!sender) {
+      throw new Error('Sender not found');
+    }
     
-    // Create pending transaction that expires in 5 minutes
-    const expiresAt = new Date();
-    expiresAt.setMinutes(expiresAt.getMinutes() + 5);
+    // Refuse before asking for confirmation rather than after
+    await limitService.checkLimits(sender, token, amount);
     
-    const pendingTransaction = new PendingTransaction({
+    const pendingTransaction = await savePendingTransaction({
       senderPhone,
       recipientPhone,
+      recipientName,
       amount,
       token,
-      confirmationCode,
-      expiresAt,
     });
-    
-    await pendingTransaction.save();
-    logger.info(`Created pending transaction with code ${confirmationCode}`);
+    logger.info(`Created pending transaction with code ${pendingTransaction.confirmationCode}`);
     
     return pendingTransaction;
   } catch (error) {
@@ -328,39 +1070,321 @@ const createPendingTransaction = async (senderPhone, recipientPhone, amount, tok
 };
 
 /**
- * Confirm and execute a pending transaction
+ * Create a pending withdrawal that needs confirmation
+ * @param {string} senderPhone - Sender phone number
+ * @param {string} destinationAddress - Destination wallet address
+ * @param {number} amount - Amount to send in the token's smallest unit
+ * @param {string} token - Token symbol
+ * @returns {Promise<Object>} The pending withdrawal with confirmation code
+ */
+const createPendingWithdrawal = async (senderPhone, destinationAddress, amount, token) => {
+  try {
+    const sender = await User.findOne({ phoneNumber: senderPhone });
+    if (!sender) {
+      throw new Error('Sender not found');
+    }
+    
+    checkWithdrawalAddress(sender, destinationAddress);
+    
+    await limitService.checkLimits(sender, token, amount);
+    
+    const pendingWithdrawal = await savePendingTransaction({
+      senderPhone,
+      destinationAddress,
+      amount,
+      token,
+    });
+    logger.info(`Created pending withdrawal with code ${pendingWithdrawal.confirmationCode}`);
+    
+    return pendingWithdrawal;
+  } catch (error) {
+    logger.error(`Failed to create pending withdrawal: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Confirm a pending transaction, settling it on the ledger or queueing it for execution
+ * The transaction and its job are created together; see queueExecution
  * @param {string} senderPhone - Sender phone number
  * @param {string} confirmationCode - The confirmation code
- * @returns {Promise<Object>} The completed transaction
+ * @returns {Promise<Object>} The confirmed or queued transaction
  */
 const confirmTransaction = async (senderPhone, confirmationCode) => {
   try {
-    // Find pending transaction
-    const pendingTx = await PendingTransaction.findOne({
+    // Claim the pending transaction atomically so it can only be executed once
+    const pendingTx = await PendingTransaction.findOneAndDelete({
       senderPhone,
       confirmationCode: confirmationCode.toUpperCase(),
+      expiresAt: { $gt: new Date() },
     });
     
     if (!pendingTx) {
       throw new Error('Invalid confirmation code or expired transaction');
     }
     
-    // Create and execute the transaction
-    const transaction = await createTransaction(
-      pendingTx.senderPhone,
-      pendingTx.recipientPhone,
-      pendingTx.amount,
-      pendingTx.token
-    );
+    // Create the transaction, queued for the transfer workers unless it settled on the ledger
+    const transaction = pendingTx.destinationAddress
+      ? await createWithdrawal(
+        pendingTx.senderPhone,
+        pendingTx.destinationAddress,
+        pendingTx.amount,
+        pendingTx.token
+      )
+      : await createTransaction(
+        pendingTx.senderPhone,
+        pendingTx.recipientPhone,
+        pendingTx.amount,
+        pendingTx.token
+      );
     
-    const completedTransaction = await executeTransaction(transaction._id);
+    return transaction;
+  } catch (error) {
+    logger.error(`Failed to confirm transaction: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a sender's pending transactions that haven't expired yet
+ * @param {string} senderPhone - Sender phone number
+ * @returns {Promise<Array<Object>>} The pending transactions, newest first
+ */
+const getActivePendingTransactions = async (senderPhone) => {
+  try {
+    return await PendingTransaction.find({
+      senderPhone,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+  } catch (error) {
+    logger.error(`Failed to get pending transactions: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a pending transaction
+ * @param {string} senderPhone - Sender phone number
+ * @param {string} confirmationCode - The confirmation code
+ * @returns {Promise<Object>} The cancelled pending transaction
+ */
+const cancelPendingTransaction = async (senderPhone, confirmationCode) => {
+  try {
+    const pendingTx = await PendingTransaction.findOneAndDelete({
+      senderPhone,
+      confirmationCode: confirmationCode.toUpperCase(),
+      expiresAt: { $gt: new Date() },
+    });
     
-    // Remove the pending transaction
-    await pendingTx.remove();
+    if (!pendingTx) {
+      throw new Error('Invalid confirmation code or expired transaction');
+    }
     
-    return completedTransaction;
+    logger.info(`Cancelled pending transaction with code ${pendingTx.confirmationCode}`);
+    return pendingTx;
   } catch (error) {
-    logger.error(`Failed to confirm transaction: ${error.message}`);
+    logger.error(`Failed to cancel pending transaction: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Release a transfer held for review by its risk assessment
+ * @param {string} transactionId - Transaction ID
+ * @param {string} actor - Who approved it
+ * @returns {Promise<Object>} The released transaction
+ */
+const approveHeldTransaction = async (transactionId, actor) => {
+  try {
+    // Transfers in a cooling-off period already have a job waiting for them
+    const transaction = await runInTransaction(async (session) => {
+      const released = await TransactionModel.findOneAndUpdate(
+        { _id: transactionId, status: 'held', releaseAt: null },
+        { releaseAt: Date.now() },
+        { session, new: true }
+      );
+      
+      if (released) {
+        await queueExecution(released, session);
+      }
+      
+      return released;
+    });
+    
+    if (!transaction) {
+      throw new Error('Held transaction not found');
+    }
+    
+    await riskService.recordReview(transaction.riskAssessment, 'approved', actor);
+    
+    logger.info(`Released held transaction ${transactionId}`);
+    return transaction;
+  } catch (error) {
+    logger.error(`Failed to approve held transaction: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a transfer held by its risk assessment, giving the reserved amount back to the sender
+ * @param {string} transactionId - Transaction ID
+ * @param {string} actor - Who rejected it
+ * @returns {Promise<Object>} The failed transaction
+ */
+const rejectHeldTransaction = async (transactionId, actor) => {
+  try {
+    const held = await TransactionModel.findOne({ _id: transactionId, status: 'held' });
+    const transaction = held && await markTransactionFailed(transactionId, HELD_TRANSFER_REJECTED);
+    
+    if (!transaction) {
+      throw new Error('Held transaction not found');
+    }
+    
+    await riskService.recordReview(transaction.riskAssessment, 'rejected', actor);
+    return transaction;
+  } catch (error) {
+    logger.error(`Failed to reject held transaction: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Stop every transfer a sender has held by risk checks, as the cooling-off notice promises after a PIN reset
+ * Held transfers haven't moved any money, so they can be failed outright
+ * @param {string} userId - Sender user ID
+ * @returns {Promise<Array<Object>>} The stopped transactions
+ */
+const cancelHeldTransactions = async (userId) => {
+  try {
+    const held = await TransactionModel.find({ sender: userId, status: 'held' }, '_id');
+    const cancelled = [];
+    
+    for (const { _id } of held) {
+      const transaction = await markTransactionFailed(_id, HELD_TRANSFER_CANCELLED);
+      if (transaction) {
+        cancelled.push(transaction);
+      }
+    }
+    
+    if (cancelled.length > 0) {
+      logger.info(`Cancelled ${cancelled.length} held transactions for user ${userId} after a PIN reset`);
+    }
+    
+    return cancelled;
+  } catch (error) {
+    logger.error(`Failed to cancel held transactions: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * List transactions with filtering and pagination
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.phoneNumber] - Only transactions sent or received by this phone number
+ * @param {string|Array<string>} [filters.status] - Transaction status, or any of several
+ * @param {string} [filters.kind] - transfer, deposit or withdrawal
+ * @param {string} [filters.token] - Token symbol
+ * @param {Date} [filters.from] - Created on or after this date
+ * @param {Date} [filters.to] - Created on or before this date
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.page - Page number, starting at 1
+ * @param {number} pagination.limit - Page size
+ * @returns {Promise<Object>} The matching transactions and pagination info
+ */
+const listTransactions = async (filters = {}, { page = 1, limit = 20 } = {}) => {
+  try {
+    const query = {};
+    
+    if (filters.phoneNumber) {
+      query.$or = [
+        { senderPhone: filters.phoneNumber },
+        { recipientPhone: filters.phoneNumber },
+      ];
+    }
+    
+    if (filters.status) {
+      query.status = Array.isArray(filters.status) ? { $in: filters.status } : filters.status;
+    }
+    
+    if (filters.kind) {
+      query.kind = filters.kind;
+    }
+    
+    if (filters.token) {
+      query.token = filters.token;
+    }
+    
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) {
+        query.createdAt.$gte = filters.from;
+      }
+      if (filters.to) {
+        query.createdAt.$lte = filters.to;
+      }
+    }
+    
+    const [transactions, total] = await Promise.all([
+      TransactionModel.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TransactionModel.countDocuments(query),
+    ]);
+    
+    return {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Failed to list transactions: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the most recent transactions sent or received by a user
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {number} count - Number of transactions to return
+ * @returns {Promise<Array<Object>>} The transactions, newest first
+ */
+const getRecentTransactions = async (phoneNumber, count) => {
+  try {
+    return await TransactionModel.find({
+      $or: [
+        { senderPhone: phoneNumber },
+        { recipientPhone: phoneNumber },
+      ],
+    })
+      .sort({ createdAt: -1 })
+      .limit(count);
+  } catch (error) {
+    logger.error(`Failed to get recent transactions: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a transaction by ID
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Object>} The transaction
+ */
+const getTransactionById = async (transactionId) => {
+  try {
+    const transaction = await TransactionModel.findById(transactionId);
+    
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+    
+    return transaction;
+  } catch (error) {
+    logger.error(`Failed to get transaction: ${error.message}`);
     throw error;
   }
 };
@@ -369,8 +1393,25 @@ module.exports = {
   updateUserBalances,
   transferSol,
   transferToken,
+  transferFunds,
+  buildTransfer,
+  submitTransfer,
+  getSubmittedOutcome,
+  isTransientError,
   createTransaction,
+  createWithdrawal,
   executeTransaction,
+  failTransaction,
   createPendingTransaction,
+  createPendingWithdrawal,
   confirmTransaction,
+  getActivePendingTransactions,
+  cancelPendingTransaction,
+  approveHeldTransaction,
+  rejectHeldTransaction,
+  cancelHeldTransactions,
+  listTransactions,
+  getRecentTransactions,
+  getTransactionById,
+  EXECUTE_TRANSACTION_JOB,
 }; 
\ No newline at end of file
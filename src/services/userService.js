@@ -1,8 +1,18 @@
+const crypto = require('crypto');
 const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
 const walletUtils = require('../utils/wallet');
+const tokenRegistry = require('../utils/tokenRegistry');
 const encryption = require('../utils/encryption');
+const i18n = require('../utils/i18n');
 const logger = require('../utils/logger');
 const transactionService = require('./transactionService');
+const balanceService = require('./balanceService');
+const { getInitialCursors } = require('../depositSources');
+const config = require('../../config/config');
+
+// Maximum number of saved contacts per user
+const MAX_CONTACTS = 20;
 
 /**
  * Register a new user with phone number and PIN
@@ -24,7 +34,12 @@ const registerUser = async (phoneNumber, pin) => {
     
     if (!user) {
       // Create a new wallet for the user
-      const { encryptedSecretKey, publicKey } = walletUtils.createEncryptedWallet();
+      const {
+        encryptedSecretKey,
+        wrappedDataKey,
+        keyVersion,
+        publicKey,
+      } = await walletUtils.createEncryptedWallet();
       
       // Hash the PIN
       const hashedPin = encryption.hashPin(pin);
@@ -33,6 +48,10 @@ const registerUser = async (phoneNumber, pin) => {
       user = new User({
         phoneNumber,
         encryptedWalletKey: encryptedSecretKey,
+        walletDataKey: wrappedDataKey,
+        walletKeyVersion: keyVersion,
+        // The wallet is new, so every deposit into it is reported, the first one included
+        depositCursors: getInitialCursors(),
         walletAddress: publicKey,
         pin: hashedPin,
         isVerified: true,
@@ -50,8 +69,13 @@ const registerUser = async (phoneNumber, pin) => {
       logger.info(`Updated existing user with phone number ${phoneNumber}`);
     }
     
-    // Update user balances (this will pull actual on-chain balances)
-    await transactionService.updateUserBalances(user._id);
+    // Update user balances (this will pull actual on-chain balances). The user is already
+    // saved, so a failed read is logged rather than failing the registration
+    try {
+      await transactionService.updateUserBalances(user._id);
+    } catch (error) {
+      logger.error(`Failed to refresh balances for new user ${phoneNumber}: ${error.message}`);
+    }
     
     return user;
   } catch (error) {
@@ -60,8 +84,56 @@ const registerUser = async (phoneNumber, pin) => {
   }
 };
 
+/**
+ * Record an account lock, unlock, tier change or PIN reset code for support to review
+ * @param {Object} user - User document
+ * @param {string} type - Event type (account_locked, account_unlocked, tier_changed or pin_reset_requested)
+ * @param {string} reason - Why the event happened
+ * @param {string} [actor] - Who triggered the event
+ * @returns {Promise<Object>} The recorded event
+ */
+const recordSecurityEvent = async (user, type, reason, actor = 'system') => {
+  return SecurityEvent.create({
+    user: user._id,
+    phoneNumber: user.phoneNumber,
+    type,
+    reason,
+    lockedUntil: user.lockedUntil,
+    lockoutCount: user.lockoutCount,
+    tier: user.tier,
+    actor,
+  });
+};
+
+/**
+ * Format a lockout end time for SMS
+ * @param {Date} date - The time the lockout ends
+ * @returns {string} The formatted time, e.g. "2024-03-05 14:30 UTC"
+ */
+const formatLockTime = (date) => {
+  return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+};
+
+/**
+ * Clear a lockout whose window has passed
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const clearExpiredLock = async (user) => {
+  if (!user.lockedUntil || user.isLocked) {
+    return;
+  }
+  
+  user.lockedUntil = null;
+  user.pinFailAttempts = 0;
+  await user.save();
+  await recordSecurityEvent(user, 'account_unlocked', 'lock_expired');
+  logger.info(`Lockout expired for ${user.phoneNumber}`);
+};
+
 /**
  * Verify a user's PIN
+ * Too many failures lock the account for a window that doubles on each repeat lockout
  * @param {string} phoneNumber - Phone number with country code
  * @param {string} pin - User's PIN
  * @returns {Promise<boolean>} Whether the PIN is correct
@@ -75,19 +147,37 @@ const verifyUserPin = async (phoneNumber, pin) => {
     }
     
     if (user.isLocked) {
-      throw new Error('Account is locked due to too many failed attempts');
+      throw i18n.keyedError(
+        'Account is locked due to too many failed attempts. Try again after {time} or text RESET.',
+        { time: formatLockTime(user.lockedUntil) }
+      );
     }
     
+    await clearExpiredLock(user);
+    
     const isPinValid = encryption.verifyPin(pin, user.pin);
     
     if (!isPinValid) {
       // Increment PIN failure attempts
       user.pinFailAttempts += 1;
       
-      // Lock account after 5 failed attempts
-      if (user.pinFailAttempts >= 5) {
-        user.isLocked = true;
-        logger.warn(`Account locked for ${phoneNumber} due to too many failed PIN attempts`);
+      if (user.pinFailAttempts >= config.security.pinMaxAttempts) {
+        const lockMinutes = Math.min(
+          config.security.lockoutBaseMinutes * 2 ** user.lockoutCount,
+          config.security.lockoutMaxMinutes
+        );
+        
+        user.lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+        user.lockoutCount += 1;
+        user.pinFailAttempts = 0;
+        await user.save();
+        await recordSecurityEvent(user, 'account_locked', 'pin_failures');
+        
+        logger.warn(`Account locked for ${phoneNumber} for ${lockMinutes} minutes due to too many failed PIN attempts`);
+        throw i18n.keyedError(
+          'Too many wrong PINs. Your account is locked until {time}. Text RESET to unlock it sooner.',
+          { time: formatLockTime(user.lockedUntil) }
+        );
       }
       
       await user.save();
@@ -95,8 +185,14 @@ const verifyUserPin = async (phoneNumber, pin) => {
       return false;
     }
     
-    // Reset PIN failure attempts on successful verification
+    // Replace a hash from before salted PIN hashing now that the PIN is known
+    if (encryption.isLegacyPinHash(user.pin)) {
+      user.pin = encryption.hashPin(pin);
+    }
+    
+    // Reset PIN failures and lockout escalation on successful verification
     user.pinFailAttempts = 0;
+    user.lockoutCount = 0;
     user.lastActivity = Date.now();
     await user.save();
     
@@ -128,7 +224,23 @@ const getUserByPhone = async (phoneNumber) => {
 };
 
 /**
- * Get user token balances
+ * Add a user's unsettled ledger positions to their on-chain balances
+ * @param {Object} user - User document
+ * @returns {Object} Total balances keyed by token
+ */
+const getTotalBalances = (user) => {
+  const totals = {};
+  
+  for (const token of tokenRegistry.getSymbols()) {
+    totals[token] = (user.tokenBalances[token] || 0) + ((user.ledgerPositions && user.ledgerPositions[token]) || 0);
+  }
+  
+  return totals;
+};
+
+/**
+ * Get user token balances, including transfers not yet settled on-chain
+ * Cached balances are used unless they are older than BALANCE_MAX_AGE_SECONDS
  * @param {string} phoneNumber - Phone number with country code
  * @returns {Promise<Object>} Object with token balances
  */
@@ -136,22 +248,423 @@ const getUserBalances = async (phoneNumber) => {
   try {
     const user = await getUserByPhone(phoneNumber);
     
+    if (!balanceService.isStale(user)) {
+      return getTotalBalances(user);
+    }
+    
     // Update balances from blockchain to ensure they're current
     await transactionService.updateUserBalances(user._id);
     
     // Get updated user
     const updatedUser = await User.findById(user._id);
     
-    return updatedUser.tokenBalances;
+    return getTotalBalances(updatedUser);
   } catch (error) {
     logger.error(`Failed to get balances: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * Get user token balances split into available and reserved amounts
+ * Reserved amounts belong to transfers that are confirmed but not yet settled
+ * @param {string} phoneNumber - Phone number with country code
+ * @returns {Promise<Object>} { available, reserved } objects keyed by token
+ */
+const getBalanceSummary = async (phoneNumber) => {
+  try {
+    const balances = await getUserBalances(phoneNumber);
+    const user = await getUserByPhone(phoneNumber);
+    
+    const available = {};
+    const reserved = {};
+    for (const token of tokenRegistry.getSymbols()) {
+      reserved[token] = user.reservedBalances[token] || 0;
+      available[token] = Math.max(balances[token] - reserved[token], 0);
+    }
+    
+    return { available, reserved };
+  } catch (error) {
+    logger.error(`Failed to get balance summary: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Unlock an account that was locked after too many failed PIN attempts
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} [actor] - Who unlocked the account
+ * @returns {Promise<Object>} The updated user
+ */
+const unlockUser = async (phoneNumber, actor = 'admin') => {
+  try {
+    const user = await getUserByPhone(phoneNumber);
+    const wasLocked = user.isLocked;
+    
+    user.lockedUntil = null;
+    user.pinFailAttempts = 0;
+    await user.save();
+    
+    if (wasLocked) {
+      await recordSecurityEvent(user, 'account_unlocked', 'admin', actor);
+    }
+    
+    logger.info(`Unlocked account for ${phoneNumber}`);
+    return user;
+  } catch (error) {
+    logger.error(`Failed to unlock user: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Move a user to another account tier, changing their spending limits
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} tier - The new tier
+ * @param {string} [actor] - Who changed the tier
+ * @returns {Promise<Object>} The updated user
+ */
+const setUserTier = async (phoneNumber, tier, actor = 'admin') => {
+  try {
+    const user = await getUserByPhone(phoneNumber);
+    const previousTier = user.tier;
+    
+    user.tier = tier;
+    await user.save();
+    
+    if (previousTier !== tier) {
+      await recordSecurityEvent(user, 'tier_changed', 'admin', actor);
+    }
+    
+    logger.info(`Moved ${phoneNumber} from the ${previousTier} tier to ${tier}`);
+    return user;
+  } catch (error) {
+    logger.error(`Failed to set user tier: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the lock, unlock and tier history of a user
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {number} [limit] - Maximum number of events to return
+ * @returns {Promise<Array<Object>>} The events, newest first
+ */
+const getSecurityEvents = async (phoneNumber, limit = 50) => {
+  try {
+    return await SecurityEvent.find({ phoneNumber })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  } catch (error) {
+    logger.error(`Failed to get security events: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a registered user by phone number
+ * @param {string} phoneNumber - Phone number with country code
+ * @returns {Promise<Object>} The user object
+ */
+const getRegisteredUser = async (phoneNumber) => {
+  const user = await User.findOne({ phoneNumber });
+  
+  if (!user || !user.isVerified) {
+    throw new Error('You are not registered. Text REGISTER <PIN> to create a wallet.');
+  }
+  
+  return user;
+};
+
+/**
+ * Change a user's PIN
+ * The current PIN must already have been verified with verifyUserPin
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} newPin - The new PIN
+ * @returns {Promise<Object>} The updated user
+ */
+const changePin = async (phoneNumber, newPin) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    
+    user.pin = encryption.hashPin(newPin);
+    user.pinChangedAt = Date.now();
+    user.lastActivity = Date.now();
+    await user.save();
+    
+    logger.info(`Changed PIN for ${phoneNumber}`);
+    return user;
+  } catch (error) {
+    logger.error(`Failed to change PIN: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Check that a user may be sent another PIN reset code
+ * Codes are spaced out and capped per period, so asking for new codes can't be used to keep guessing
+ * @param {Object} user - User document
+ * @returns {Promise<number>} Number of codes already issued in the current period
+ */
+const checkPinResetAllowance = async (user) => {
+  const periodMs = config.security.pinResetPeriodHours * 60 * 60 * 1000;
+  const requests = await SecurityEvent.find({
+    phoneNumber: user.phoneNumber,
+    type: 'pin_reset_requested',
+    createdAt: { $gt: new Date(Date.now() - periodMs) },
+  }).sort({ createdAt: 1 });
+  
+  if (requests.length === 0) {
+    return 0;
+  }
+  
+  const cooldownMs = config.security.pinResetCooldownMinutes * 60 * 1000;
+  const waitMs = requests[requests.length - 1].createdAt.getTime() + cooldownMs - Date.now();
+  
+  if (waitMs > 0) {
+    throw i18n.keyedError(
+      'A reset code was sent recently. Wait {minutes} minutes before asking for another.',
+      { minutes: Math.ceil(waitMs / 60000) }
+    );
+  }
+  
+  if (requests.length >= config.security.pinResetMaxCodes) {
+    throw i18n.keyedError(
+      'Too many reset codes requested. Try again after {time}.',
+      { time: formatLockTime(new Date(requests[0].createdAt.getTime() + periodMs)) }
+    );
+  }
+  
+  return requests.length;
+};
+
+/**
+ * Start a PIN reset by issuing a one-time code
+ * Only a hash of the code is stored; the code itself must be sent to the user by SMS
+ * @param {string} phoneNumber - Phone number with country code
+ * @returns {Promise<string>} The one-time reset code
+ */
+const requestPinReset = async (phoneNumber) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    const recentCodes = await checkPinResetAllowance(user);
+    
+    const resetCode = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    
+    const expiresAt = new Date();
+    expiresAt.setMinutes(expiresAt.getMinutes() + config.security.pinResetCodeTtlMinutes);
+    
+    user.pinResetCode = encryption.hashPin(resetCode);
+    user.pinResetExpiresAt = expiresAt;
+    
+    // Wrong codes keep counting across the codes of a period; only a new period starts afresh
+    if (recentCodes === 0) {
+      user.pinResetAttempts = 0;
+    }
+    
+    await user.save();
+    await recordSecurityEvent(user, 'pin_reset_requested', 'pin_reset');
+    
+    logger.info(`Issued PIN reset code for ${phoneNumber}`);
+    return resetCode;
+  } catch (error) {
+    logger.error(`Failed to request PIN reset: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Complete a PIN reset with the one-time code
+ * Sets the new PIN and unlocks the account
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} resetCode - The one-time reset code
+ * @param {string} newPin - The new PIN
+ * @returns {Promise<Object>} The updated user
+ */
+const completePinReset = async (phoneNumber, resetCode, newPin) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    
+    if (!user.pinResetCode || !user.pinResetExpiresAt || user.pinResetExpiresAt < new Date()) {
+      throw new Error('No active PIN reset. Text RESET to get a new code.');
+    }
+    
+    if (!encryption.verifyPin(resetCode, user.pinResetCode)) {
+      user.pinResetAttempts += 1;
+      
+      // Invalidate the code after too many wrong guesses
+      if (user.pinResetAttempts >= config.security.pinResetMaxAttempts) {
+        user.pinResetCode = null;
+        user.pinResetExpiresAt = null;
+        await user.save();
+        logger.warn(`PIN reset code invalidated for ${phoneNumber} after too many attempts`);
+        throw new Error('Too many wrong codes. Text RESET to get a new code.');
+      }
+      
+      await user.save();
+      throw new Error('Invalid reset code');
+    }
+    
+    const wasLocked = user.isLocked;
+    
+    user.pin = encryption.hashPin(newPin);
+    user.pinChangedAt = Date.now();
+    user.pinResetCode = null;
+    user.pinResetExpiresAt = null;
+    user.pinResetAttempts = 0;
+    user.pinFailAttempts = 0;
+    user.lockedUntil = null;
+    user.lastActivity = Date.now();
+    await user.save();
+    
+    if (wasLocked) {
+      await recordSecurityEvent(user, 'account_unlocked', 'pin_reset');
+    }
+    
+    logger.info(`Reset PIN for ${phoneNumber}`);
+    return user;
+  } catch (error) {
+    logger.error(`Failed to reset PIN: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Set the language a user receives SMS in
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} locale - Locale code (e.g. 'sw')
+ * @returns {Promise<Object>} The updated user
+ */
+const setLanguage = async (phoneNumber, locale) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    
+    user.language = locale;
+    user.lastActivity = Date.now();
+    await user.save();
+    
+    logger.info(`Set language for ${phoneNumber} to ${locale}`);
+    return user;
+  } catch (error) {
+    logger.error(`Failed to set language: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Save a contact nickname, replacing any existing contact with the same name
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} name - Contact nickname
+ * @param {string} contactPhone - Contact phone number
+ * @returns {Promise<Object>} The saved contact
+ */
+const saveContact = async (phoneNumber, name, contactPhone) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    const existing = user.contacts.find((contact) => contact.name === name);
+    
+    if (existing) {
+      existing.phoneNumber = contactPhone;
+    } else {
+      if (user.contacts.length >= MAX_CONTACTS) {
+        throw i18n.keyedError(
+          'You can save up to {count} contacts. Remove one with UNALIAS <NAME>.',
+          { count: MAX_CONTACTS }
+        );
+      }
+      user.contacts.push({ name, phoneNumber: contactPhone });
+    }
+    
+    user.lastActivity = Date.now();
+    await user.save();
+    
+    logger.info(`Saved contact ${name} for ${phoneNumber}`);
+    return user.contacts.find((contact) => contact.name === name);
+  } catch (error) {
+    logger.error(`Failed to save contact: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Remove a contact nickname
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} name - Contact nickname
+ * @returns {Promise<Object>} The removed contact
+ */
+const removeContact = async (phoneNumber, name) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    const contact = user.contacts.find((c) => c.name === name);
+    
+    if (!contact) {
+      throw new Error('Unknown contact. Text ALIASES to see your contacts.');
+    }
+    
+    user.contacts.pull(contact._id);
+    await user.save();
+    
+    logger.info(`Removed contact ${name} for ${phoneNumber}`);
+    return contact;
+  } catch (error) {
+    logger.error(`Failed to remove contact: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's saved contacts
+ * @param {string} phoneNumber - Phone number with country code
+ * @returns {Promise<Array<Object>>} The contacts, sorted by name
+ */
+const getContacts = async (phoneNumber) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    return [...user.contacts].sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    logger.error(`Failed to get contacts: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Resolve a contact nickname to a phone number
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} name - Contact nickname
+ * @returns {Promise<string>} The contact's phone number
+ */
+const resolveContact = async (phoneNumber, name) => {
+  try {
+    const user = await getRegisteredUser(phoneNumber);
+    const contact = user.contacts.find((c) => c.name === name);
+    
+    if (!contact) {
+      throw new Error('Unknown contact. Text ALIASES to see your contacts.');
+    }
+    
+    return contact.phoneNumber;
+  } catch (error) {
+    logger.error(`Failed to resolve contact: ${error.message}`);
+    throw error;
+  }
+};
+
 module.exports = {
   registerUser,
   verifyUserPin,
   getUserByPhone,
+  getTotalBalances,
   getUserBalances,
+  getBalanceSummary,
+  unlockUser,
+  setUserTier,
+  getSecurityEvents,
+  changePin,
+  requestPinReset,
+  completePinReset,
+  setLanguage,
+  saveContact,
+  removeContact,
+  getContacts,
+  resolveContact,
 }; 
\ No newline at end of file
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run work inside a MongoDB transaction, committing only if it all succeeds
+ * The work may be retried on transient transaction errors, so it must not have side effects
+ * outside the database. Requires MongoDB to run as a replica set.
+ * @param {function(Object): Promise<*>} work - Receives the session to pass to every query
+ * @returns {Promise<*>} What the work returned
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+};
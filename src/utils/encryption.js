@@ -1,40 +1,83 @@
+const crypto = require('crypto');
 const CryptoJS = require('crypto-js');
 const config = require('../../config/config');
 
+// AES-256-GCM: 32-byte keys, 12-byte IVs, 16-byte authentication tags
+const DATA_KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// PIN hashes are stored as scrypt$<salt>$<hash>; older ones are SHA-256 salted with ENCRYPTION_KEY
+const PIN_HASH_SCHEME = 'scrypt';
+const PIN_SALT_BYTES = 16;
+const PIN_HASH_BYTES = 32;
+
 /**
- * Encrypts a text using AES encryption
- * @param {string} text - The text to encrypt
- * @returns {string} The encrypted text
+ * Generate a random key for encrypting one secret
+ * @returns {Buffer} The key
  */
-const encrypt = (text) => {
-  if (!config.encryption.key) {
-    throw new Error('Encryption key is not set');
-  }
-  return CryptoJS.AES.encrypt(text, config.encryption.key).toString();
+const generateDataKey = () => crypto.randomBytes(DATA_KEY_BYTES);
+
+/**
+ * Encrypt data with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - The data to encrypt
+ * @returns {string} Base64 of the IV, authentication tag and ciphertext
+ */
+const encryptWithKey = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
 };
 
 /**
- * Decrypts an encrypted text using AES decryption
+ * Decrypt data encrypted with encryptWithKey
+ * @param {Buffer} key - 32-byte key
+ * @param {string} encrypted - Base64 of the IV, authentication tag and ciphertext
+ * @returns {Buffer} The decrypted data
+ */
+const decryptWithKey = (key, encrypted) => {
+  const data = Buffer.from(encrypted, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+/**
+ * Decrypt a text encrypted with the ENCRYPTION_KEY passphrase before envelope encryption
  * @param {string} ciphertext - The encrypted text
  * @returns {string} The decrypted text
  */
-const decrypt = (ciphertext) => {
-  if (!config.encryption.key) {
+const decryptLegacy = (ciphertext) => {
+  if (!config.encryption.legacyKey) {
     throw new Error('Encryption key is not set');
   }
-  const bytes = CryptoJS.AES.decrypt(ciphertext, config.encryption.key);
+  const bytes = CryptoJS.AES.decrypt(ciphertext, config.encryption.legacyKey);
   return bytes.toString(CryptoJS.enc.Utf8);
 };
 
 /**
- * Hash a PIN for secure storage
+ * Hash a PIN for secure storage, with a random salt
  * @param {string} pin - The PIN to hash
  * @returns {string} The hashed PIN
  */
 const hashPin = (pin) => {
-  return CryptoJS.SHA256(pin + config.encryption.key).toString();
+  const salt = crypto.randomBytes(PIN_SALT_BYTES);
+  const hash = crypto.scryptSync(pin, salt, PIN_HASH_BYTES);
+
+  return [PIN_HASH_SCHEME, salt.toString('base64'), hash.toString('base64')].join('$');
 };
 
+/**
+ * Check whether a stored PIN hash predates salted hashing and should be replaced
+ * @param {string} hashedPin - The stored hashed PIN
+ * @returns {boolean} Whether it is a legacy hash
+ */
+const isLegacyPinHash = (hashedPin) => !hashedPin.startsWith(`${PIN_HASH_SCHEME}$`);
+
 /**
  * Verify if a PIN matches the stored hash
  * @param {string} pin - The PIN to verify
@@ -42,12 +85,23 @@ const hashPin = (pin) => {
  * @returns {boolean} Whether the PIN matches
  */
 const verifyPin = (pin, hashedPin) => {
-  return hashPin(pin) === hashedPin;
+  if (isLegacyPinHash(hashedPin)) {
+    return CryptoJS.SHA256(pin + config.encryption.legacyKey).toString() === hashedPin;
+  }
+
+  const [, salt, hash] = hashedPin.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(pin, Buffer.from(salt, 'base64'), expected.length);
+
+  return crypto.timingSafeEqual(actual, expected);
 };
 
 module.exports = {
-  encrypt,
-  decrypt,
+  generateDataKey,
+  encryptWithKey,
+  decryptWithKey,
+  decryptLegacy,
   hashPin,
+  isLegacyPinHash,
   verifyPin,
-}; 
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+const config = require('../../config/config');
+
+// Template catalogs, keyed by locale code
+const catalogs = {
+  en: require('../locales/en'),
+  sw: require('../locales/sw'),
+  fr: require('../locales/fr'),
+  hi: require('../locales/hi'),
+};
+
+const supportedLocales = Object.keys(catalogs);
+
+// Localized command keywords from every catalog, mapped to the English keyword
+const keywordAliases = Object.values(catalogs).reduce(
+  (aliases, catalog) => Object.assign(aliases, catalog.keywords),
+  {}
+);
+
+/**
+ * Normalize a locale code, falling back to the default locale
+ * @param {string} [locale] - Locale code (e.g. 'fr' or 'FR')
+ * @returns {string} A supported locale code
+ */
+const resolveLocale = (locale) => {
+  const code = (locale || '').toLowerCase();
+  return catalogs[code] ? code : config.i18n.defaultLocale;
+};
+
+/**
+ * Check whether a locale code is supported
+ * @param {string} locale - Locale code
+ * @returns {boolean} Whether there is a catalog for the locale
+ */
+const isSupportedLocale = (locale) => {
+  return Boolean(locale) && supportedLocales.includes(locale.toLowerCase());
+};
+
+/**
+ * Fill the {placeholders} in a template, leaving unknown ones as they are
+ * @param {string} template - Template text
+ * @param {Object} [params] - Values for the placeholders
+ * @returns {string} The filled-in text
+ */
+const fillTemplate = (template, params = {}) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+};
+
+/**
+ * Render a message template
+ * Falls back to English when the locale has no template for the key
+ * @param {string} locale - Locale code
+ * @param {string} key - Message type
+ * @param {Object} [params] - Values for the {placeholders}
+ * @returns {string} The rendered message
+ */
+const t = (locale, key, params = {}) => {
+  const template = catalogs[resolveLocale(locale)].messages[key] || catalogs.en.messages[key];
+
+  if (template === undefined) {
+    throw new Error(`Missing SMS template: ${key}`);
+  }
+
+  return fillTemplate(template, params);
+};
+
+/**
+ * Create an error for users whose message includes values, e.g. a token symbol
+ * Catalogs translate it under its English template, e.g. 'Insufficient {token} balance'
+ * @param {string} template - English message with {placeholders}
+ * @param {Object} params - Values for the placeholders
+ * @returns {Error} Error with the filled-in English message, messageKey and messageParams
+ */
+const keyedError = (template, params) => {
+  const error = new Error(fillTemplate(template, params));
+  error.messageKey = template;
+  error.messageParams = params;
+  return error;
+};
+
+/**
+ * Get the key an error is translated under: its template if it has one, else its English text
+ * @param {string|Error} error - English error message, or an error
+ * @returns {string} The catalog key
+ */
+const getErrorKey = (error) => {
+  if (typeof error === 'string') {
+    return error;
+  }
+
+  return error.messageKey || error.message;
+};
+
+/**
+ * Translate an error message, keeping the English text when there is no translation
+ * @param {string} locale - Locale code
+ * @param {string|Error} error - English error message, or an error (e.g. from keyedError)
+ * @returns {string} The translated message
+ */
+const translateError = (locale, error) => {
+  const template = catalogs[resolveLocale(locale)].errors[getErrorKey(error)];
+
+  if (!template) {
+    return typeof error === 'string' ? error : error.message;
+  }
+
+  return fillTemplate(template, error.messageParams);
+};
+
+/**
+ * Check whether an error message was written for users, i.e. has translations
+ * @param {string|Error} error - English error message, or an error
+ * @returns {boolean} Whether any catalog translates the message
+ */
+const isKnownError = (error) => {
+  const key = getErrorKey(error);
+  return Object.values(catalogs).some((catalog) => Boolean(catalog.errors[key]));
+};
+
+/**
+ * Map a localized command keyword to its English equivalent
+ * @param {string} keyword - Keyword as typed by the user
+ * @returns {string|null} The English keyword, or null if it isn't an alias
+ */
+const resolveKeyword = (keyword) => {
+  return keywordAliases[keyword.toUpperCase()] || keywordAliases[keyword] || null;
+};
+
+module.exports = {
+  supportedLocales,
+  resolveLocale,
+  isSupportedLocale,
+  t,
+  keyedError,
+  translateError,
+  isKnownError,
+  resolveKeyword,
+};
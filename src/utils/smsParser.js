@@ -1,3 +1,7 @@
+const { PublicKey } = require('@solana/web3.js');
+const i18n = require('./i18n');
+const tokenRegistry = require('./tokenRegistry');
+
 /**
  * Parse REGISTER command
  * Format: REGISTER <PIN>
@@ -56,9 +60,33 @@ const parseBalance = (text) => {
   };
 };
 
+// Contact nicknames: a letter followed by up to 19 letters, digits, '-' or '_'
+const CONTACT_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,19}$/;
+
+/**
+ * Parse an amount in whole tokens into the token's smallest unit
+ * @param {string} token - Token symbol
+ * @param {string} amountStr - Amount as typed
+ * @returns {Object} { units } or { error }
+ */
+const parseTokenAmount = (token, amountStr) => {
+  try {
+    const units = tokenRegistry.parseAmount(token, amountStr);
+    
+    if (units <= 0) {
+      return { error: 'Invalid amount. It should be a number greater than 0.' };
+    }
+    
+    return { units };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
 /**
  * Parse SEND command
  * Format: SEND <RECIPIENT> <AMOUNT> <TOKEN> <PIN>
+ * The recipient is either a phone number or a saved contact nickname
  * @param {string} text - The SMS text
  * @returns {Object|null} Parsed command or null if invalid
  */
@@ -70,31 +98,32 @@ const parseSend = (text) => {
   }
   
   const [_, recipient, amountStr, token, pin] = parts;
-  const amount = parseFloat(amountStr);
   
-  // Recipient should be a phone number with country code (e.g., +1234567890)
-  if (!/^\+\d{7,15}$/.test(recipient)) {
+  // Recipient should be a phone number with country code (e.g., +1234567890) or a nickname
+  const isNickname = CONTACT_NAME_PATTERN.test(recipient);
+  if (!isNickname && !/^\+\d{7,15}$/.test(recipient)) {
     return {
       command: 'SEND',
       error: 'Invalid recipient phone number. It should include the country code (e.g., +1234567890).',
     };
   }
   
-  // Amount should be a valid number greater than 0
-  if (isNaN(amount) || amount <= 0) {
+  // Token should be one of the supported tokens
+  const supportedTokens = tokenRegistry.getEnabledSymbols();
+  const normalizedToken = token.toUpperCase();
+  if (!supportedTokens.includes(normalizedToken)) {
     return {
       command: 'SEND',
-      error: 'Invalid amount. It should be a number greater than 0.',
+      error: i18n.keyedError('Invalid token. Supported tokens are: {tokens}.', { tokens: supportedTokens.join(', ') }),
     };
   }
   
-  // Token should be one of the supported tokens
-  const supportedTokens = ['USDC', 'USDT', 'PYUSD', 'SOL'];
-  const normalizedToken = token.toUpperCase();
-  if (!supportedTokens.includes(normalizedToken)) {
+  // Amount should be a number greater than 0, in the token's smallest unit
+  const amount = parseTokenAmount(normalizedToken, amountStr);
+  if (amount.error) {
     return {
       command: 'SEND',
-      error: `Invalid token. Supported tokens are: ${supportedTokens.join(', ')}.`,
+      error: amount.error,
     };
   }
   
@@ -108,8 +137,85 @@ const parseSend = (text) => {
   
   return {
     command: 'SEND',
-    recipient,
-    amount,
+    recipient: isNickname ? undefined : recipient,
+    recipientName: isNickname ? recipient.toLowerCase() : undefined,
+    amount: amount.units,
+    token: normalizedToken,
+    pin,
+  };
+};
+
+/**
+ * Check that a string is a valid Solana address
+ * @param {string} address - Base58 encoded public key
+ * @returns {boolean} Whether the address is valid
+ */
+const isSolanaAddress = (address) => {
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return false;
+  }
+  
+  try {
+    new PublicKey(address);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse WITHDRAW command (for sending to an external Solana address)
+ * Format: WITHDRAW <ADDRESS> <AMOUNT> <TOKEN> <PIN>
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseWithdraw = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length !== 5 || parts[0].toUpperCase() !== 'WITHDRAW') {
+    return null;
+  }
+  
+  const [_, address, amountStr, token, pin] = parts;
+  
+  if (!isSolanaAddress(address)) {
+    return {
+      command: 'WITHDRAW',
+      error: 'Invalid Solana address.',
+    };
+  }
+  
+  // Token should be one of the supported tokens
+  const supportedTokens = tokenRegistry.getEnabledSymbols();
+  const normalizedToken = token.toUpperCase();
+  if (!supportedTokens.includes(normalizedToken)) {
+    return {
+      command: 'WITHDRAW',
+      error: i18n.keyedError('Invalid token. Supported tokens are: {tokens}.', { tokens: supportedTokens.join(', ') }),
+    };
+  }
+  
+  // Amount should be a number greater than 0, in the token's smallest unit
+  const amount = parseTokenAmount(normalizedToken, amountStr);
+  if (amount.error) {
+    return {
+      command: 'WITHDRAW',
+      error: amount.error,
+    };
+  }
+  
+  // PIN should be 4-6 digits
+  if (!/^\d{4,6}$/.test(pin)) {
+    return {
+      command: 'WITHDRAW',
+      error: 'Invalid PIN. It should be 4-6 digits.',
+    };
+  }
+  
+  return {
+    command: 'WITHDRAW',
+    address,
+    amount: amount.units,
     token: normalizedToken,
     pin,
   };
@@ -173,22 +279,374 @@ const parseHelp = (text) => {
 
 /**
  * Parse YES command (for confirming transactions)
- * Format: YES
+ * Format: YES [CONFIRMATION_CODE]
  * @param {string} text - The SMS text
  * @returns {Object|null} Parsed command or null if invalid
  */
 const parseYes = (text) => {
-  const trimmed = text.trim().toUpperCase();
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length > 2 || parts[0].toUpperCase() !== 'YES') {
+    return null;
+  }
+  
+  const confirmationCode = parts[1];
   
-  if (trimmed === 'YES') {
+  // Confirmation code is optional, but must be alphanumeric when given
+  if (confirmationCode !== undefined && !/^[a-zA-Z0-9]{4,8}$/.test(confirmationCode)) {
     return {
       command: 'YES',
+      error: 'Invalid confirmation code.',
+    };
+  }
+  
+  return {
+    command: 'YES',
+    confirmationCode,
+  };
+};
+
+/**
+ * Parse NO / CANCEL command (for cancelling pending transactions)
+ * Format: NO [CONFIRMATION_CODE] or CANCEL [CONFIRMATION_CODE]
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseCancel = (text) => {
+  const parts = text.trim().split(/\s+/);
+  const keyword = parts[0].toUpperCase();
+  
+  if (parts.length > 2 || (keyword !== 'NO' && keyword !== 'CANCEL')) {
+    return null;
+  }
+  
+  const confirmationCode = parts[1];
+  
+  // Confirmation code is optional, but must be alphanumeric when given
+  if (confirmationCode !== undefined && !/^[a-zA-Z0-9]{4,8}$/.test(confirmationCode)) {
+    return {
+      command: 'CANCEL',
+      error: 'Invalid confirmation code.',
+    };
+  }
+  
+  return {
+    command: 'CANCEL',
+    confirmationCode,
+  };
+};
+
+/**
+ * Parse ADDRESS / DEPOSIT command (for topping up the wallet)
+ * Format: ADDRESS <PIN> [TOKEN] or DEPOSIT <PIN> [TOKEN]
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseAddress = (text) => {
+  const parts = text.trim().split(/\s+/);
+  const keyword = parts[0].toUpperCase();
+  
+  if (parts.length < 2 || parts.length > 3 || (keyword !== 'ADDRESS' && keyword !== 'DEPOSIT')) {
+    return null;
+  }
+  
+  const [_, pin, token] = parts;
+  
+  // PIN should be 4-6 digits
+  if (!/^\d{4,6}$/.test(pin)) {
+    return {
+      command: 'ADDRESS',
+      error: 'Invalid PIN. It should be 4-6 digits.',
+    };
+  }
+  
+  // Token is optional; with one, the reply includes a payment link for it
+  const supportedTokens = tokenRegistry.getEnabledSymbols();
+  if (token !== undefined && !supportedTokens.includes(token.toUpperCase())) {
+    return {
+      command: 'ADDRESS',
+      error: i18n.keyedError('Invalid token. Supported tokens are: {tokens}.', { tokens: supportedTokens.join(', ') }),
+    };
+  }
+  
+  return {
+    command: 'ADDRESS',
+    pin,
+    token: token && token.toUpperCase(),
+  };
+};
+
+/**
+ * Parse LIMITS command
+ * Format: LIMITS <PIN>
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseLimits = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length !== 2 || parts[0].toUpperCase() !== 'LIMITS') {
+    return null;
+  }
+  
+  const pin = parts[1];
+  
+  // PIN should be 4-6 digits
+  if (!/^\d{4,6}$/.test(pin)) {
+    return {
+      command: 'LIMITS',
+      error: 'Invalid PIN. It should be 4-6 digits.',
+    };
+  }
+  
+  return {
+    command: 'LIMITS',
+    pin,
+  };
+};
+
+/**
+ * Parse HISTORY command
+ * Format: HISTORY <PIN> [COUNT]
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseHistory = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length < 2 || parts.length > 3 || parts[0].toUpperCase() !== 'HISTORY') {
+    return null;
+  }
+  
+  const [_, pin, countStr] = parts;
+  
+  // PIN should be 4-6 digits
+  if (!/^\d{4,6}$/.test(pin)) {
+    return {
+      command: 'HISTORY',
+      error: 'Invalid PIN. It should be 4-6 digits.',
+    };
+  }
+  
+  // Count is optional and limited so the reply fits in a couple of SMS segments
+  const count = countStr === undefined ? 5 : Number(countStr);
+  if (!Number.isInteger(count) || count < 1 || count > 10) {
+    return {
+      command: 'HISTORY',
+      error: 'Invalid count. It should be a number from 1 to 10.',
+    };
+  }
+  
+  return {
+    command: 'HISTORY',
+    pin,
+    count,
+  };
+};
+
+/**
+ * Parse PIN command (for changing the PIN)
+ * Format: PIN <OLD_PIN> <NEW_PIN>
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parsePinChange = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length !== 3 || parts[0].toUpperCase() !== 'PIN') {
+    return null;
+  }
+  
+  const [_, pin, newPin] = parts;
+  
+  // Both PINs should be 4-6 digits
+  if (!/^\d{4,6}$/.test(pin) || !/^\d{4,6}$/.test(newPin)) {
+    return {
+      command: 'PIN',
+      error: 'Invalid PIN. It should be 4-6 digits.',
+    };
+  }
+  
+  if (pin === newPin) {
+    return {
+      command: 'PIN',
+      error: 'New PIN must be different from the current PIN.',
+    };
+  }
+  
+  return {
+    command: 'PIN',
+    pin,
+    newPin,
+  };
+};
+
+/**
+ * Parse RESET command (for resetting a locked or forgotten PIN)
+ * Format: RESET to request a code, RESET <CODE> <NEW_PIN> to set the new PIN
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseReset = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if ((parts.length !== 1 && parts.length !== 3) || parts[0].toUpperCase() !== 'RESET') {
+    return null;
+  }
+  
+  if (parts.length === 1) {
+    return {
+      command: 'RESET',
+    };
+  }
+  
+  const [_, resetCode, newPin] = parts;
+  
+  // Reset code is 6 digits
+  if (!/^\d{6}$/.test(resetCode)) {
+    return {
+      command: 'RESET',
+      error: 'Invalid reset code.',
+    };
+  }
+  
+  // PIN should be 4-6 digits
+  if (!/^\d{4,6}$/.test(newPin)) {
+    return {
+      command: 'RESET',
+      error: 'Invalid PIN. It should be 4-6 digits.',
+    };
+  }
+  
+  return {
+    command: 'RESET',
+    resetCode,
+    newPin,
+  };
+};
+
+/**
+ * Parse ALIAS command (for saving a contact)
+ * Format: ALIAS <NAME> <PHONE>
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseAlias = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length !== 3 || parts[0].toUpperCase() !== 'ALIAS') {
+    return null;
+  }
+  
+  const [_, name, phoneNumber] = parts;
+  
+  if (!CONTACT_NAME_PATTERN.test(name)) {
+    return {
+      command: 'ALIAS',
+      error: 'Invalid name. Use up to 20 letters or digits, starting with a letter.',
+    };
+  }
+  
+  if (!/^\+\d{7,15}$/.test(phoneNumber)) {
+    return {
+      command: 'ALIAS',
+      error: 'Invalid phone number. It should include the country code (e.g., +1234567890).',
+    };
+  }
+  
+  return {
+    command: 'ALIAS',
+    name: name.toLowerCase(),
+    phoneNumber,
+  };
+};
+
+/**
+ * Parse ALIASES command (for listing contacts)
+ * Format: ALIASES
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseAliases = (text) => {
+  const trimmed = text.trim().toUpperCase();
+  
+  if (trimmed === 'ALIASES') {
+    return {
+      command: 'ALIASES',
     };
   }
   
   return null;
 };
 
+/**
+ * Parse UNALIAS command (for removing a contact)
+ * Format: UNALIAS <NAME>
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseUnalias = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length !== 2 || parts[0].toUpperCase() !== 'UNALIAS') {
+    return null;
+  }
+  
+  const name = parts[1];
+  
+  if (!CONTACT_NAME_PATTERN.test(name)) {
+    return {
+      command: 'UNALIAS',
+      error: 'Invalid name. Use up to 20 letters or digits, starting with a letter.',
+    };
+  }
+  
+  return {
+    command: 'UNALIAS',
+    name: name.toLowerCase(),
+  };
+};
+
+/**
+ * Parse LANG command (for choosing the SMS language)
+ * Format: LANG <LOCALE>
+ * @param {string} text - The SMS text
+ * @returns {Object|null} Parsed command or null if invalid
+ */
+const parseLang = (text) => {
+  const parts = text.trim().split(/\s+/);
+  
+  if (parts.length !== 2 || parts[0].toUpperCase() !== 'LANG') {
+    return null;
+  }
+  
+  const locale = parts[1].toLowerCase();
+  
+  if (!i18n.isSupportedLocale(locale)) {
+    return {
+      command: 'LANG',
+      error: 'Unsupported language.',
+    };
+  }
+  
+  return {
+    command: 'LANG',
+    locale,
+  };
+};
+
+/**
+ * Replace a localized command keyword (e.g. ENVOYER) with its English equivalent (SEND)
+ * @param {string} text - The SMS text
+ * @returns {string} The SMS text with an English keyword
+ */
+const normalizeKeyword = (text) => {
+  const [keyword, ...args] = text.trim().split(/\s+/);
+  const englishKeyword = i18n.resolveKeyword(keyword);
+  
+  return englishKeyword ? [englishKeyword, ...args].join(' ') : text;
+};
+
 /**
  * Parse SMS text and identify the command
  * @param {string} text - The SMS text
@@ -201,18 +659,31 @@ const parseSmsCommand = (text) => {
     };
   }
   
+  const normalizedText = normalizeKeyword(text);
+  
   // Try to parse each command type
   const parsers = [
     parseRegister,
     parseBalance,
     parseSend,
+    parseWithdraw,
     parseConfirm,
+    parseAddress,
+    parseLimits,
+    parseHistory,
+    parsePinChange,
+    parseReset,
+    parseLang,
+    parseAlias,
+    parseAliases,
+    parseUnalias,
     parseHelp,
     parseYes,
+    parseCancel,
   ];
   
   for (const parser of parsers) {
-    const result = parser(text);
+    const result = parser(normalizedText);
     if (result) {
       return result;
     }
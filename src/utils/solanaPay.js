@@ -0,0 +1,41 @@
+/**
+ * Solana Pay transfer request URLs
+ * See https://docs.solanapay.com/spec#transfer-request
+ */
+
+/**
+ * Build a Solana Pay transfer request URL
+ * Wallet apps that scan or open the URL prefill a transfer to the recipient
+ * @param {string} recipient - Recipient wallet address (not a token account)
+ * @param {Object} [options] - Request details
+ * @param {number} [options.amount] - Amount in whole tokens; the payer chooses when omitted
+ * @param {string} [options.splToken] - Token mint; omit to request SOL
+ * @param {string} [options.label] - Who the payment goes to, shown by the wallet
+ * @param {string} [options.message] - What the payment is for, shown by the wallet
+ * @returns {string} The solana: URL
+ */
+const buildTransferRequestUrl = (recipient, { amount, splToken, label, message } = {}) => {
+  const params = [];
+
+  if (amount !== undefined) {
+    params.push(`amount=${amount}`);
+  }
+
+  if (splToken) {
+    params.push(`spl-token=${splToken}`);
+  }
+
+  if (label) {
+    params.push(`label=${encodeURIComponent(label)}`);
+  }
+
+  if (message) {
+    params.push(`message=${encodeURIComponent(message)}`);
+  }
+
+  return params.length > 0 ? `solana:${recipient}?${params.join('&')}` : `solana:${recipient}`;
+};
+
+module.exports = {
+  buildTransferRequestUrl,
+};
@@ -0,0 +1,226 @@
+const { PublicKey } = require('@solana/web3.js');
+const { getMint } = require('@solana/spl-token');
+const config = require('../../config/config');
+const logger = require('./logger');
+
+// Held by wallets directly rather than in token accounts
+const NATIVE_TOKEN = 'SOL';
+
+// Amounts are stored as plain numbers, exact up to MAX_SAFE_INTEGER (about 9 * 10^15 units).
+// More decimals than SOL's 9 would leave balances capped below about 9 million whole tokens
+const MAX_DECIMALS = 9;
+
+/**
+ * @typedef {Object} Token
+ * @property {string} symbol - Token symbol, e.g. USDC
+ * @property {string|null} mint - Mint address, or null for SOL
+ * @property {number|null} decimals - Decimals of the smallest unit, null until read from the mint
+ * @property {number} displayDecimals - Decimals shown in SMS messages
+ * @property {boolean} enabled - Whether users can send, withdraw and deposit the token
+ */
+
+// Every configured token, keyed by symbol; disabled tokens stay here so existing records remain valid
+const tokens = Object.fromEntries(
+  config.supportedTokens.list.map((symbol) => [symbol, { symbol, ...config.supportedTokens.tokens[symbol] }])
+);
+
+/**
+ * Get a token's settings
+ * @param {string} symbol - Token symbol
+ * @returns {Token} The token
+ */
+const getToken = (symbol) => {
+  const token = tokens[symbol];
+
+  if (!token) {
+    throw new Error(`Unsupported token: ${symbol}`);
+  }
+
+  return token;
+};
+
+/**
+ * List every configured token symbol, enabled or not
+ * @returns {Array<string>} Token symbols
+ */
+const getSymbols = () => Object.keys(tokens);
+
+/**
+ * List the symbols of tokens users can transact in
+ * @returns {Array<string>} Token symbols
+ */
+const getEnabledSymbols = () => getSymbols().filter((symbol) => tokens[symbol].enabled);
+
+/**
+ * Check whether users can transact in a token
+ * @param {string} symbol - Token symbol
+ * @returns {boolean} Whether the token is configured and enabled
+ */
+const isEnabled = (symbol) => Boolean(tokens[symbol] && tokens[symbol].enabled);
+
+/**
+ * Check whether a token is SOL itself rather than an SPL token
+ * @param {string} symbol - Token symbol
+ * @returns {boolean} Whether the token is SOL
+ */
+const isNativeToken = (symbol) => getToken(symbol).symbol === NATIVE_TOKEN;
+
+/**
+ * Get a token's decimals
+ * @param {string} symbol - Token symbol
+ * @returns {number} Decimals of the smallest unit
+ */
+const getDecimals = (symbol) => {
+  const { decimals } = getToken(symbol);
+
+  if (decimals === null) {
+    throw new Error(`Decimals for ${symbol} have not been read from its mint`);
+  }
+
+  return decimals;
+};
+
+/**
+ * Parse an amount typed in whole tokens (e.g. "10.5") into the token's smallest unit
+ * The digits are shifted as text, so no floating point rounding is involved
+ * @param {string} symbol - Token symbol
+ * @param {string} text - Decimal amount
+ * @returns {number} The amount in the smallest unit
+ */
+const parseAmount = (symbol, text) => {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(String(text).trim());
+
+  if (!match || !/\d/.test(text)) {
+    throw new Error('Invalid amount. It should be a number greater than 0.');
+  }
+
+  const decimals = getDecimals(symbol);
+  const [, whole, fraction = ''] = match;
+  const significantFraction = fraction.replace(/0+$/, '');
+
+  if (significantFraction.length > decimals) {
+    throw new Error('Invalid amount. It has more decimal places than the token supports.');
+  }
+
+  const units = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(significantFraction.padEnd(decimals, '0') || '0');
+
+  // Amounts are stored as plain numbers, which are exact up to MAX_SAFE_INTEGER
+  if (units > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('Invalid amount. It is too large.');
+  }
+
+  return Number(units);
+};
+
+/**
+ * Split an amount in the smallest unit into its sign, whole tokens and fraction digits
+ * @param {string} symbol - Token symbol
+ * @param {number} units - Amount in the smallest unit
+ * @returns {Object} { sign, whole, fraction }, with fraction padded to the token's decimals
+ */
+const splitUnits = (symbol, units) => {
+  const decimals = getDecimals(symbol);
+  const digits = Math.abs(units).toString().padStart(decimals + 1, '0');
+
+  return {
+    sign: units < 0 ? '-' : '',
+    whole: digits.slice(0, digits.length - decimals),
+    fraction: digits.slice(digits.length - decimals),
+  };
+};
+
+/**
+ * Format an amount exactly, e.g. 10500000 USDC units as "10.5"
+ * @param {string} symbol - Token symbol
+ * @param {number} units - Amount in the smallest unit
+ * @returns {string} The amount in whole tokens, without trailing zeros
+ */
+const formatUnits = (symbol, units) => {
+  const { sign, whole, fraction } = splitUnits(symbol, units);
+  const trimmed = fraction.replace(/0+$/, '');
+
+  return trimmed ? `${sign}${whole}.${trimmed}` : `${sign}${whole}`;
+};
+
+/**
+ * Format a balance for display in an SMS
+ * Digits beyond the token's display precision are cut off, so a balance is never overstated
+ * @param {string} symbol - Token symbol
+ * @param {number} units - Amount in the smallest unit
+ * @returns {string} The amount with the token's display precision
+ */
+const formatAmount = (symbol, units) => {
+  const { displayDecimals } = getToken(symbol);
+  const { sign, whole, fraction } = splitUnits(symbol, units);
+  const shown = fraction.slice(0, displayDecimals).padEnd(displayDecimals, '0');
+
+  return shown ? `${sign}${whole}.${shown}` : `${sign}${whole}`;
+};
+
+/**
+ * Check that a token's amounts fit in the numbers they are stored as
+ * @param {Token} token - The token
+ * @param {number} decimals - Its decimals
+ */
+const checkDecimals = (token, decimals) => {
+  if (decimals > MAX_DECIMALS) {
+    throw new Error(`${token.symbol} has ${decimals} decimals, but at most ${MAX_DECIMALS} are supported`);
+  }
+};
+
+/**
+ * Read each SPL token's decimals from its mint, filling in any that aren't configured
+ * Configured decimals that disagree with the mint would misprice every transfer, and tokens with
+ * more than MAX_DECIMALS decimals can't hold useful balances, so startup stops
+ * @param {Object} connection - Solana connection
+ * @returns {Promise<void>}
+ */
+const verifyTokenMints = async (connection) => {
+  for (const token of Object.values(tokens)) {
+    if (token.decimals !== null) {
+      checkDecimals(token, token.decimals);
+    }
+
+    if (token.symbol === NATIVE_TOKEN) {
+      continue;
+    }
+
+    if (!token.mint) {
+      throw new Error(`No mint is configured for ${token.symbol}`);
+    }
+
+    let mint;
+    try {
+      mint = await getMint(connection, new PublicKey(token.mint));
+    } catch (error) {
+      // Known decimals are still usable while the RPC node is unreachable
+      if (token.decimals !== null) {
+        logger.warn(`Could not read the ${token.symbol} mint, using ${token.decimals} decimals: ${error.message}`);
+        continue;
+      }
+      throw new Error(`Could not read the ${token.symbol} mint: ${error.message}`);
+    }
+
+    if (token.decimals !== null && token.decimals !== mint.decimals) {
+      throw new Error(`${token.symbol} is configured with ${token.decimals} decimals but its mint has ${mint.decimals}`);
+    }
+
+    checkDecimals(token, mint.decimals);
+    token.decimals = mint.decimals;
+  }
+
+  logger.info(`Token registry ready: ${getEnabledSymbols().join(', ')}`);
+};
+
+module.exports = {
+  getToken,
+  getSymbols,
+  getEnabledSymbols,
+  isEnabled,
+  isNativeToken,
+  getDecimals,
+  parseAmount,
+  formatUnits,
+  formatAmount,
+  verifyTokenMints,
+};
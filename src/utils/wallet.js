@@ -12,15 +12,21 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.getConnection = exports.decryptWallet = exports.createEncryptedWallet = exports.getMasterWallet = exports.checkTokenBalance = exports.getTokenAccount = exports.restoreWallet = exports.createWallet = void 0;
+exports.getConnection = exports.rewrapWalletKey = exports.restoreLegacyWallet = exports.decryptWallet = exports.createEncryptedWallet = exports.getMasterWallet = exports.getWalletBalances = exports.checkTokenBalance = exports.getTokenAccount = exports.restoreWallet = exports.createWallet = void 0;
 const web3_js_1 = require("@solana/web3.js");
 const spl_token_1 = require("@solana/spl-token");
 const bs58_1 = __importDefault(require("bs58"));
 const config_1 = __importDefault(require("../../config/config"));
 const encryption_1 = __importDefault(require("./encryption"));
+const keyProviders_1 = require("../keyProviders");
+const tokenRegistry_1 = __importDefault(require("./tokenRegistry"));
+// Most accounts getMultipleAccountsInfo returns in one RPC call
+const MAX_ACCOUNTS_PER_REQUEST = 100;
 // Initialize Solana connection
+// Reads use 'confirmed', the commitment transfers are confirmed at, so a balance read after a
+// confirmed transfer includes it
 const getConnection = () => {
-    return new web3_js_1.Connection(config_1.default.solana.rpcUrl);
+    return new web3_js_1.Connection(config_1.default.solana.rpcUrl, 'confirmed');
 };
 exports.getConnection = getConnection;
 /**
@@ -56,6 +62,7 @@ const restoreWallet = (secretKey) => {
 exports.restoreWallet = restoreWallet;
 /**
  * Get token account for a wallet
+ * A missing account is reported with a zero amount; it is never created here
  * @param {string} walletAddress - Public key of the wallet
  * @param {string} tokenMint - Public key of the token mint
  * @returns {Promise<any>} The token account
@@ -81,10 +88,11 @@ const getTokenAccount = (walletAddress, tokenMint) => __awaiter(void 0, void 0,
             };
         }
         else {
-            console.log('Token account does not exist, creating it...');
-            // If it doesn't exist, create it
-            return yield (0, spl_token_1.getOrCreateAssociatedTokenAccount)(connection, getMasterWallet().keypair, // Payer for transaction
-            mint, wallet);
+            // The account is created by the first transfer into it
+            return {
+                address: associatedTokenAddress,
+                amount: BigInt(0)
+            };
         }
     }
     catch (error) {
@@ -97,29 +105,22 @@ exports.getTokenAccount = getTokenAccount;
  * Check the balance of a specific token in a wallet
  * @param {string} walletAddress - Public key of the wallet
  * @param {string} token - Token symbol (e.g., 'USDC')
- * @returns {Promise<number>} The token balance
+ * @returns {Promise<number>} The token balance in the token's smallest unit (lamports for SOL)
  */
 const checkTokenBalance = (walletAddress, token) => __awaiter(void 0, void 0, void 0, function* () {
     // For SOL token, check native balance
-    if (token === 'SOL') {
+    if (tokenRegistry_1.default.isNativeToken(token)) {
         const connection = getConnection();
-        const balance = yield connection.getBalance(new web3_js_1.PublicKey(walletAddress));
-        return balance / 1e9; // Convert lamports to SOL
+        return connection.getBalance(new web3_js_1.PublicKey(walletAddress));
     }
     // For other tokens, check token account
-    const tokenMint = config_1.default.supportedTokens.mints[token];
+    const tokenMint = tokenRegistry_1.default.getToken(token).mint;
     console.log('Token mint:', tokenMint);
-    if (!tokenMint) {
-        throw new Error(`Unsupported token: ${token}`);
-    }
     try {
         const tokenAccount = yield getTokenAccount(walletAddress, tokenMint);
         console.log('Raw token account data:', tokenAccount);
         console.log('Token account:', tokenAccount.amount);
-        // Convert BigInt to number before division
-        const amountNumber = Number(tokenAccount.amount);
-        console.log('Token account:', amountNumber / 1e6);
-        return amountNumber / 1e6; // Most stablecoins have 6 decimals
+        return Number(tokenAccount.amount);
     }
     catch (error) {
         console.error(`Error checking ${token} balance:`, error);
@@ -127,6 +128,46 @@ const checkTokenBalance = (walletAddress, token) => __awaiter(void 0, void 0, vo
     }
 });
 exports.checkTokenBalance = checkTokenBalance;
+/**
+ * Read the balance of every supported token for several wallets at once
+ * Accounts are fetched in batches with getMultipleAccountsInfo; missing token accounts count as zero
+ * @param {string[]} walletAddresses - Public keys of the wallets
+ * @returns {Promise<WalletBalances>} Balances keyed by wallet address, then by token
+ */
+const getWalletBalances = (walletAddresses) => __awaiter(void 0, void 0, void 0, function* () {
+    const connection = getConnection();
+    const lookups = [];
+    const balances = {};
+    for (const walletAddress of walletAddresses) {
+        const owner = new web3_js_1.PublicKey(walletAddress);
+        balances[walletAddress] = {};
+        for (const token of tokenRegistry_1.default.getSymbols()) {
+            // SOL is held by the wallet itself, other tokens by its associated token accounts
+            const account = tokenRegistry_1.default.isNativeToken(token)
+                ? owner
+                : (0, spl_token_1.getAssociatedTokenAddressSync)(new web3_js_1.PublicKey(tokenRegistry_1.default.getToken(token).mint), owner, true);
+            lookups.push({ walletAddress, token, account });
+        }
+    }
+    for (let i = 0; i < lookups.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+        const batch = lookups.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+        const accounts = yield connection.getMultipleAccountsInfo(batch.map((lookup) => lookup.account));
+        batch.forEach(({ walletAddress, token }, index) => {
+            const accountInfo = accounts[index];
+            if (!accountInfo) {
+                balances[walletAddress][token] = 0;
+            }
+            else if (tokenRegistry_1.default.isNativeToken(token)) {
+                balances[walletAddress][token] = accountInfo.lamports;
+            }
+            else {
+                balances[walletAddress][token] = Number(spl_token_1.AccountLayout.decode(accountInfo.data).amount);
+            }
+        });
+    }
+    return balances;
+});
+exports.getWalletBalances = getWalletBalances;
 /**
  * Get the master wallet (used for paying fees)
  * @returns {Wallet} The master wallet
@@ -138,26 +179,87 @@ const getMasterWallet = () => {
     return restoreWallet(config_1.default.solana.masterWalletSecret);
 };
 exports.getMasterWallet = getMasterWallet;
+/**
+ * Encrypt a secret key under a new data key, wrapped by the current master key
+ * @param {string} secretKey - The base58 encoded secret key
+ * @returns {Promise<StoredWalletKey>} The encrypted secret key, wrapped data key and key version
+ */
+const encryptSecretKey = (secretKey) => __awaiter(void 0, void 0, void 0, function* () {
+    const dataKey = encryption_1.default.generateDataKey();
+    const { wrappedKey, keyVersion } = yield (0, keyProviders_1.getKeyProvider)().wrapKey(dataKey);
+    return {
+        encryptedWalletKey: encryption_1.default.encryptWithKey(dataKey, Buffer.from(secretKey)),
+        walletDataKey: wrappedKey,
+        walletKeyVersion: keyVersion,
+    };
+});
 /**
  * Create an encrypted wallet for a user
- * @returns {EncryptedWallet} Object containing encrypted secret key and public address
+ * @returns {Promise<EncryptedWallet>} Object containing encrypted secret key, its wrapped data key and public address
  */
-const createEncryptedWallet = () => {
+const createEncryptedWallet = () => __awaiter(void 0, void 0, void 0, function* () {
     const { secretKey, publicKey } = createWallet();
-    const encryptedSecretKey = encryption_1.default.encrypt(secretKey);
+    const stored = yield encryptSecretKey(secretKey);
     return {
-        encryptedSecretKey,
+        encryptedSecretKey: stored.encryptedWalletKey,
+        wrappedDataKey: stored.walletDataKey,
+        keyVersion: stored.walletKeyVersion,
         publicKey,
     };
-};
+});
 exports.createEncryptedWallet = createEncryptedWallet;
 /**
  * Decrypt a user's wallet
- * @param {string} encryptedSecretKey - The encrypted secret key
+ * @param {StoredWalletKey} stored - The user, or their stored wallet key fields
+ * @returns {Promise<Wallet>} The wallet
+ */
+const decryptWallet = (stored) => __awaiter(void 0, void 0, void 0, function* () {
+    if (!stored.walletDataKey) {
+        return restoreWallet(encryption_1.default.decryptLegacy(stored.encryptedWalletKey));
+    }
+    const dataKey = yield (0, keyProviders_1.getKeyProvider)().unwrapKey(stored.walletDataKey, stored.walletKeyVersion);
+    return restoreWallet(encryption_1.default.decryptWithKey(dataKey, stored.encryptedWalletKey).toString());
+});
+exports.decryptWallet = decryptWallet;
+/**
+ * Decrypt a legacy wallet key and check it against the stored wallet address
+ * A wrong ENCRYPTION_KEY often decrypts to an empty string rather than failing, so the
+ * address is the only reliable check that the key is right
+ * @param {StoredWalletKey} stored - The user, or their stored wallet key fields, with walletAddress
  * @returns {Wallet} The wallet
  */
-const decryptWallet = (encryptedSecretKey) => {
-    const secretKey = encryption_1.default.decrypt(encryptedSecretKey);
-    return restoreWallet(secretKey);
+const restoreLegacyWallet = (stored) => {
+    let wallet;
+    try {
+        wallet = restoreWallet(encryption_1.default.decryptLegacy(stored.encryptedWalletKey));
+    }
+    catch (error) {
+        throw new Error(`Could not decrypt legacy wallet key: ${error.message}`);
+    }
+    if (!stored.walletAddress || wallet.keypair.publicKey.toBase58() !== stored.walletAddress) {
+        throw new Error('Legacy wallet key does not match the wallet address; check ENCRYPTION_KEY');
+    }
+    return wallet;
 };
-exports.decryptWallet = decryptWallet;
+exports.restoreLegacyWallet = restoreLegacyWallet;
+/**
+ * Re-wrap a user's wallet key under the current master key
+ * Only the data key is re-wrapped; legacy keys are checked against the wallet address and
+ * re-encrypted under a new data key
+ * @param {StoredWalletKey} stored - The user, or their stored wallet key fields
+ * @returns {Promise<StoredWalletKey>} The wallet key fields to store
+ */
+const rewrapWalletKey = (stored) => __awaiter(void 0, void 0, void 0, function* () {
+    if (!stored.walletDataKey) {
+        return encryptSecretKey(restoreLegacyWallet(stored).secretKey);
+    }
+    const provider = (0, keyProviders_1.getKeyProvider)();
+    const dataKey = yield provider.unwrapKey(stored.walletDataKey, stored.walletKeyVersion);
+    const { wrappedKey, keyVersion } = yield provider.wrapKey(dataKey);
+    return {
+        encryptedWalletKey: stored.encryptedWalletKey,
+        walletDataKey: wrappedKey,
+        walletKeyVersion: keyVersion,
+    };
+});
+exports.rewrapWalletKey = rewrapWalletKey;
@@ -1,8 +1,10 @@
 import { Keypair, Connection, PublicKey } from '@solana/web3.js';
-import { getOrCreateAssociatedTokenAccount, createTransferInstruction } from '@solana/spl-token';
+import { getAssociatedTokenAddressSync, AccountLayout } from '@solana/spl-token';
 import bs58 from 'bs58';
 import config from '../../config/config';
 import encryption from './encryption';
+import { getKeyProvider } from '../keyProviders';
+import tokenRegistry from './tokenRegistry';
 
 // Define interfaces for return types
 interface Wallet {
@@ -13,12 +15,31 @@ interface Wallet {
 
 interface EncryptedWallet {
     encryptedSecretKey: string;
+    wrappedDataKey: string;
+    keyVersion: string;
     publicKey: string;
 }
 
+// A wallet key as stored on a user; users from before envelope encryption have no data key
+interface StoredWalletKey {
+    encryptedWalletKey: string;
+    walletDataKey?: string | null;
+    walletKeyVersion?: string | null;
+    // Public key of the wallet, used to check that a legacy key decrypted correctly
+    walletAddress?: string;
+}
+
+// Balances in each token's smallest unit, keyed by wallet address, then by token symbol
+type WalletBalances = Record<string, Record<string, number>>;
+
+// Most accounts getMultipleAccountsInfo returns in one RPC call
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+
 // Initialize Solana connection
+// Reads use 'confirmed', the commitment transfers are confirmed at, so a balance read after a
+// confirmed transfer includes it
 const getConnection = (): Connection => {
-    return new Connection(config.solana.rpcUrl);
+    return new Connection(config.solana.rpcUrl, 'confirmed');
 };
 
 /**
@@ -56,6 +77,7 @@ const restoreWallet = (secretKey: string): Wallet => {
 
 /**
  * Get token account for a wallet
+ * A missing account is reported with a zero amount; it is never created here
  * @param {string} walletAddress - Public key of the wallet
  * @param {string} tokenMint - Public key of the token mint
  * @returns {Promise<any>} The token account
@@ -86,14 +108,11 @@ const getTokenAccount = async (walletAddress: string, tokenMint: string): Promis
                 amount: accountData.amount 
             };
         } else {
-            console.log('Token account does not exist, creating it...');
-            // If it doesn't exist, create it
-            return await getOrCreateAssociatedTokenAccount(
-                connection,
-                getMasterWallet().keypair, // Payer for transaction
-                mint,
-                wallet
-            );
+            // The account is created by the first transfer into it
+            return {
+                address: associatedTokenAddress,
+                amount: BigInt(0)
+            };
         }
     } catch (error) {
         console.error('Error getting token account:', error);
@@ -105,39 +124,75 @@ const getTokenAccount = async (walletAddress: string, tokenMint: string): Promis
  * Check the balance of a specific token in a wallet
  * @param {string} walletAddress - Public key of the wallet
  * @param {string} token - Token symbol (e.g., 'USDC')
- * @returns {Promise<number>} The token balance
+ * @returns {Promise<number>} The token balance in the token's smallest unit (lamports for SOL)
  */
 const checkTokenBalance = async (walletAddress: string, token: string): Promise<number> => {
     // For SOL token, check native balance
-    if (token === 'SOL') {
+    if (tokenRegistry.isNativeToken(token)) {
         const connection = getConnection();
-        const balance = await connection.getBalance(new PublicKey(walletAddress));
-        return balance / 1e9; // Convert lamports to SOL
+        return connection.getBalance(new PublicKey(walletAddress));
     }
     
     // For other tokens, check token account
-    const tokenMint = config.supportedTokens.mints[token];
+    const tokenMint = tokenRegistry.getToken(token).mint;
     console.log('Token mint:', tokenMint);
-    if (!tokenMint) {
-        throw new Error(`Unsupported token: ${token}`);
-    }
     
     try {
         const tokenAccount = await getTokenAccount(walletAddress, tokenMint);
         console.log('Raw token account data:', tokenAccount);
         console.log('Token account:', tokenAccount.amount);
         
-        // Convert BigInt to number before division
-        const amountNumber = Number(tokenAccount.amount);
-        console.log('Token account:', amountNumber / 1e6);
-
-        return amountNumber / 1e6; // Most stablecoins have 6 decimals
+        return Number(tokenAccount.amount);
     } catch (error) {
         console.error(`Error checking ${token} balance:`, error);
         return 0;
     }
 };
 
+/**
+ * Read the balance of every supported token for several wallets at once
+ * Accounts are fetched in batches with getMultipleAccountsInfo; missing token accounts count as zero
+ * @param {string[]} walletAddresses - Public keys of the wallets
+ * @returns {Promise<WalletBalances>} Balances keyed by wallet address, then by token
+ */
+const getWalletBalances = async (walletAddresses: string[]): Promise<WalletBalances> => {
+    const connection = getConnection();
+    const lookups: { walletAddress: string; token: string; account: PublicKey }[] = [];
+    const balances: WalletBalances = {};
+    
+    for (const walletAddress of walletAddresses) {
+        const owner = new PublicKey(walletAddress);
+        balances[walletAddress] = {};
+        
+        for (const token of tokenRegistry.getSymbols()) {
+            // SOL is held by the wallet itself, other tokens by its associated token accounts
+            const account = tokenRegistry.isNativeToken(token)
+                ? owner
+                : getAssociatedTokenAddressSync(new PublicKey(tokenRegistry.getToken(token).mint), owner, true);
+            lookups.push({ walletAddress, token, account });
+        }
+    }
+    
+    for (let i = 0; i < lookups.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+        const batch = lookups.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+        const accounts = await connection.getMultipleAccountsInfo(batch.map((lookup) => lookup.account));
+        
+        batch.forEach(({ walletAddress, token }, index) => {
+            const accountInfo = accounts[index];
+            
+            if (!accountInfo) {
+                balances[walletAddress][token] = 0;
+            } else if (tokenRegistry.isNativeToken(token)) {
+                balances[walletAddress][token] = accountInfo.lamports;
+            } else {
+                balances[walletAddress][token] = Number(AccountLayout.decode(accountInfo.data).amount);
+            }
+        });
+    }
+    
+    return balances;
+};
+
 /**
  * Get the master wallet (used for paying fees)
  * @returns {Wallet} The master wallet
@@ -150,28 +205,95 @@ const getMasterWallet = (): Wallet => {
     return restoreWallet(config.solana.masterWalletSecret);
 };
 
+/**
+ * Encrypt a secret key under a new data key, wrapped by the current master key
+ * @param {string} secretKey - The base58 encoded secret key
+ * @returns {Promise<StoredWalletKey>} The encrypted secret key, wrapped data key and key version
+ */
+const encryptSecretKey = async (secretKey: string): Promise<StoredWalletKey> => {
+    const dataKey = encryption.generateDataKey();
+    const { wrappedKey, keyVersion } = await getKeyProvider().wrapKey(dataKey);
+    
+    return {
+        encryptedWalletKey: encryption.encryptWithKey(dataKey, Buffer.from(secretKey)),
+        walletDataKey: wrappedKey,
+        walletKeyVersion: keyVersion,
+    };
+};
+
 /**
  * Create an encrypted wallet for a user
- * @returns {EncryptedWallet} Object containing encrypted secret key and public address
+ * @returns {Promise<EncryptedWallet>} Object containing encrypted secret key, its wrapped data key and public address
  */
-const createEncryptedWallet = (): EncryptedWallet => {
+const createEncryptedWallet = async (): Promise<EncryptedWallet> => {
     const { secretKey, publicKey } = createWallet();
-    const encryptedSecretKey = encryption.encrypt(secretKey);
+    const stored = await encryptSecretKey(secretKey);
     
     return {
-        encryptedSecretKey,
+        encryptedSecretKey: stored.encryptedWalletKey,
+        wrappedDataKey: stored.walletDataKey as string,
+        keyVersion: stored.walletKeyVersion as string,
         publicKey,
     };
 };
 
 /**
  * Decrypt a user's wallet
- * @param {string} encryptedSecretKey - The encrypted secret key
+ * @param {StoredWalletKey} stored - The user, or their stored wallet key fields
+ * @returns {Promise<Wallet>} The wallet
+ */
+const decryptWallet = async (stored: StoredWalletKey): Promise<Wallet> => {
+    if (!stored.walletDataKey) {
+        return restoreWallet(encryption.decryptLegacy(stored.encryptedWalletKey));
+    }
+    
+    const dataKey = await getKeyProvider().unwrapKey(stored.walletDataKey, stored.walletKeyVersion);
+    return restoreWallet(encryption.decryptWithKey(dataKey, stored.encryptedWalletKey).toString());
+};
+
+/**
+ * Decrypt a legacy wallet key and check it against the stored wallet address
+ * A wrong ENCRYPTION_KEY often decrypts to an empty string rather than failing, so the
+ * address is the only reliable check that the key is right
+ * @param {StoredWalletKey} stored - The user, or their stored wallet key fields, with walletAddress
  * @returns {Wallet} The wallet
  */
-const decryptWallet = (encryptedSecretKey: string): Wallet => {
-    const secretKey = encryption.decrypt(encryptedSecretKey);
-    return restoreWallet(secretKey);
+const restoreLegacyWallet = (stored: StoredWalletKey): Wallet => {
+    let wallet: Wallet;
+    try {
+        wallet = restoreWallet(encryption.decryptLegacy(stored.encryptedWalletKey));
+    } catch (error) {
+        throw new Error(`Could not decrypt legacy wallet key: ${(error as Error).message}`);
+    }
+    
+    if (!stored.walletAddress || wallet.keypair.publicKey.toBase58() !== stored.walletAddress) {
+        throw new Error('Legacy wallet key does not match the wallet address; check ENCRYPTION_KEY');
+    }
+    
+    return wallet;
+};
+
+/**
+ * Re-wrap a user's wallet key under the current master key
+ * Only the data key is re-wrapped; legacy keys are checked against the wallet address and
+ * re-encrypted under a new data key
+ * @param {StoredWalletKey} stored - The user, or their stored wallet key fields
+ * @returns {Promise<StoredWalletKey>} The wallet key fields to store
+ */
+const rewrapWalletKey = async (stored: StoredWalletKey): Promise<StoredWalletKey> => {
+    if (!stored.walletDataKey) {
+        return encryptSecretKey(restoreLegacyWallet(stored).secretKey);
+    }
+    
+    const provider = getKeyProvider();
+    const dataKey = await provider.unwrapKey(stored.walletDataKey, stored.walletKeyVersion);
+    const { wrappedKey, keyVersion } = await provider.wrapKey(dataKey);
+    
+    return {
+        encryptedWalletKey: stored.encryptedWalletKey,
+        walletDataKey: wrappedKey,
+        walletKeyVersion: keyVersion,
+    };
 };
 
 export {
@@ -179,10 +301,15 @@ export {
     restoreWallet,
     getTokenAccount,
     checkTokenBalance,
+    getWalletBalances,
     getMasterWallet,
     createEncryptedWallet,
     decryptWallet,
+    restoreLegacyWallet,
+    rewrapWalletKey,
     getConnection,
     Wallet,
-    EncryptedWallet
+    EncryptedWallet,
+    StoredWalletKey,
+    WalletBalances
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('./utils/logger');
+const walletUtils = require('./utils/wallet');
+const tokenRegistry = require('./utils/tokenRegistry');
+const { verifyKeyProvider } = require('./keyProviders');
+const transferWorker = require('./workers/transferWorker');
+
+// Standalone transfer worker; run as many of these as needed with `npm run worker`
+mongoose.connect(config.mongo.uri)
+  .then(async () => {
+    logger.info('Connected to MongoDB');
+    await verifyKeyProvider();
+    await tokenRegistry.verifyTokenMints(walletUtils.getConnection());
+    transferWorker.start();
+  })
+  .catch((error) => {
+    logger.error(`Startup error: ${error.message}`);
+    process.exit(1);
+  });
+
+// Stop polling and close the database connection; a job cut off mid-run is picked up again once its lock goes stale
+const shutdown = async () => {
+  logger.info('Stopping transfer worker');
+  transferWorker.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Promise Rejection', { reason, promise });
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+const jobQueue = require('../services/jobQueue');
+const transactionService = require('../services/transactionService');
+const escrowService = require('../services/escrowService');
+const { notifyTransactionCompleted, notifyTransactionFailed } = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Execute a queued transaction and text the result once it is final
+ * @param {Object} job - The queued job
+ */
+const runTransactionJob = async (job) => {
+  const transaction = await transactionService.executeTransaction(job.payload.transactionId);
+  
+  // Already settled by an earlier run
+  if (transaction.status !== 'confirmed') {
+    return;
+  }
+  
+  // The recipient may have registered while the escrow payment was confirming; their payout
+  // sends the messages, so skip the invite
+  if (transaction.escrow) {
+    try {
+      if (await escrowService.claimIfRegistered(transaction.escrow)) {
+        return;
+      }
+    } catch (error) {
+      // Retrying finds the transfer confirmed and tries the claim again
+      error.retryable = true;
+      throw error;
+    }
+  }
+  
+  try {
+    await notifyTransactionCompleted(transaction);
+  } catch (error) {
+    // The transfer went through; don't retry it because an SMS failed
+    logger.error(`Failed to send completion notifications: ${error.message}`);
+  }
+};
+
+/**
+ * Record a transaction that failed for good and tell the sender
+ * @param {Object} job - The failed job
+ * @param {Error} error - The last error
+ */
+const handleTransactionJobFailed = async (job, error) => {
+  const transaction = await transactionService.failTransaction(
+    job.payload.transactionId,
+    error.message
+  );
+  
+  // A broadcast transfer may have landed after all
+  if (transaction.status === 'confirmed') {
+    await notifyTransactionCompleted(transaction);
+  } else if (transaction.status === 'failed') {
+    await notifyTransactionFailed(transaction, error);
+  }
+};
+
+/**
+ * Register the transfer and escrow payout job handlers and start polling for them
+ */
+const start = () => {
+  jobQueue.registerHandler(transactionService.EXECUTE_TRANSACTION_JOB, {
+    run: runTransactionJob,
+    onFailed: handleTransactionJobFailed,
+  });
+  escrowService.registerPayoutHandler();
+  
+  jobQueue.startWorker();
+};
+
+/**
+ * Stop polling for transfers and escrow payouts
+ */
+const stop = () => {
+  jobQueue.stopWorker();
+};
+
+module.exports = {
+  start,
+  stop,
+};